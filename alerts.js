@@ -0,0 +1,198 @@
+// ============================================================================
+// ALERT DISPATCHER - fans alerts out to DMs, an alert channel and webhooks
+// ============================================================================
+
+const { EmbedBuilder } = require('discord.js');
+const { withRetry } = require('./utils');
+
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+const SEVERITY_LABELS = {
+    info: 'ℹ️ Info',
+    warning: '⚠️ Warning',
+    critical: '🚨 Critical'
+};
+
+// DM and channel message text above the embed
+const SEVERITY_HEADERS = {
+    info: 'ℹ️ **Notice**',
+    warning: '⚠️ **Safety Alert**',
+    critical: '🚨 **URGENT SAFETY ALERT** 🚨'
+};
+
+function meetsSeverity(severity, minimum) {
+    return ALERT_SEVERITIES.indexOf(severity) >= ALERT_SEVERITIES.indexOf(minimum);
+}
+
+// Returns [{ field, message }] for `alerts.webhooks`
+function validateWebhooks(webhooks, prefix = 'alerts.webhooks') {
+    if (!Array.isArray(webhooks)) return [];
+
+    const errors = [];
+    webhooks.forEach((webhook, index) => {
+        const itemPrefix = `${prefix}[${index}]`;
+        if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) {
+            errors.push({ field: itemPrefix, message: 'must be an object like { url: "https://...", minSeverity: "warning" }' });
+            return;
+        }
+
+        let url = null;
+        try {
+            url = new URL(webhook.url);
+        } catch {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.push({ field: `${itemPrefix}.url`, message: 'must be an http(s) URL' });
+        }
+        if (webhook.minSeverity !== undefined && !ALERT_SEVERITIES.includes(webhook.minSeverity)) {
+            errors.push({ field: `${itemPrefix}.minSeverity`, message: `must be one of ${ALERT_SEVERITIES.join(', ')}` });
+        }
+        if (webhook.headers !== undefined && (typeof webhook.headers !== 'object' || Array.isArray(webhook.headers))) {
+            errors.push({ field: `${itemPrefix}.headers`, message: 'must be an object of header names to values' });
+        }
+    });
+    return errors;
+}
+
+class AlertDispatcher {
+    // options: the `alerts` config section
+    constructor(bot, options, fetchImpl = globalThis.fetch) {
+        this.bot = bot;
+        this.options = options;
+        this.fetch = fetchImpl;
+    }
+
+    withRetry(task) {
+        return withRetry(task, this.options.retry);
+    }
+
+    createEmbed(alert) {
+        return new EmbedBuilder()
+            .setTitle(alert.title)
+            .setDescription(alert.description)
+            .setColor(alert.color)
+            .addFields(alert.fields)
+            .setTimestamp(alert.timestamp)
+            .setFooter({ text: `Bedrock AFK Bot Alerts • ${SEVERITY_LABELS[alert.severity]}` });
+    }
+
+    // Configured subscribers, the session's own opt-ins and whoever last pressed
+    // Connect, as [{ id, user?, minSeverity }] without duplicates
+    getRecipients(session) {
+        const recipients = new Map();
+        const minSeverity = this.options.dm.minSeverity;
+
+        for (const id of this.options.dm.subscribers) {
+            recipients.set(id, { id, minSeverity });
+        }
+        for (const [id, subscriber] of session.alertSubscribers) {
+            recipients.set(id, { id, minSeverity: subscriber.minSeverity });
+        }
+        if (session.lastAuthUser && !recipients.has(session.lastAuthUser.id)) {
+            recipients.set(session.lastAuthUser.id, { id: session.lastAuthUser.id, user: session.lastAuthUser, minSeverity });
+        }
+        return Array.from(recipients.values());
+    }
+
+    // Returns the number of users reached
+    async sendDirectMessages(session, alert) {
+        const { dm } = this.options;
+        if (!dm.enabled || !meetsSeverity(alert.severity, dm.minSeverity)) return 0;
+
+        const payload = { content: SEVERITY_HEADERS[alert.severity], embeds: [this.createEmbed(alert)] };
+        const recipients = this.getRecipients(session)
+            .filter(recipient => meetsSeverity(alert.severity, recipient.minSeverity));
+
+        const results = await Promise.all(recipients.map(async (recipient) => {
+            try {
+                const user = recipient.user || await this.bot.discordClient.users.fetch(recipient.id);
+                await this.withRetry(() => user.send(payload));
+                return true;
+            } catch (error) {
+                session.safetyLogger.error(`Failed to DM alert to ${recipient.user?.tag || recipient.id}:`, error.message);
+                return false;
+            }
+        }));
+        return results.filter(Boolean).length;
+    }
+
+    // Returns true if the alert channel accepted the message
+    async sendToChannel(session, alert) {
+        const { channel: options } = this.options;
+        if (!options.enabled || !options.channelId || !meetsSeverity(alert.severity, options.minSeverity)) return false;
+
+        const roles = meetsSeverity(alert.severity, options.mentionSeverity) ? options.mentionRoles : [];
+        const mentions = roles.map(id => `<@&${id}>`).join(' ');
+
+        try {
+            const channel = await this.bot.discordClient.channels.fetch(options.channelId);
+            await this.withRetry(() => channel.send({
+                content: [mentions, SEVERITY_HEADERS[alert.severity]].filter(Boolean).join(' '),
+                embeds: [this.createEmbed(alert)],
+                allowedMentions: { roles }
+            }));
+            return true;
+        } catch (error) {
+            session.safetyLogger.error('Failed to post alert to the alert channel:', error.message);
+            return false;
+        }
+    }
+
+    // Generic JSON POST; non-2xx responses count as failures and are retried
+    async sendWebhook(session, webhook, alert) {
+        if (!meetsSeverity(alert.severity, webhook.minSeverity || 'info')) return false;
+
+        const body = JSON.stringify({
+            session: alert.session,
+            severity: alert.severity,
+            title: alert.title,
+            description: alert.description,
+            timestamp: new Date(alert.timestamp).toISOString(),
+            details: alert.details
+        });
+
+        try {
+            await this.withRetry(async () => {
+                const response = await this.fetch(webhook.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...(webhook.headers || {}) },
+                    body,
+                    // A receiver that never answers counts as a failed attempt
+                    signal: AbortSignal.timeout(this.options.timeout)
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            });
+            return true;
+        } catch (error) {
+            session.safetyLogger.error(`Alert webhook ${new URL(webhook.url).host} failed:`, error.message);
+            return false;
+        }
+    }
+
+    // alert: { title, description, color, severity, fields, details }
+    async dispatch(session, alert) {
+        alert = { timestamp: Date.now(), session: session.name, ...alert };
+
+        const [dms, posted, ...webhooks] = await Promise.all([
+            this.sendDirectMessages(session, alert),
+            this.sendToChannel(session, alert),
+            ...this.options.webhooks.map(webhook => this.sendWebhook(session, webhook, alert))
+        ]);
+
+        // Nothing reached anyone (e.g. no subscribers after a restart): post it
+        // in the session's control channel rather than dropping it
+        if (dms === 0 && !posted && !webhooks.some(Boolean) && meetsSeverity(alert.severity, 'warning')) {
+            try {
+                const channel = await this.bot.discordClient.channels.fetch(session.channelId);
+                await channel.send({
+                    content: `${SEVERITY_HEADERS[alert.severity]} (${session.name}): **${alert.title}**\n${alert.description}`
+                });
+            } catch (error) {
+                session.safetyLogger.error('Failed to post alert to the control channel:', error.message);
+            }
+        }
+    }
+}
+
+module.exports = { AlertDispatcher, ALERT_SEVERITIES, SEVERITY_LABELS, meetsSeverity, validateWebhooks };
@@ -0,0 +1,222 @@
+// ============================================================================
+// ANTI-AFK - small player_auth_input movements so idle kicks don't trigger
+// ============================================================================
+
+const ANTI_AFK_PATTERNS = ['look', 'jump', 'sneak', 'walk'];
+
+const PATTERN_LABELS = {
+    look: '👀 Look around',
+    jump: '🦘 Jump',
+    sneak: '🧎 Sneak',
+    walk: '🚶 Walk'
+};
+
+const TICK_MS = 50;
+const WALK_TICKS = 8;
+const WALK_SPEED = 0.2; // Blocks per tick, a little under vanilla walking
+const SNEAK_TICKS = 20;
+const MAX_PITCH = 30;
+
+// Inputs are replayed one game tick apart; each entry is a partial input
+function buildSequence(pattern, random) {
+    switch (pattern) {
+        case 'look': {
+            const turn = (15 + random() * 30) * (random() < 0.5 ? -1 : 1);
+            return [{ yawDelta: turn, pitch: (random() * 2 - 1) * MAX_PITCH }];
+        }
+        case 'jump':
+            return [
+                { flags: ['jumping', 'jump_down', 'start_jumping', 'jump_pressed_raw', 'jump_current_raw'] },
+                { flags: ['jump_released_raw'] }
+            ];
+        case 'sneak':
+            return [
+                { flags: ['start_sneaking', 'sneaking', 'sneak_down', 'sneak_pressed_raw', 'sneak_current_raw'] },
+                ...Array.from({ length: SNEAK_TICKS - 2 }, () => ({ flags: ['sneaking', 'sneak_down', 'sneak_current_raw'] })),
+                { flags: ['stop_sneaking', 'sneak_released_raw'] }
+            ];
+        case 'walk':
+            // Out and back so the bot ends where it started
+            return [
+                ...Array.from({ length: WALK_TICKS }, () => ({ flags: ['up'], move: 1 })),
+                ...Array.from({ length: WALK_TICKS }, () => ({ flags: ['down'], move: -1 }))
+            ];
+        default:
+            return [];
+    }
+}
+
+class AntiAfk {
+    // options: the session's `antiAfk` config section
+    constructor(session, options, random = Math.random) {
+        this.session = session;
+        this.options = { ...options };
+        this.random = random;
+
+        this.actionTimer = null;
+        this.sequenceTimer = null;
+        this.tick = 0n;
+        this.yaw = 0;
+        this.pitch = 0;
+        this.offset = { x: 0, z: 0 }; // Distance walked from currentCoords
+        this.pausedUntil = 0;
+        this.pauseReason = null;
+        this.lastAction = null; // { pattern, at }
+        this.actionCount = 0;
+    }
+
+    get enabled() {
+        return this.options.enabled;
+    }
+
+    get active() {
+        return this.actionTimer !== null || this.sequenceTimer !== null;
+    }
+
+    get paused() {
+        return Date.now() < this.pausedUntil;
+    }
+
+    // Called once the session is online
+    start() {
+        this.stop();
+        if (!this.enabled || this.options.patterns.length === 0) return;
+
+        this.tick = 0n;
+        this.scheduleNext();
+    }
+
+    stop() {
+        clearTimeout(this.actionTimer);
+        clearTimeout(this.sequenceTimer);
+        this.actionTimer = null;
+        this.sequenceTimer = null;
+        this.offset = { x: 0, z: 0 };
+    }
+
+    // Merges option changes and restarts if the session is online
+    update(changes) {
+        this.options = { ...this.options, ...changes };
+        if (this.session.isConnected) this.start();
+        else this.stop();
+    }
+
+    // Skips actions for `duration` ms; repeated calls extend the pause
+    pause(reason, duration = this.options.threatPause) {
+        if (duration <= 0) return;
+
+        if (!this.paused) this.session.log(`Anti-AFK paused: ${reason}`);
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + duration);
+        this.pauseReason = reason;
+    }
+
+    resume() {
+        this.pausedUntil = 0;
+        this.pauseReason = null;
+    }
+
+    nextDelay() {
+        const { interval, jitter } = this.options;
+        const spread = interval * jitter;
+        return Math.round(interval - spread + this.random() * spread * 2);
+    }
+
+    scheduleNext() {
+        this.actionTimer = setTimeout(() => {
+            this.actionTimer = null;
+            this.performAction();
+        }, this.nextDelay());
+    }
+
+    performAction(pattern = null) {
+        if (!this.session.isConnected || !this.session.minecraftBot) return;
+
+        if (this.paused) {
+            this.scheduleNext();
+            return;
+        }
+
+        const { patterns } = this.options;
+        pattern = pattern || patterns[Math.floor(this.random() * patterns.length)];
+        this.lastAction = { pattern, at: Date.now() };
+        this.actionCount++;
+
+        this.playSequence(buildSequence(pattern, this.random));
+    }
+
+    playSequence(sequence) {
+        const [input, ...rest] = sequence;
+        if (!input) {
+            this.sequenceTimer = null;
+            if (this.enabled) this.scheduleNext();
+            return;
+        }
+
+        try {
+            this.sendInput(input);
+        } catch (error) {
+            this.session.logError('Anti-AFK input failed:', error.message);
+        }
+        this.sequenceTimer = setTimeout(() => this.playSequence(rest), TICK_MS);
+    }
+
+    sendInput({ yawDelta = 0, pitch = this.pitch, flags = [], move = 0 }) {
+        const client = this.session.minecraftBot;
+        if (!client) return;
+
+        this.yaw = ((this.yaw + yawDelta) % 360 + 360) % 360;
+        this.pitch = pitch;
+
+        // Bedrock yaw 0 faces +Z
+        const radians = this.yaw * Math.PI / 180;
+        const delta = { x: -Math.sin(radians) * WALK_SPEED * move, y: 0, z: Math.cos(radians) * WALK_SPEED * move };
+        this.offset = { x: this.offset.x + delta.x, z: this.offset.z + delta.z };
+
+        const { x, y, z } = this.session.currentCoords;
+        const moveVector = { x: 0, z: move };
+        this.tick++;
+
+        client.queue('player_auth_input', {
+            pitch: this.pitch,
+            yaw: this.yaw,
+            position: { x: x + this.offset.x, y, z: z + this.offset.z },
+            move_vector: moveVector,
+            head_yaw: this.yaw,
+            input_data: Object.fromEntries(flags.map(flag => [flag, true])),
+            input_mode: 'mouse',
+            play_mode: 'normal',
+            interaction_model: 'crosshair',
+            interact_rotation: { x: this.pitch, z: this.yaw },
+            tick: this.tick,
+            delta,
+            analogue_move_vector: { x: 0, z: 0 },
+            camera_orientation: { x: -Math.sin(radians), y: 0, z: Math.cos(radians) },
+            raw_move_vector: moveVector
+        });
+    }
+
+    getStatusText() {
+        if (!this.enabled) return '⏸️ Off';
+        if (this.paused) return `⏸️ Paused: ${this.pauseReason} (until <t:${Math.ceil(this.pausedUntil / 1000)}:t>)`;
+        const last = this.lastAction ? ` • last: ${PATTERN_LABELS[this.lastAction.pattern]} <t:${Math.floor(this.lastAction.at / 1000)}:R>` : '';
+        return `✅ On, every ~${Math.round(this.options.interval / 1000)}s${last}`;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            active: this.active,
+            paused: this.paused,
+            pauseReason: this.paused ? this.pauseReason : null,
+            pausedUntil: this.paused ? new Date(this.pausedUntil).toISOString() : null,
+            interval: this.options.interval,
+            patterns: [...this.options.patterns],
+            actionCount: this.actionCount,
+            lastAction: this.lastAction
+                ? { pattern: this.lastAction.pattern, at: new Date(this.lastAction.at).toISOString() }
+                : null
+        };
+    }
+}
+
+module.exports = { AntiAfk, ANTI_AFK_PATTERNS, PATTERN_LABELS };
@@ -0,0 +1,181 @@
+// ============================================================================
+// API AUTH - tokens, scopes, rate limiting and the audit log
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { createHash, timingSafeEqual } = require('crypto');
+
+const API_SCOPES = ['read', 'control'];
+const MIN_TOKEN_LENGTH = 16;
+const MAX_TRACKED_WINDOWS = 1000;
+
+// A scope also grants everything listed here
+const SCOPE_GRANTS = {
+    read: ['read'],
+    control: ['read', 'control']
+};
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest();
+}
+
+// Accepts `Authorization: Bearer <token>` or `X-API-Key: <token>`, and
+// `?token=` where allowed (EventSource and browser WebSockets can't set headers).
+// Works on plain http requests as well as Express ones.
+function getRequestToken(req, allowQueryToken = false) {
+    const header = req.headers.authorization;
+    if (header) {
+        const [scheme, value] = header.split(' ');
+        if (scheme.toLowerCase() === 'bearer' && value) return value.trim();
+    }
+    if (req.headers['x-api-key']) return req.headers['x-api-key'];
+    if (allowQueryToken) return new URL(req.url, 'http://localhost').searchParams.get('token');
+    return null;
+}
+
+function getClientIp(req) {
+    return req.ip ?? req.socket?.remoteAddress ?? null;
+}
+
+// Appends one JSON line per entry; failures are reported but never block a request
+class AuditLog {
+    constructor(filePath, logger) {
+        this.filePath = path.resolve(filePath);
+        this.logger = logger;
+        this.ready = false;
+    }
+
+    write(entry) {
+        const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+
+        try {
+            if (!this.ready) {
+                fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+                this.ready = true;
+            }
+            fs.appendFile(this.filePath, line, (error) => {
+                if (error) this.logger.error('Failed to write audit log:', error.message);
+            });
+        } catch (error) {
+            this.logger.error('Failed to write audit log:', error.message);
+        }
+    }
+}
+
+class ApiAuth {
+    constructor({ apiTokens = [], rateLimit, auditLog }, logger) {
+        this.tokens = apiTokens.map(({ name, token, scopes }) => ({ name, hash: hashToken(token), scopes }));
+        this.rateLimit = rateLimit;
+        this.auditLog = new AuditLog(auditLog, logger);
+        this.windows = new Map(); // token name or client ip -> { start, count }
+    }
+
+    get enabled() {
+        return this.tokens.length > 0;
+    }
+
+    findToken(secret) {
+        const hash = hashToken(secret);
+        return this.tokens.find(token => timingSafeEqual(token.hash, hash)) || null;
+    }
+
+    // Fixed window per key; returns seconds until the window resets when over the limit
+    checkRateLimit(key) {
+        const now = Date.now();
+        if (this.windows.size > MAX_TRACKED_WINDOWS) {
+            for (const [windowKey, { start }] of this.windows) {
+                if (now - start >= this.rateLimit.windowMs) this.windows.delete(windowKey);
+            }
+        }
+
+        let window = this.windows.get(key);
+        if (!window || now - window.start >= this.rateLimit.windowMs) {
+            window = { start: now, count: 0 };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+        if (window.count <= this.rateLimit.maxRequests) return 0;
+        return Math.ceil((window.start + this.rateLimit.windowMs - now) / 1000);
+    }
+
+    hasScope(token, scope) {
+        return token.scopes.some(granted => SCOPE_GRANTS[granted].includes(scope));
+    }
+
+    // Returns { token } or a rejection { status, message, denied, token, retryAfter }.
+    // Failed attempts are limited per client so tokens can't be brute forced.
+    authenticate(req, scope, { allowQueryToken = false } = {}) {
+        const secret = getRequestToken(req, allowQueryToken);
+        const token = secret ? this.findToken(secret) : null;
+
+        const retryAfter = this.checkRateLimit(token ? `token:${token.name}` : `ip:${getClientIp(req)}`);
+        if (retryAfter > 0) {
+            return { status: 429, message: 'Too many requests', denied: 'rate_limited', token, retryAfter };
+        }
+
+        if (!token) {
+            return {
+                status: 401,
+                message: this.enabled
+                    ? (secret ? 'Invalid API token' : 'API token required')
+                    : 'API is disabled: no webServer.apiTokens configured',
+                denied: secret ? 'invalid_token' : 'missing_token',
+                token: null
+            };
+        }
+
+        if (!this.hasScope(token, scope)) {
+            return { status: 403, message: `Token "${token.name}" lacks the ${scope} scope`, denied: 'insufficient_scope', token };
+        }
+        return { token };
+    }
+
+    audit(req, res, token, extra = {}) {
+        this.auditLog.write({
+            token: token?.name || null,
+            ip: getClientIp(req),
+            method: req.method,
+            path: req.path,
+            session: req.body?.session ?? req.query.session ?? null,
+            status: res.statusCode,
+            ...extra
+        });
+    }
+
+    // Messages on a WebSocket have no response status, so the outcome goes in `extra`
+    auditMessage(req, token, extra = {}) {
+        this.auditLog.write({
+            token: token?.name || null,
+            ip: getClientIp(req),
+            method: 'WS',
+            path: new URL(req.url, 'http://localhost').pathname,
+            ...extra
+        });
+    }
+
+    // Express middleware requiring a token with `scope`. Control requests and
+    // every rejection are written to the audit log.
+    require(scope, options = {}) {
+        return (req, res, next) => {
+            const { token, status, message, denied, retryAfter } = this.authenticate(req, scope, options);
+
+            if (denied) {
+                if (retryAfter) res.set('Retry-After', String(retryAfter));
+                if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+                res.status(status).json({ success: false, message });
+                this.audit(req, res, token, { denied });
+                return;
+            }
+
+            req.apiToken = token.name;
+            if (scope === 'control') {
+                res.on('finish', () => this.audit(req, res, token));
+            }
+            next();
+        };
+    }
+}
+
+module.exports = { ApiAuth, API_SCOPES, MIN_TOKEN_LENGTH };
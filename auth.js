@@ -0,0 +1,75 @@
+// ============================================================================
+// MICROSOFT DEVICE-CODE AUTHENTICATION
+// ============================================================================
+
+const { EventEmitter } = require('events');
+
+const DEFAULT_CODE_LIFETIME = 15 * 60; // seconds, Microsoft's usual device-code lifetime
+
+// Tracks the device code handed to us by bedrock-protocol's `onMsaCode`
+// callback and reports its outcome through events:
+//   'code'    ({ authUrl, userCode, expiresAt })
+//   'expired' ()
+//   'success' (username)
+//   'failure' (error)
+class MicrosoftAuthManager extends EventEmitter {
+    constructor() {
+        super();
+        this.authUrl = null;
+        this.userCode = null;
+        this.expiresAt = null;
+        this.expiryTimeout = null;
+    }
+
+    get isPending() {
+        return !!(this.authUrl && this.userCode);
+    }
+
+    handleDeviceCode(response) {
+        if (!response || !response.user_code) return;
+
+        this.clear();
+
+        const lifetime = Number(response.expires_in) || DEFAULT_CODE_LIFETIME;
+        const verificationUri = response.verification_uri || 'https://www.microsoft.com/link';
+
+        this.userCode = response.user_code;
+        this.authUrl = `${verificationUri}?otc=${encodeURIComponent(response.user_code)}`;
+        this.expiresAt = Date.now() + lifetime * 1000;
+
+        this.expiryTimeout = setTimeout(() => {
+            this.clear();
+            this.emit('expired');
+        }, lifetime * 1000);
+
+        this.emit('code', {
+            authUrl: this.authUrl,
+            userCode: this.userCode,
+            expiresAt: this.expiresAt
+        });
+    }
+
+    complete(username) {
+        if (!this.isPending) return;
+        this.clear();
+        this.emit('success', username);
+    }
+
+    fail(error) {
+        if (!this.isPending) return;
+        this.clear();
+        this.emit('failure', error);
+    }
+
+    clear() {
+        if (this.expiryTimeout) {
+            clearTimeout(this.expiryTimeout);
+            this.expiryTimeout = null;
+        }
+        this.authUrl = null;
+        this.userCode = null;
+        this.expiresAt = null;
+    }
+}
+
+module.exports = { MicrosoftAuthManager };
@@ -0,0 +1,1678 @@
+// ============================================================================
+// MINECRAFT BEDROCK DISCORD BOT - Discord client, web server and sessions
+// ============================================================================
+
+const { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, SlashCommandSubcommandBuilder, SlashCommandSubcommandGroupBuilder, REST, Routes, MessageFlags, ActivityType } = require('discord.js');
+const express = require('express');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('bedrock-protocol');
+const { resolveSessions } = require('./config');
+const { BedrockSession, CHAT_MODES } = require('./session');
+const { StateStore } = require('./store');
+const { SAFETY_SETTINGS, SAFETY_PRESETS, getSettingByOption } = require('./safety');
+const { ApiAuth } = require('./apiAuth');
+const { PermissionManager } = require('./permissions');
+const { STATS_PERIODS, PERIOD_LABELS, formatUptime } = require('./stats');
+const { AlertDispatcher, ALERT_SEVERITIES, SEVERITY_LABELS } = require('./alerts');
+const { EventBus, EVENT_TYPES } = require('./eventBus');
+const { EventWebhooks } = require('./webhooks');
+const { LiveStream } = require('./stream');
+const { Logger, LOG_LEVELS, LOG_MODULES, formatEntry } = require('./logger');
+
+// Actions a control-scope token may run over REST or the WebSocket
+const CONTROL_ACTIONS = ['connect', 'disconnect', 'chat'];
+
+// Events that change what the control embed and bot activity show
+const EMBED_EVENTS = ['state_changed', 'auth_required', 'auth_updated', 'world_changed', 'died', 'respawned', 'settings_changed'];
+
+// Room left for /logs lines after the code block markers
+const LOGS_EMBED_LIMIT = 3900;
+
+// Static files for the browser dashboard
+const DASHBOARD_DIR = path.join(__dirname, 'public');
+
+// ============================================================================
+// MAIN BOT CLASS
+// ============================================================================
+
+// options.discordClient, options.createClient and options.fetch replace the
+// real Discord client, bedrock-protocol's createClient and the global fetch
+// used for alert and event webhooks (used by the tests). options.logger is
+// the root Logger; one is built from config.logging otherwise.
+class MinecraftBedrockDiscordBot {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.configSource = options.configSource || 'defaults';
+        this.createMinecraftClient = options.createClient || createClient;
+        this.logger = options.logger || new Logger(config.logging);
+        this.discordLogger = this.logger.child('discord');
+        this.webLogger = this.logger.child('web');
+
+        const sessionConfigs = resolveSessions(config);
+        const intents = [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMessages
+        ];
+        // Privileged intent, only requested when a chat bridge needs to read messages
+        if (sessionConfigs.some(s => s.chatBridge.enabled)) {
+            intents.push(GatewayIntentBits.MessageContent);
+        }
+
+        this.discordClient = options.discordClient || new Client({ intents });
+        this.permissions = new PermissionManager(config.permissions);
+        this.alerts = new AlertDispatcher(this, config.alerts, options.fetch);
+        this.webhooks = new EventWebhooks(this, config.events, options.fetch);
+        this.statusUpdateInterval = null;
+
+        // Web server properties
+        this.app = null;
+        this.server = null;
+
+        // Persistent runtime state (must load before sessions restore from it)
+        this.store = new StateStore(this.config.storage.path, this.logger);
+        this.storeStatus = this.loadStore();
+
+        // Sessions publish what happens to them here instead of calling
+        // Discord, the log or webhooks directly
+        this.events = new EventBus();
+        this.setupEventSubscribers();
+
+        // Bedrock sessions, keyed by name
+        this.sessions = new Map();
+        for (const sessionConfig of sessionConfigs) {
+            this.sessions.set(sessionConfig.name, new BedrockSession(this, sessionConfig));
+        }
+
+        this.setupDiscordEvents();
+        this.setupSlashCommands();
+    }
+
+    loadStore() {
+        try {
+            const loaded = this.store.load();
+            return { status: true, details: loaded ? this.config.storage.path : `${this.config.storage.path} (new)` };
+        } catch (error) {
+            // Keep the unreadable file for inspection and start fresh
+            const backupPath = `${this.store.filePath}.corrupt-${Date.now()}`;
+            try {
+                fs.renameSync(this.store.filePath, backupPath);
+            } catch (renameError) {
+                return { status: false, details: `${error.message}; could not move file aside: ${renameError.message}` };
+            }
+            return { status: true, details: `unreadable (${error.message}), moved to ${backupPath}` };
+        }
+    }
+
+    // ========================================================================
+    // SESSION LOOKUP
+    // ========================================================================
+
+    get defaultSession() {
+        return this.sessions.values().next().value;
+    }
+
+    // Explicit name wins; otherwise the session owning the channel, then the first one
+    getSession(name = null, channelId = null) {
+        if (name) {
+            return this.sessions.get(name) || null;
+        }
+
+        if (channelId) {
+            for (const session of this.sessions.values()) {
+                if (session.channelId === channelId) return session;
+            }
+        }
+
+        return this.defaultSession;
+    }
+
+    isControlChannel(channelId) {
+        if (channelId === this.config.discord.channelId) return true;
+        for (const session of this.sessions.values()) {
+            if (session.channelId === channelId) return true;
+        }
+        return false;
+    }
+
+    // ========================================================================
+    // EVENT SUBSCRIBERS
+    // ========================================================================
+
+    setupEventSubscribers() {
+        // Logging
+        this.events.subscribe('state_changed', ({ data }, session) => {
+            session.log(`State: ${data.previous} -> ${data.state}${data.reason ? ` (${data.reason})` : ''}`);
+        });
+        this.events.subscribe('connected', (event, session) => session.log('Bot connected to Bedrock server!'));
+        this.events.subscribe('kicked', ({ data }, session) => session.log(`Kicked: ${data.reason ?? 'no reason given'}`));
+        this.events.subscribe('disconnected', ({ data }, session) => {
+            if (data.cause === 'error') session.logError(`Bedrock client error: ${data.reason}`);
+            else if (data.cause === 'close') session.log(`Connection ended (close): ${data.reason}`);
+        });
+        this.events.subscribe('chat', ({ data }, session) => session.log(`💬 [${data.sender || 'server'}] ${data.message}`));
+        this.events.subscribe('safety_triggered', ({ data }, session) => {
+            const text = `${data.title} (${data.severity}): ${data.description}`;
+            if (data.severity === 'info') session.safetyLogger.info(text);
+            else session.safetyLogger.warn(text);
+        });
+
+        // Control embeds and the bot's activity
+        this.events.subscribe(EMBED_EVENTS, async (event, session) => {
+            if (session.isShuttingDown) return;
+            this.updateDiscordActivity();
+            await session.updateEmbed();
+        });
+
+        // Discord DMs, the alert channel and alert webhooks
+        this.events.subscribe('safety_triggered', ({ data }, session) =>
+            this.alerts.dispatch(session, { ...data, fields: session.createAlertFields() }));
+
+        // Signed event webhooks
+        this.events.subscribe('*', (event, session) => this.webhooks.handleEvent(event, session));
+    }
+
+    // ========================================================================
+    // STARTUP & INITIALIZATION
+    // ========================================================================
+
+    async start() {
+        const services = [{
+            name: 'Configuration',
+            status: true,
+            details: this.configSource
+        }, {
+            name: 'State Store',
+            ...this.storeStatus
+        }];
+
+        try {
+            await this.discordClient.login(this.config.discord.token);
+            services.push({
+                name: 'Discord Bot',
+                status: true,
+                details: this.discordClient.user?.tag
+            });
+
+            this.updateDiscordActivity('🔴 Offline', ActivityType.Watching);
+
+            this.statusUpdateInterval = setInterval(() => {
+                for (const session of this.sessions.values()) {
+                    if (session.isConnected && session.minecraftBot) {
+                        session.updateEmbed();
+                    }
+                }
+                this.updateDiscordActivity();
+            }, 30000);
+
+        } catch (error) {
+            services.push({
+                name: 'Discord Bot',
+                status: false,
+                details: error.message
+            });
+        }
+
+        try {
+            await this.startWebServer();
+            services.push({
+                name: 'Web Server',
+                status: true,
+                details: `http://${this.webHost}:${this.config.webServer.port}` +
+                    (this.apiAuth.enabled ? '' : ' (API locked: no apiTokens configured)')
+            });
+        } catch (error) {
+            services.push({
+                name: 'Web Server',
+                status: false,
+                details: error.message
+            });
+        }
+
+        for (const session of this.sessions.values()) {
+            services.push({
+                name: `Session ${session.name}`,
+                status: true,
+                details: `${session.server} - ${session.shouldJoin ? 'Resuming previous connection' : 'Ready (awaiting connection)'}`
+            });
+        }
+
+        this.logServices(services);
+
+        const allOnline = services.every(s => s.status);
+        if (!allOnline) {
+            throw new Error('Some services failed to start');
+        }
+    }
+
+    logServices(services) {
+        for (const { name, status, details } of services) {
+            const text = `${status ? '✓' : '✗'} ${name}: ${status ? 'online' : 'offline'}${details ? ` - ${details}` : ''}`;
+            if (status) this.logger.info(text);
+            else this.logger.error(text);
+        }
+        if (services.every(s => s.status)) this.logger.info('✓ All services operational!');
+    }
+
+    get webHost() {
+        return this.config.webServer.localhostOnly ? '127.0.0.1' : this.config.webServer.host;
+    }
+
+    async startWebServer() {
+        this.app = express();
+
+        this.apiAuth = new ApiAuth(this.config.webServer, this.webLogger);
+
+        this.app.use(express.json());
+        // The dashboard; GET / picks it or the JSON index by Accept header
+        this.app.use(express.static(DASHBOARD_DIR, { index: false }));
+        this.setupWebRoutes();
+        this.server = http.createServer(this.app);
+        this.stream = new LiveStream(this, { actions: CONTROL_ACTIONS });
+        this.stream.attach(this.server);
+
+        return new Promise((resolve, reject) => {
+            this.server.listen(this.config.webServer.port, this.webHost, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // ========================================================================
+    // WEB SERVER ROUTES
+    // ========================================================================
+
+    // Shared by the REST control routes and the WebSocket; returns the JSON reply
+    async runControlAction(session, action, params = {}) {
+        switch (action) {
+            case 'connect':
+                if (session.isConnected) {
+                    return { success: false, message: `Session ${session.name} already connected` };
+                }
+                await session.connect();
+                return { success: true, message: `Connection initiated for ${session.name}` };
+
+            case 'disconnect':
+                await session.disconnect();
+                return { success: true, message: `Session ${session.name} disconnected` };
+
+            case 'chat': {
+                const { message, mode = 'auto', target = null } = params;
+
+                if (!session.isConnected || !session.minecraftBot) {
+                    return { success: false, message: `Session ${session.name} not connected` };
+                }
+                if (!message || typeof message !== 'string') {
+                    return { success: false, message: 'Invalid message' };
+                }
+                if (!CHAT_MODES.includes(mode)) {
+                    return { success: false, message: `Invalid mode, expected one of ${CHAT_MODES.join(', ')}` };
+                }
+
+                const result = await session.sendChatMessage(message, { mode, target });
+                return {
+                    success: result.success,
+                    message: result.success ? 'Message sent' : (result.error || 'Command rejected by server'),
+                    mode: result.mode,
+                    accepted: result.accepted ?? null,
+                    output: result.output || []
+                };
+            }
+
+            default:
+                return { success: false, message: `Unknown action: ${action}` };
+        }
+    }
+
+    // Resolves `session` from the JSON body or query string; replies 404 if unknown
+    getRequestSession(req, res) {
+        const name = req.body?.session ?? req.query.session ?? null;
+        const session = this.getSession(name);
+
+        if (!session) {
+            res.status(404).json({ success: false, message: `Unknown session: ${name}` });
+            return null;
+        }
+        return session;
+    }
+
+    setupWebRoutes() {
+        const requireRead = this.apiAuth.require('read');
+        const requireControl = this.apiAuth.require('control');
+
+        // Health check endpoint (public, so no location details)
+        this.app.get('/health', (req, res) => {
+            const session = this.defaultSession;
+            res.json({
+                status: 'ok',
+                timestamp: new Date().toISOString(),
+                minecraft: {
+                    connected: session.isConnected,
+                    username: session.username
+                },
+                sessions: Array.from(this.sessions.values()).map(s => ({
+                    name: s.name,
+                    connected: s.isConnected
+                })),
+                discord: {
+                    connected: this.discordClient.readyTimestamp !== null,
+                    username: this.discordClient.user?.tag || null
+                }
+            });
+        });
+
+        // Bot status endpoint
+        this.app.get('/status', requireRead, (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            res.json({
+                minecraft: session.getStatus(),
+                sessions: Array.from(this.sessions.values()).map(s => s.getStatus()),
+                discord: {
+                    connected: this.discordClient.readyTimestamp !== null,
+                    username: this.discordClient.user?.tag || null,
+                    guildCount: this.discordClient.guilds.cache.size
+                },
+                uptime: process.uptime()
+            });
+        });
+
+        // Live events as Server-Sent Events (?session=, ?types=a,b; ?token= for EventSource)
+        this.app.get('/events', this.apiAuth.require('read', { allowQueryToken: true }), (req, res) => {
+            this.stream.handleSse(req, res);
+        });
+
+        // Session list
+        this.app.get('/sessions', requireRead, (req, res) => {
+            res.json({
+                sessions: Array.from(this.sessions.values()).map(s => s.getStatus())
+            });
+        });
+
+        // Control endpoints (also available as WebSocket messages)
+        for (const action of CONTROL_ACTIONS) {
+            this.app.post(`/${action}`, requireControl, async (req, res, next) => {
+                const session = this.getRequestSession(req, res);
+                if (!session) return;
+
+                // Express 4 doesn't catch rejections from async handlers
+                try {
+                    res.json(await this.runControlAction(session, action, req.body));
+                } catch (error) {
+                    next(error);
+                }
+            });
+        }
+
+        // Uptime and disconnect statistics
+        this.app.get('/stats', requireRead, (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            const period = req.query.period || '7d';
+            if (!(period in STATS_PERIODS)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `period must be one of ${Object.keys(STATS_PERIODS).join(', ')}`
+                });
+            }
+
+            res.json({ session: session.name, ...session.getStats(period) });
+        });
+
+        // Inventory snapshot and watched items
+        this.app.get('/inventory', requireRead, (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            res.json({
+                session: session.name,
+                connected: session.isConnected,
+                inventory: session.inventory.getStatus(),
+                watches: session.getInventoryWatches()
+            });
+        });
+
+        // Event webhook targets
+        this.app.get('/webhooks', requireRead, (req, res) => {
+            res.json({ webhooks: this.webhooks.describeTargets(), events: EVENT_TYPES });
+        });
+
+        this.app.post('/webhooks', requireControl, (req, res) => {
+            const { url, secret, events } = req.body || {};
+            const result = this.webhooks.register({ url, secret, events });
+            if (!result.success) {
+                return res.status(400).json({ success: false, errors: result.errors });
+            }
+            // The only time the secret is returned
+            res.status(201).json({ success: true, webhook: result.webhook });
+        });
+
+        this.app.delete('/webhooks/:id', requireControl, (req, res) => {
+            if (!this.webhooks.unregister(req.params.id)) {
+                return res.status(404).json({ success: false, message: `Unknown webhook: ${req.params.id}` });
+            }
+            res.json({ success: true });
+        });
+
+        // Safety settings
+        this.app.get('/safety', requireRead, (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            res.json({
+                session: session.name,
+                safety: { ...session.safetyConfig },
+                presets: Object.keys(SAFETY_PRESETS)
+            });
+        });
+
+        this.app.put('/safety', requireControl, (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            // A preset is applied first so individual settings in the same request override it
+            const { session: _session, preset, ...changes } = req.body || {};
+            if (preset !== undefined) {
+                if (!SAFETY_PRESETS[preset]) {
+                    return res.status(400).json({
+                        success: false,
+                        errors: [`preset must be one of ${Object.keys(SAFETY_PRESETS).join(', ')}`]
+                    });
+                }
+                Object.assign(changes, { ...SAFETY_PRESETS[preset], ...changes });
+            }
+
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ success: false, errors: ['no safety settings provided'] });
+            }
+
+            const result = session.updateSafetyConfig(changes);
+            if (!result.success) {
+                return res.status(400).json({ success: false, errors: result.errors });
+            }
+            res.json({ success: true, session: session.name, safety: result.safety });
+        });
+
+        // Root endpoint with basic info
+        this.app.get('/', (req, res) => {
+            if (req.accepts(['json', 'html']) === 'html') {
+                return res.sendFile(path.join(DASHBOARD_DIR, 'index.html'));
+            }
+
+            res.json({
+                name: 'Minecraft Bedrock Discord Bot API',
+                version: '1.0.0',
+                dashboard: 'Open / in a browser for the web dashboard',
+                authentication: 'Send "Authorization: Bearer <token>" or "X-API-Key: <token>" (/events and /ws also accept ?token=). GET routes need the read scope, POST/PUT/DELETE the control scope; / and /health are public.',
+                endpoints: {
+                    'GET /': 'This endpoint (the web dashboard when requested as HTML)',
+                    'GET /health': 'Health check',
+                    'GET /status': 'Detailed bot status (?session=name)',
+                    'GET /sessions': 'List all sessions',
+                    'GET /events': 'Live event stream as Server-Sent Events (optional ?session=name, ?types=chat,health_changed)',
+                    'WS /ws': 'Live events plus {action: "connect|disconnect|chat|status|subscribe", id, session, ...} messages; control actions need the control scope',
+                    'POST /connect': 'Connect to Minecraft server (optional {session: "name"})',
+                    'POST /disconnect': 'Disconnect from Minecraft server (optional {session: "name"})',
+                    'POST /chat': 'Send chat message (requires {message: "text"}, optional {mode: "auto|chat|command|whisper", target: "player", session: "name"})',
+                    'GET /stats': 'Uptime, session lengths and disconnect reasons (?period=24h|7d|30d|all, ?session=name)',
+                    'GET /inventory': 'Inventory items, totals and watched items (?session=name)',
+                    'GET /safety': 'Current safety settings (?session=name)',
+                    'PUT /safety': 'Update safety settings ({proximityRadius: 32, ...} and/or {preset: "strict|relaxed|off"}, optional {session: "name"})',
+                    'GET /webhooks': 'Event webhook targets and the event types they can receive',
+                    'POST /webhooks': 'Register an event webhook ({url: "https://...", optional events: ["kicked"], secret: "16+ chars"}); returns the signing secret once',
+                    'DELETE /webhooks/:id': 'Remove a webhook registered through the API'
+                },
+                minecraft: Array.from(this.sessions.values()).map(s => ({
+                    session: s.name,
+                    server: s.server,
+                    platform: 'Bedrock Edition',
+                    connected: s.isConnected
+                }))
+            });
+        });
+
+        // Error handling middleware
+        this.app.use((error, req, res, next) => {
+            this.webLogger.error(`${req.method} ${req.path} failed:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        });
+
+        // 404 handler
+        this.app.use((req, res) => {
+            res.status(404).json({
+                success: false,
+                message: 'Endpoint not found',
+                availableEndpoints: ['/', '/health', '/status', '/events', '/ws', '/sessions', '/connect', '/disconnect', '/chat', '/stats', '/inventory', '/safety', '/webhooks']
+            });
+        });
+    }
+
+    // ========================================================================
+    // DISCORD EVENT HANDLERS
+    // ========================================================================
+
+    setupDiscordEvents() {
+        this.discordClient.once('clientReady', async () => {
+            await this.registerSlashCommands();
+            for (const session of this.sessions.values()) {
+                await session.setupControlMessage();
+                await session.resume();
+            }
+        });
+
+        this.discordClient.on('interactionCreate', async (interaction) => {
+            if (!interaction.isButton()) return;
+
+            // Button IDs are `<action>:<session>`
+            const [action, sessionName] = interaction.customId.split(':');
+            const session = this.sessions.get(sessionName);
+            if (!session || interaction.message.id !== session.controlMessage?.id) return;
+
+            if (!this.permissions.can(interaction, 'connect')) {
+                await interaction.reply({
+                    content: this.permissions.denialMessage('connect'),
+                    flags: [MessageFlags.Ephemeral]
+                });
+                return;
+            }
+
+            if (action === 'connect') {
+                if (session.isConnected) {
+                    await interaction.reply({
+                        content: `✅ Session **${session.name}** is already connected to the Minecraft Bedrock server!`,
+                        flags: [MessageFlags.Ephemeral]
+                    });
+                    return;
+                }
+
+                const authEmbed = new EmbedBuilder()
+                    .setTitle('🔐 Microsoft Authentication Required')
+                    .setDescription(`Please authenticate to connect session **${session.name}**.`)
+                    .addFields(
+                        { name: '⏳ Status', value: `Connecting to ${session.server}...`, inline: false }
+                    )
+                    .setColor('#ff9900')
+                    .setTimestamp();
+
+                await interaction.reply({
+                    embeds: [authEmbed],
+                    flags: [MessageFlags.Ephemeral]
+                });
+
+                this.updateDiscordActivity('⏳ Starting connection...', ActivityType.Watching);
+
+                await session.connect({ user: interaction.user, interaction });
+
+            } else if (action === 'disconnect') {
+                await session.disconnect();
+
+                await interaction.reply({
+                    content: `✅ Session **${session.name}** disconnected from Minecraft Bedrock server!`,
+                    flags: [MessageFlags.Ephemeral]
+                });
+            }
+        });
+
+        // Relay bridge channel messages into the game
+        this.discordClient.on('messageCreate', async (message) => {
+            if (message.author.bot || message.system) return;
+
+            const sessions = Array.from(this.sessions.values()).filter(session =>
+                session.chatBridge.enabled && session.chatBridge.channelId === message.channelId
+            );
+            if (sessions.length === 0) return;
+
+            const capability = message.content.trim().startsWith('/') ? 'command' : 'chat';
+            if (!this.permissions.can(message, capability)) {
+                await message.react('🔒').catch(error => this.discordLogger.debug('Failed to react to a denied message:', error.message));
+                return;
+            }
+
+            for (const session of sessions) {
+                await session.chatBridge.handleDiscordMessage(message);
+            }
+        });
+
+        // Player-name autocomplete
+        this.discordClient.on('interactionCreate', async (interaction) => {
+            if (!interaction.isAutocomplete()) return;
+
+            try {
+                await this.handleAutocomplete(interaction);
+            } catch (error) {
+                this.discordLogger.error('Error handling autocomplete:', error);
+            }
+        });
+
+        // Handle slash commands
+        this.discordClient.on('interactionCreate', async (interaction) => {
+            if (!interaction.isChatInputCommand()) return;
+
+            // Check if command is used in the correct channel
+            if (!this.isControlChannel(interaction.channelId)) {
+                await interaction.reply({
+                    content: '❌ This bot can only be used in the designated channel!',
+                    flags: [MessageFlags.Ephemeral]
+                });
+                return;
+            }
+
+            try {
+                await this.handleSlashCommand(interaction);
+            } catch (error) {
+                this.discordLogger.error(`Error handling /${interaction.commandName}:`, error);
+                const errorMessage = 'There was an error while executing this command!';
+
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: errorMessage, flags: [MessageFlags.Ephemeral] });
+                } else {
+                    await interaction.reply({ content: errorMessage, flags: [MessageFlags.Ephemeral] });
+                }
+            }
+        });
+    }
+
+    updateDiscordActivity(customStatus = null, activityType = 0) {
+        if (!this.discordClient || !this.discordClient.user) return;
+
+        try {
+            let status = customStatus;
+
+            if (!customStatus) {
+                const sessions = Array.from(this.sessions.values());
+                const online = sessions.filter(s => s.isConnected);
+                const safetyStatus = online.some(s => s.safetyConfig.enabled) ? '🛡️' : '';
+
+                if (online.length > 0) {
+                    status = sessions.length === 1
+                        ? `${safetyStatus} AFK on ${online[0].config.minecraft.host}`
+                        : `${safetyStatus} AFK with ${online.length}/${sessions.length} sessions`;
+                    activityType = ActivityType.Playing;
+                } else if (sessions.some(s => s.shouldJoin)) {
+                    if (sessions.some(s => s.auth.isPending)) {
+                        status = '🔐 Waiting for auth...';
+                        activityType = ActivityType.Watching;
+                    } else {
+                        status = '⏳ Connecting to server...';
+                        activityType = ActivityType.Watching;
+                    }
+                } else {
+                    status = '🔴 Standby';
+                    activityType = ActivityType.Watching;
+                }
+            }
+
+            this.discordClient.user.setActivity(status, { type: activityType });
+        } catch (error) {
+            this.discordLogger.error('Failed to update Discord activity:', error);
+        }
+    }
+
+    // ========================================================================
+    // SLASH COMMANDS
+    // ========================================================================
+
+    // Commands with subcommands take the option on every subcommand instead
+    addSessionOption(command) {
+        const subcommands = command.options.flatMap(option => {
+            if (option instanceof SlashCommandSubcommandGroupBuilder) return option.options;
+            return option instanceof SlashCommandSubcommandBuilder ? [option] : [];
+        });
+
+        for (const target of subcommands.length > 0 ? subcommands : [command]) {
+            target.addStringOption(option =>
+                option.setName('session')
+                    .setDescription('Bot session (defaults to the one for this channel)')
+                    .setRequired(false)
+                    .addChoices(...Array.from(this.sessions.keys()).map(name => ({ name, value: name })))
+            );
+        }
+        return command;
+    }
+
+    createPlayerListCommand(name, description, noun) {
+        return new SlashCommandBuilder()
+            .setName(name)
+            .setDescription(description)
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription(`Add a player to the ${noun} list`)
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Player name')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription(`Remove a player from the ${noun} list`)
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Player name')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription(`Show the ${noun} list`)
+            );
+    }
+
+    // One `/safety set <setting>` subcommand per setting so Discord enforces the value type and range
+    createSafetyCommand() {
+        const setGroup = new SlashCommandSubcommandGroupBuilder()
+            .setName('set')
+            .setDescription('Change a safety setting');
+
+        for (const setting of Object.values(SAFETY_SETTINGS)) {
+            setGroup.addSubcommand(subcommand => {
+                subcommand.setName(setting.option).setDescription(setting.description);
+                const describe = option => option.setName('value').setDescription(setting.description).setRequired(true);
+
+                if (setting.type === 'boolean') {
+                    return subcommand.addBooleanOption(describe);
+                }
+                if (setting.type === 'string') {
+                    return subcommand.addStringOption(option =>
+                        describe(option).addChoices(...setting.enum.map(value => ({ name: value, value })))
+                    );
+                }
+                if (setting.type === 'integer') {
+                    const scale = setting.discordScale || 1;
+                    return subcommand.addIntegerOption(option =>
+                        describe(option).setMinValue(setting.min / scale).setMaxValue(setting.max / scale)
+                    );
+                }
+                return subcommand.addNumberOption(option =>
+                    describe(option).setMinValue(setting.min).setMaxValue(setting.max)
+                );
+            });
+        }
+
+        return new SlashCommandBuilder()
+            .setName('safety')
+            .setDescription('View or change safety monitoring settings')
+            .addSubcommand(subcommand =>
+                subcommand.setName('show')
+                    .setDescription('Show the current safety settings')
+            )
+            .addSubcommandGroup(setGroup)
+            .addSubcommand(subcommand =>
+                subcommand.setName('preset')
+                    .setDescription('Apply strict or relaxed to every safety setting, or turn safety off and keep them')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Preset to apply (off only disables safety mode)')
+                            .setRequired(true)
+                            .addChoices(...Object.keys(SAFETY_PRESETS).map(name => ({ name, value: name })))
+                    )
+            );
+    }
+
+    createScriptCommand() {
+        const addAction = option =>
+            option.setName('type')
+                .setDescription('What the step does')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Command', value: 'command' },
+                    { name: 'Chat', value: 'chat' }
+                );
+        const addWorld = option =>
+            option.setName('world')
+                .setDescription('Only run while the bot is in this world')
+                .setRequired(false);
+
+        return new SlashCommandBuilder()
+            .setName('script')
+            .setDescription('Manage the on-join script and scheduled actions')
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show the join script and scheduled actions')
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Add a step to the join script')
+                    .addStringOption(option =>
+                        option.setName('type')
+                            .setDescription('What the step does')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Command', value: 'command' },
+                                { name: 'Chat', value: 'chat' },
+                                { name: 'Wait for chat', value: 'wait' }
+                            )
+                    )
+                    .addStringOption(option =>
+                        option.setName('text')
+                            .setDescription('Command or chat line ({username}, {session}, {world}); a regex for Wait for chat')
+                            .setRequired(true)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('delay')
+                            .setDescription('Seconds to wait before the step')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(600)
+                    )
+                    .addStringOption(option =>
+                        option.setName('wait-for')
+                            .setDescription('Regex a chat reply must match before the next step')
+                            .setRequired(false)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('timeout')
+                            .setDescription('Seconds to wait for the reply (default 30)')
+                            .setRequired(false)
+                            .setMinValue(1)
+                            .setMaxValue(600)
+                    )
+                    .addBooleanOption(option =>
+                        option.setName('continue-on-timeout')
+                            .setDescription('Keep going when no reply arrives (default: stop the script)')
+                            .setRequired(false)
+                    )
+                    .addStringOption(addWorld)
+                    .addIntegerOption(option =>
+                        option.setName('position')
+                            .setDescription('Insert at this step number (default: the end)')
+                            .setRequired(false)
+                            .setMinValue(1)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Remove a step from the join script')
+                    .addIntegerOption(option =>
+                        option.setName('step')
+                            .setDescription('Step number from /script list')
+                            .setRequired(true)
+                            .setMinValue(1)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('schedule')
+                    .setDescription('Add or replace a recurring action')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Name of the action')
+                            .setRequired(true)
+                            .setMaxLength(32)
+                    )
+                    .addStringOption(addAction)
+                    .addStringOption(option =>
+                        option.setName('text')
+                            .setDescription('Command or chat line')
+                            .setRequired(true)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('every')
+                            .setDescription('Minutes between runs')
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(10080)
+                    )
+                    .addStringOption(addWorld)
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('unschedule')
+                    .setDescription('Remove a recurring action')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Name of the action')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('run')
+                    .setDescription('Run the join script now')
+            );
+    }
+
+    createAntiAfkCommand() {
+        return new SlashCommandBuilder()
+            .setName('antiafk')
+            .setDescription('Keep the bot from being kicked for idling')
+            .addSubcommand(subcommand =>
+                subcommand.setName('on')
+                    .setDescription('Start anti-AFK movement')
+                    .addIntegerOption(option =>
+                        option.setName('interval')
+                            .setDescription('Average seconds between actions')
+                            .setRequired(false)
+                            .setMinValue(5)
+                            .setMaxValue(3600)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('off')
+                    .setDescription('Stop anti-AFK movement')
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('status')
+                    .setDescription('Show anti-AFK settings and activity')
+            );
+    }
+
+    createStatsCommand() {
+        return new SlashCommandBuilder()
+            .setName('stats')
+            .setDescription('Show uptime and disconnect statistics')
+            .addStringOption(option =>
+                option.setName('period')
+                    .setDescription('Time range (defaults to the last 7 days)')
+                    .setRequired(false)
+                    .addChoices(...Object.entries(PERIOD_LABELS).map(([value, name]) => ({ name, value })))
+            );
+    }
+
+    createAlertsCommand() {
+        return new SlashCommandBuilder()
+            .setName('alerts')
+            .setDescription('Get safety alerts for a session by DM')
+            .addSubcommand(subcommand =>
+                subcommand.setName('subscribe')
+                    .setDescription('DM me this session\'s alerts')
+                    .addStringOption(option =>
+                        option.setName('min-severity')
+                            .setDescription('Skip alerts below this severity (default: info)')
+                            .setRequired(false)
+                            .addChoices(...ALERT_SEVERITIES.map(value => ({ name: SEVERITY_LABELS[value], value })))
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('unsubscribe')
+                    .setDescription('Stop DMing me this session\'s alerts')
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('status')
+                    .setDescription('Show where this session\'s alerts are sent')
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('test')
+                    .setDescription('Send a test alert through every alert channel')
+                    .addStringOption(option =>
+                        option.setName('severity')
+                            .setDescription('Severity of the test alert (default: warning)')
+                            .setRequired(false)
+                            .addChoices(...ALERT_SEVERITIES.map(value => ({ name: SEVERITY_LABELS[value], value })))
+                    )
+            );
+    }
+
+    createLogsCommand() {
+        return new SlashCommandBuilder()
+            .setName('logs')
+            .setDescription('Show recent log entries')
+            .addStringOption(option =>
+                option.setName('level')
+                    .setDescription('Minimum level (default: info)')
+                    .setRequired(false)
+                    .addChoices(...LOG_LEVELS.map(value => ({ name: value, value })))
+            )
+            .addStringOption(option =>
+                option.setName('module')
+                    .setDescription('Only entries from this part of the bot')
+                    .setRequired(false)
+                    .addChoices(...LOG_MODULES.map(value => ({ name: value, value })))
+            );
+    }
+
+    createInventoryCommand() {
+        return new SlashCommandBuilder()
+            .setName('inventory')
+            .setDescription('Show what the bot is carrying and manage item alerts')
+            .addSubcommand(subcommand =>
+                subcommand.setName('show')
+                    .setDescription('List inventory items')
+                    .addIntegerOption(option =>
+                        option.setName('page')
+                            .setDescription('Page number')
+                            .setRequired(false)
+                            .setMinValue(1)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('watch')
+                    .setDescription('Alert when the bot is carrying at least this many of an item')
+                    .addStringOption(option =>
+                        option.setName('item')
+                            .setDescription('Item name, e.g. diamond or minecraft:oak_log')
+                            .setRequired(true)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('threshold')
+                            .setDescription('Item count that triggers the alert')
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(2304)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('unwatch')
+                    .setDescription('Stop alerting for an item')
+                    .addStringOption(option =>
+                        option.setName('item')
+                            .setDescription('Item name')
+                            .setRequired(true)
+                    )
+            );
+    }
+
+    setupSlashCommands() {
+        this.commands = [
+            new SlashCommandBuilder()
+                .setName('message')
+                .setDescription('Send a message to the Minecraft Bedrock server')
+                .addStringOption(option =>
+                    option.setName('text')
+                        .setDescription('The message to send')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('How to send it (defaults to command if it starts with /, else chat)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Chat', value: 'chat' },
+                            { name: 'Command', value: 'command' },
+                            { name: 'Whisper', value: 'whisper' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('target')
+                        .setDescription('Player to whisper to (whisper mode only)')
+                        .setRequired(false)
+                ),
+            new SlashCommandBuilder()
+                .setName('status')
+                .setDescription('Show bot connection status'),
+            new SlashCommandBuilder()
+                .setName('connect')
+                .setDescription('Connect the bot to the Minecraft Bedrock server'),
+            new SlashCommandBuilder()
+                .setName('disconnect')
+                .setDescription('Disconnect the bot from the Minecraft Bedrock server'),
+            this.createSafetyCommand(),
+            this.createPlayerListCommand('trust', 'Manage players that never trigger safety alerts', 'trusted'),
+            this.createPlayerListCommand('block', 'Manage players that trigger an immediate safety response', 'blocked'),
+            this.createScriptCommand(),
+            this.createAntiAfkCommand(),
+            this.createInventoryCommand(),
+            this.createStatsCommand(),
+            this.createAlertsCommand(),
+            this.createLogsCommand()
+        ].map(command => this.addSessionOption(command));
+    }
+
+    async registerSlashCommands() {
+        try {
+            const rest = new REST({ version: '10' }).setToken(this.config.discord.token);
+
+            await rest.put(
+                Routes.applicationCommands(this.discordClient.user.id),
+                { body: this.commands.map(command => command.toJSON()) }
+            );
+        } catch (error) {
+            this.discordLogger.error('Error registering slash commands:', error);
+        }
+    }
+
+    async handleSlashCommand(interaction) {
+        const { commandName } = interaction;
+
+        const sessionName = interaction.options.getString('session');
+        const session = this.getSession(sessionName, interaction.channelId);
+        if (!session) {
+            await interaction.reply({ content: `❌ Unknown session: ${sessionName}`, flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        const capability = this.getRequiredCapability(interaction);
+        if (!this.permissions.can(interaction, capability)) {
+            await interaction.reply({ content: this.permissions.denialMessage(capability), flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        switch (commandName) {
+            case 'message':
+                await this.handleMessageCommand(interaction, session);
+                break;
+            case 'status':
+                await this.handleStatusCommand(interaction, session);
+                break;
+            case 'connect':
+                await this.handleConnectCommand(interaction, session);
+                break;
+            case 'disconnect':
+                await this.handleDisconnectCommand(interaction, session);
+                break;
+            case 'safety':
+                await this.handleSafetyCommand(interaction, session);
+                break;
+            case 'trust':
+                await this.handlePlayerListCommand(interaction, session, 'trusted');
+                break;
+            case 'block':
+                await this.handlePlayerListCommand(interaction, session, 'blocked');
+                break;
+            case 'script':
+                await this.handleScriptCommand(interaction, session);
+                break;
+            case 'antiafk':
+                await this.handleAntiAfkCommand(interaction, session);
+                break;
+            case 'inventory':
+                await this.handleInventoryCommand(interaction, session);
+                break;
+            case 'stats':
+                await this.handleStatsCommand(interaction, session);
+                break;
+            case 'alerts':
+                await this.handleAlertsCommand(interaction, session);
+                break;
+            case 'logs':
+                await this.handleLogsCommand(interaction);
+                break;
+            default:
+                await interaction.reply({ content: 'Unknown command!', flags: [MessageFlags.Ephemeral] });
+        }
+    }
+
+    getRequiredCapability(interaction) {
+        switch (interaction.commandName) {
+            case 'connect':
+            case 'disconnect':
+                return 'connect';
+            case 'message': {
+                // Matches how sendChatMessage resolves the `auto` mode
+                const mode = interaction.options.getString('mode') || 'auto';
+                const text = interaction.options.getString('text') || '';
+                return mode === 'command' || (mode === 'auto' && text.trim().startsWith('/')) ? 'command' : 'chat';
+            }
+            case 'safety':
+            case 'trust':
+            case 'block':
+                return ['show', 'list'].includes(interaction.options.getSubcommand()) ? 'view' : 'safety';
+            case 'antiafk':
+                return interaction.options.getSubcommand() === 'status' ? 'view' : 'connect';
+            case 'inventory':
+                return interaction.options.getSubcommand() === 'show' ? 'view' : 'safety';
+            case 'alerts':
+                // Anyone who can see a session may opt in to its alerts
+                return interaction.options.getSubcommand() === 'test' ? 'safety' : 'view';
+            case 'script':
+                // Scripts run commands unattended, so editing them needs the command capability
+                return interaction.options.getSubcommand() === 'list' ? 'view' : 'command';
+            case 'logs':
+                // Logs include sign-in codes, coordinates and every session's chat
+                return 'safety';
+            default:
+                return 'view';
+        }
+    }
+
+    async handleMessageCommand(interaction, session) {
+        const message = interaction.options.getString('text');
+
+        if (!session.isConnected || !session.minecraftBot) {
+            await interaction.reply({
+                content: `❌ Session **${session.name}** is not connected to the Minecraft Bedrock server!`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        const mode = interaction.options.getString('mode') || 'auto';
+        const target = interaction.options.getString('target');
+
+        // Commands can wait several seconds for command_output
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        const result = await session.sendChatMessage(message, { mode, target });
+        const output = result.output?.length ? `\n\`\`\`\n${result.output.join('\n').slice(0, 1500)}\n\`\`\`` : '';
+
+        let content;
+        if (!result.success && result.error) {
+            content = `❌ Failed to send message to Minecraft Bedrock server: ${result.error}`;
+        } else if (result.accepted === false) {
+            content = `❌ Server rejected the ${result.mode} (${session.name}): "${message}"${output}`;
+        } else if (result.accepted === true) {
+            content = `✅ Server accepted the ${result.mode} (${session.name}): "${message}"${output}`;
+        } else {
+            content = `✅ ${result.mode === 'chat' ? 'Message' : 'Command'} sent (${session.name}): "${message}"`;
+        }
+
+        await interaction.editReply({ content });
+    }
+
+    async handleStatusCommand(interaction, session) {
+        const embed = new EmbedBuilder()
+            .setTitle(`🤖 Bedrock Bot Status — ${session.name}`)
+            .setColor(session.isConnected ? '#00ff00' : '#ff0000')
+            .addFields(
+                { name: '🎮 Minecraft Bedrock', value: session.isConnected ? '✅ Connected' : '❌ Disconnected', inline: true },
+                { name: '💬 Discord', value: '✅ Connected', inline: true },
+                { name: '🌐 Web Server', value: `✅ Running on port ${this.config.webServer.port}`, inline: true }
+            );
+
+        if (session.isConnected) {
+            embed.addFields(
+                { name: '👤 Username', value: session.username || 'Unknown', inline: true },
+                { name: '⏱️ Online For', value: formatUptime(Date.now() - session.connectedAt), inline: true },
+                { name: '🌍 World', value: session.world.describe(), inline: true },
+                { name: '📍 Position', value: `X: ${Math.round(session.currentCoords.x)}, Y: ${Math.round(session.currentCoords.y)}, Z: ${Math.round(session.currentCoords.z)}`, inline: true },
+                { name: '❤️ Health', value: session.formatHealth(), inline: true },
+                { name: '🍗 Hunger', value: `${session.vitals.hunger}/${session.vitals.maxHunger} (saturation ${session.vitals.saturation})`, inline: true },
+                { name: '⭐ Level', value: `${session.vitals.xpLevel} (${Math.round(session.vitals.xpProgress * 100)}%)`, inline: true },
+                { name: '🧪 Effects', value: session.formatEffects(), inline: false }
+            );
+        }
+        if (session.vitals.deaths > 0) {
+            const { at, cause } = session.vitals.lastDeath;
+            embed.addFields({
+                name: '☠️ Deaths',
+                value: `${session.vitals.deaths} • last <t:${Math.floor(at / 1000)}:R>${cause ? ` (\`${cause}\`)` : ''}`,
+                inline: false
+            });
+        }
+
+        if (this.sessions.size > 1) {
+            const overview = Array.from(this.sessions.values())
+                .map(s => `${s.isConnected ? '🟢' : s.shouldJoin ? '🟠' : '🔴'} **${s.name}** — \`${s.server}\``)
+                .join('\n');
+            embed.addFields({ name: '🗂️ Sessions', value: overview, inline: false });
+        }
+
+        embed.setTimestamp();
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    async handleConnectCommand(interaction, session) {
+        if (session.isConnected) {
+            await interaction.reply({
+                content: `✅ Session **${session.name}** is already connected to the Minecraft Bedrock server!`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        await interaction.reply({
+            content: `🔄 Attempting to connect session **${session.name}** to ${session.server}...`,
+            flags: [MessageFlags.Ephemeral]
+        });
+
+        await session.connect({ user: interaction.user, interaction });
+    }
+
+    async handleDisconnectCommand(interaction, session) {
+        if (!session.isConnected) {
+            await interaction.reply({
+                content: `❌ Session **${session.name}** is not connected to the Minecraft Bedrock server!`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        await session.disconnect();
+        await interaction.reply({
+            content: `✅ Session **${session.name}** disconnected from the Minecraft Bedrock server!`,
+            flags: [MessageFlags.Ephemeral]
+        });
+    }
+
+    async handleSafetyCommand(interaction, session) {
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'show') {
+            await interaction.reply({
+                embeds: [session.createSafetyEmbed()],
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        let result;
+        let summary;
+        if (group === 'set') {
+            const [key, setting] = getSettingByOption(subcommand);
+            let value;
+            if (setting.type === 'boolean') {
+                value = interaction.options.getBoolean('value', true);
+            } else if (setting.type === 'string') {
+                value = interaction.options.getString('value', true);
+            } else if (setting.type === 'integer') {
+                value = interaction.options.getInteger('value', true) * (setting.discordScale || 1);
+            } else {
+                value = interaction.options.getNumber('value', true);
+            }
+
+            result = session.updateSafetyConfig({ [key]: value });
+            summary = `✅ **${setting.label}** updated for **${session.name}**.`;
+        } else {
+            const preset = interaction.options.getString('name', true);
+            result = session.applySafetyPreset(preset);
+            summary = `✅ Applied the **${preset}** safety preset to **${session.name}**.`;
+        }
+
+        if (!result.success) {
+            await interaction.reply({
+                content: `❌ Invalid safety setting: ${result.errors.join('; ')}`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        await interaction.reply({
+            content: summary,
+            embeds: [session.createSafetyEmbed()],
+            flags: [MessageFlags.Ephemeral]
+        });
+    }
+
+    async handlePlayerListCommand(interaction, session, list) {
+        const subcommand = interaction.options.getSubcommand();
+        const players = session.getPlayerList(list);
+        const emoji = list === 'trusted' ? '✅' : '🚫';
+
+        if (subcommand === 'list') {
+            const entries = Array.from(players).sort((a, b) => a.localeCompare(b)).map(p =>
+                `${emoji} **${p}**${session.nearbyPlayers.has(p) ? ' — 📍 nearby' : ''}`
+            );
+
+            const embed = new EmbedBuilder()
+                .setTitle(`${emoji} ${list === 'trusted' ? 'Trusted' : 'Blocked'} Players — ${session.name}`)
+                .setDescription(entries.length > 0 ? entries.join('\n').slice(0, 4000) : '*No players on this list.*')
+                .setColor(list === 'trusted' ? '#00ff00' : '#8B0000')
+                .setFooter({ text: `${entries.length} player(s)` })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        const player = interaction.options.getString('player').trim();
+
+        if (subcommand === 'add') {
+            const added = session.addToPlayerList(list, player);
+            await interaction.reply({
+                content: added
+                    ? `${emoji} **${player}** added to the ${list} list for **${session.name}**.`
+                    : `ℹ️ **${player}** is already on the ${list} list for **${session.name}**.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+        } else if (subcommand === 'remove') {
+            const removed = session.removeFromPlayerList(list, player);
+            await interaction.reply({
+                content: removed
+                    ? `🗑️ **${player}** removed from the ${list} list for **${session.name}**.`
+                    : `❌ **${player}** is not on the ${list} list for **${session.name}**.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+        }
+    }
+
+    async handleAntiAfkCommand(interaction, session) {
+        const subcommand = interaction.options.getSubcommand();
+        let content = '';
+
+        if (subcommand === 'on') {
+            const interval = interaction.options.getInteger('interval');
+            session.setAntiAfk({ enabled: true, ...(interval ? { interval: interval * 1000 } : {}) });
+            content = session.isConnected
+                ? `✅ Anti-AFK enabled for **${session.name}**.`
+                : `✅ Anti-AFK enabled for **${session.name}**. It starts once the bot is connected.`;
+        } else if (subcommand === 'off') {
+            session.setAntiAfk({ enabled: false });
+            content = `⏸️ Anti-AFK disabled for **${session.name}**.`;
+        }
+
+        await interaction.reply({
+            content,
+            embeds: [session.createAntiAfkEmbed()],
+            flags: [MessageFlags.Ephemeral]
+        });
+    }
+
+    async handleStatsCommand(interaction, session) {
+        const period = interaction.options.getString('period') || '7d';
+        await interaction.reply({ embeds: [session.createStatsEmbed(period)] });
+    }
+
+    async handleAlertsCommand(interaction, session) {
+        const subcommand = interaction.options.getSubcommand();
+        const userId = interaction.user.id;
+        let content;
+
+        if (subcommand === 'subscribe') {
+            const minSeverity = interaction.options.getString('min-severity') || 'info';
+            const { replaced } = session.subscribeAlerts(userId, minSeverity);
+            content = `🔔 ${replaced ? 'Updated your subscription' : 'Subscribed'} to **${session.name}** alerts ` +
+                `(${SEVERITY_LABELS[minSeverity]} and above). Make sure DMs from server members are allowed.`;
+        } else if (subcommand === 'unsubscribe') {
+            content = session.unsubscribeAlerts(userId)
+                ? `🔕 Unsubscribed from **${session.name}** alerts.`
+                : `ℹ️ You are not subscribed to **${session.name}** alerts.`;
+        } else if (subcommand === 'test') {
+            const severity = interaction.options.getString('severity') || 'warning';
+            await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+            await session.sendSafetyAlert(
+                '🧪 Test Alert',
+                `Test alert requested by **${interaction.user.tag}**.`,
+                '#3498db',
+                severity
+            );
+            await interaction.editReply({ content: `✅ Sent a ${SEVERITY_LABELS[severity]} test alert for **${session.name}**.` });
+            return;
+        }
+
+        await interaction.reply({
+            content,
+            embeds: [session.createAlertsEmbed(userId)],
+            flags: [MessageFlags.Ephemeral]
+        });
+    }
+
+    // Every session's entries unless one is picked explicitly
+    async handleLogsCommand(interaction) {
+        const level = interaction.options.getString('level') || 'info';
+        const module = interaction.options.getString('module');
+        const session = interaction.options.getString('session');
+
+        // Newest entries that fit in the embed, oldest first
+        const lines = [];
+        let length = 0;
+        for (const entry of this.logger.getRecent({ level, module, session, limit: 50 }).reverse()) {
+            const line = formatEntry(entry, { time: entry.timestamp.slice(11, 19) }).split('\n')[0].slice(0, 300);
+            if (length + line.length + 1 > LOGS_EMBED_LIMIT) break;
+            lines.unshift(line);
+            length += line.length + 1;
+        }
+
+        const filters = [`${level}+`, module, session].filter(Boolean).join(', ');
+        const embed = new EmbedBuilder()
+            .setTitle('📜 Recent Logs')
+            .setDescription(lines.length > 0
+                ? `\`\`\`\n${lines.join('\n').replace(/```/g, '`\u200b``')}\n\`\`\``
+                : 'No matching log entries yet.')
+            .setColor('#95a5a6')
+            .setFooter({ text: `${lines.length} entr${lines.length === 1 ? 'y' : 'ies'} (${filters})` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleInventoryCommand(interaction, session) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'show') {
+            const page = interaction.options.getInteger('page') || 1;
+            await interaction.reply({ embeds: [session.createInventoryEmbed(page)] });
+            return;
+        }
+
+        const item = interaction.options.getString('item', true);
+        let content;
+        if (subcommand === 'watch') {
+            const threshold = interaction.options.getInteger('threshold', true);
+            const result = session.setInventoryWatch(item, threshold);
+            content = result.success
+                ? `✅ ${result.replaced ? 'Updated' : 'Added'} watch on **${item}** at **${threshold}** for **${session.name}**.`
+                : `❌ ${result.errors.join('\n')}`;
+        } else {
+            content = session.removeInventoryWatch(item)
+                ? `🗑️ Stopped watching **${item}** for **${session.name}**.`
+                : `❌ **${item}** is not being watched in **${session.name}**.`;
+        }
+
+        await interaction.reply({ content, flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleScriptCommand(interaction, session) {
+        const subcommand = interaction.options.getSubcommand();
+        const reply = (content, embeds = []) => interaction.reply({ content, embeds, flags: [MessageFlags.Ephemeral] });
+        const world = interaction.options.getString('world');
+        const when = world ? { world } : undefined;
+
+        if (subcommand === 'list') {
+            await reply('', [session.createScriptsEmbed()]);
+            return;
+        }
+
+        if (subcommand === 'add') {
+            const type = interaction.options.getString('type', true);
+            const text = interaction.options.getString('text', true);
+            const delay = interaction.options.getInteger('delay');
+            const timeout = interaction.options.getInteger('timeout');
+
+            const step = type === 'wait' ? { waitFor: text } : { [type]: text };
+            if (type !== 'wait' && interaction.options.getString('wait-for')) {
+                step.waitFor = interaction.options.getString('wait-for');
+            }
+            if (delay) step.delay = delay * 1000;
+            if (timeout && step.waitFor) step.timeout = timeout * 1000;
+            if (interaction.options.getBoolean('continue-on-timeout') && step.waitFor) step.onTimeout = 'continue';
+            if (when) step.when = when;
+
+            const result = session.addJoinStep(step, interaction.options.getInteger('position'));
+            if (!result.success) {
+                await reply(`❌ Invalid step: ${result.errors.join('; ')}`);
+                return;
+            }
+            await reply(`✅ Added step ${result.position} to the join script for **${session.name}**.`, [session.createScriptsEmbed()]);
+        } else if (subcommand === 'remove') {
+            const position = interaction.options.getInteger('step', true);
+            if (!session.removeJoinStep(position)) {
+                await reply(`❌ The join script for **${session.name}** has no step ${position}.`);
+                return;
+            }
+            await reply(`🗑️ Removed step ${position} from the join script for **${session.name}**.`, [session.createScriptsEmbed()]);
+        } else if (subcommand === 'schedule') {
+            const name = interaction.options.getString('name', true);
+            const type = interaction.options.getString('type', true);
+            const action = {
+                name,
+                [type]: interaction.options.getString('text', true),
+                every: interaction.options.getInteger('every', true) * 60000
+            };
+            if (when) action.when = when;
+
+            const result = session.setScheduledAction(action);
+            if (!result.success) {
+                await reply(`❌ Invalid scheduled action: ${result.errors.join('; ')}`);
+                return;
+            }
+            await reply(`✅ ${result.replaced ? 'Updated' : 'Added'} scheduled action **${name}** for **${session.name}**.`, [session.createScriptsEmbed()]);
+        } else if (subcommand === 'unschedule') {
+            const name = interaction.options.getString('name', true);
+            await reply(session.removeScheduledAction(name)
+                ? `🗑️ Removed scheduled action **${name}** from **${session.name}**.`
+                : `❌ **${session.name}** has no scheduled action named **${name}**.`);
+        } else if (subcommand === 'run') {
+            if (!session.isConnected) {
+                await reply(`❌ Session **${session.name}** is not connected to the Minecraft Bedrock server!`);
+                return;
+            }
+            if (session.scriptConfig.onJoin.length === 0) {
+                await reply(`ℹ️ The join script for **${session.name}** has no steps. Add one with \`/script add\`.`);
+                return;
+            }
+            await reply(session.scripts.runJoinScript()
+                ? `▶️ Running the join script for **${session.name}** (${session.scriptConfig.onJoin.length} step(s)). Check \`/script list\` for the result.`
+                : `⏳ The join script for **${session.name}** is already running.`);
+        }
+    }
+
+    async handleAutocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        if (focused.name !== 'player' || !this.permissions.can(interaction, 'view')) {
+            await interaction.respond([]);
+            return;
+        }
+
+        const session = this.getSession(interaction.options.getString('session'), interaction.channelId);
+        if (!session) {
+            await interaction.respond([]);
+            return;
+        }
+
+        // `add` suggests players around the bot, `remove` the list's current members
+        const list = interaction.commandName === 'trust' ? 'trusted' : 'blocked';
+        const candidates = interaction.options.getSubcommand() === 'remove'
+            ? Array.from(session.getPlayerList(list))
+            : Array.from(session.nearbyPlayers).filter(p => !session.findPlayer(session.getPlayerList(list), p));
+
+        const query = focused.value.toLowerCase();
+        await interaction.respond(
+            candidates
+                .filter(p => p.toLowerCase().includes(query))
+                .slice(0, 25)
+                .map(p => ({ name: p, value: p }))
+        );
+    }
+
+    // ========================================================================
+    // GRACEFUL SHUTDOWN
+    // ========================================================================
+
+    async shutdown() {
+        if (this.statusUpdateInterval) {
+            clearInterval(this.statusUpdateInterval);
+        }
+
+        for (const session of this.sessions.values()) {
+            session.shutdown();
+        }
+        this.store.flush();
+
+        if (this.discordClient) {
+            this.discordClient.destroy();
+        }
+
+        this.stream?.close();
+
+        if (this.server) {
+            return new Promise((resolve) => {
+                this.server.close(() => {
+                    resolve();
+                });
+            });
+        }
+    }
+}
+
+module.exports = { MinecraftBedrockDiscordBot };
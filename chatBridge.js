@@ -0,0 +1,256 @@
+// ============================================================================
+// DISCORD <-> MINECRAFT CHAT BRIDGE
+// ============================================================================
+
+const { escapeMarkdown } = require('discord.js');
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+const MINECRAFT_CHAT_LIMIT = 256;
+
+// Text packet types that are never relayed (action bar / jukebox noise)
+const IGNORED_TEXT_TYPES = new Set(['popup', 'jukebox_popup', 'tip']);
+const WHISPER_TEXT_TYPES = new Set(['whisper', 'json_whisper']);
+
+// § formatting codes and the Discord markdown they map to
+const FORMAT_MARKERS = {
+    l: '**',  // bold
+    o: '*',   // italic
+    n: '__',  // underline
+    m: '~~'   // strikethrough
+};
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+function stripFormatting(text) {
+    return text.replace(/§./g, '');
+}
+
+// Colours have no Discord equivalent and are dropped; bold/italic/underline/
+// strikethrough carry over until §r
+function toDiscordMarkdown(text) {
+    const active = new Set();
+    const segments = [];
+
+    for (const [index, part] of text.split(/§(.)/).entries()) {
+        // Odd indexes are the captured format code
+        if (index % 2 === 1) {
+            const code = part.toLowerCase();
+            if (code === 'r') active.clear();
+            else if (FORMAT_MARKERS[code]) active.add(FORMAT_MARKERS[code]);
+            continue;
+        }
+        if (!part) continue;
+
+        // Merge runs that share the same formatting
+        const markers = Array.from(active);
+        const last = segments[segments.length - 1];
+        if (last && last.markers.join() === markers.join()) {
+            last.text += part;
+        } else {
+            segments.push({ markers, text: part });
+        }
+    }
+
+    return segments.map(({ markers, text }) => {
+        const escaped = escapeMarkdown(text);
+        if (markers.length === 0 || !text.trim()) return escaped;
+
+        // Markdown markers must hug the text, so keep surrounding spaces outside
+        const [, lead, core, trail] = escaped.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return lead + markers.join('') + core + [...markers].reverse().join('') + trail;
+    }).join('');
+}
+
+// json text types carry a {"rawtext":[{"text": ...}]} payload
+function extractRawText(message) {
+    const parsed = JSON.parse(message);
+    return (parsed.rawtext || [])
+        .map(part => part.text || part.translate || '')
+        .join('');
+}
+
+function compilePatterns(patterns = []) {
+    return patterns.map(pattern => new RegExp(pattern, 'i'));
+}
+
+// ============================================================================
+// BRIDGE
+// ============================================================================
+
+class ChatBridge {
+    constructor(session, options = {}) {
+        this.session = session;
+        this.options = {
+            enabled: false,
+            channelId: null,
+            batchInterval: 2000,
+            formatting: 'markdown',
+            muteSystem: false,
+            mutePatterns: [],
+            highlightKeywords: [],
+            allowCommands: false,
+            ...options
+        };
+        this.mutePatterns = compilePatterns(this.options.mutePatterns);
+        this.queue = [];
+        this.flushTimer = null;
+    }
+
+    get enabled() {
+        return this.options.enabled;
+    }
+
+    get channelId() {
+        return this.options.channelId || this.session.channelId;
+    }
+
+    // ========================================================================
+    // MINECRAFT -> DISCORD
+    // ========================================================================
+
+    // Normalises a `text` packet into { kind, sender, message } or null
+    parseTextPacket(packet) {
+        if (!packet || IGNORED_TEXT_TYPES.has(packet.type)) return null;
+
+        let message = packet.message || '';
+        if (packet.type && packet.type.startsWith('json')) {
+            try {
+                message = extractRawText(message);
+            } catch (error) {
+                this.session.logger.debug(`Relaying unparseable ${packet.type} text as is:`, error.message);
+            }
+        } else if (packet.parameters?.length) {
+            message = `${message} ${packet.parameters.join(' ')}`;
+        }
+        if (!message.trim()) return null;
+
+        let kind = 'system';
+        if (packet.type === 'chat') kind = 'chat';
+        else if (WHISPER_TEXT_TYPES.has(packet.type)) kind = 'whisper';
+
+        return {
+            kind,
+            sender: packet.source_name || null,
+            message
+        };
+    }
+
+    relay({ kind, sender, message }) {
+        if (!this.enabled) return;
+
+        // Skip the server's echo of our own chat
+        if (sender && sender === this.session.username) return;
+
+        const plain = stripFormatting(message);
+        if (kind === 'system' && this.options.muteSystem) return;
+        if (this.mutePatterns.some(pattern => pattern.test(plain))) return;
+
+        this.queue.push(this.formatLine(kind, sender, message, this.isHighlight(plain)));
+        this.scheduleFlush();
+    }
+
+    isHighlight(plainText) {
+        const text = plainText.toLowerCase();
+        const keywords = [this.session.username, ...this.options.highlightKeywords].filter(Boolean);
+        return keywords.some(keyword => text.includes(keyword.toLowerCase()));
+    }
+
+    formatLine(kind, sender, message, highlight) {
+        const body = this.options.formatting === 'strip'
+            ? escapeMarkdown(stripFormatting(message))
+            : toDiscordMarkdown(message);
+        const name = sender ? escapeMarkdown(stripFormatting(sender)) : null;
+
+        let line;
+        if (kind === 'chat') {
+            line = `**${name || 'unknown'}**: ${body}`;
+        } else if (kind === 'whisper') {
+            line = `📩 ${name ? `**${name}** ` : ''}whispers: ${body}`;
+        } else {
+            line = `📢 ${body}`;
+        }
+
+        return highlight ? `🔔 ${line}` : line;
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.options.batchInterval);
+    }
+
+    // Packs queued lines into as few messages as Discord's length limit allows
+    async flush() {
+        if (this.queue.length === 0) return;
+
+        const lines = this.queue.splice(0);
+        const messages = [];
+        let current = '';
+
+        for (let line of lines) {
+            if (line.length > DISCORD_MESSAGE_LIMIT) {
+                line = line.slice(0, DISCORD_MESSAGE_LIMIT - 1) + '…';
+            }
+            if (current && current.length + line.length + 1 > DISCORD_MESSAGE_LIMIT) {
+                messages.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${line}` : line;
+        }
+        if (current) messages.push(current);
+
+        try {
+            const channel = await this.session.discordClient.channels.fetch(this.channelId);
+            if (!channel) return;
+
+            for (const content of messages) {
+                await channel.send({ content, allowedMentions: { parse: [] } });
+            }
+        } catch (error) {
+            this.session.discordLogger.error('Failed to relay chat to Discord:', error.message);
+        }
+    }
+
+    // ========================================================================
+    // DISCORD -> MINECRAFT
+    // ========================================================================
+
+    async handleDiscordMessage(message) {
+        if (!this.enabled) return;
+
+        const content = message.content.trim();
+        if (!content) return;
+
+        if (content.startsWith('/') && !this.options.allowCommands) {
+            await message.react('🚫').catch(error => this.logReactionFailure(error));
+            return;
+        }
+
+        if (!this.session.isConnected) {
+            await message.react('❌').catch(error => this.logReactionFailure(error));
+            return;
+        }
+
+        const result = await this.session.sendChatMessage(content.slice(0, MINECRAFT_CHAT_LIMIT));
+        await message.react(result.success ? '✅' : '❌').catch(error => this.logReactionFailure(error));
+    }
+
+    // Missing Add Reactions permission shouldn't stop the bridge
+    logReactionFailure(error) {
+        this.session.discordLogger.debug('Failed to react to a bridged message:', error.message);
+    }
+
+    stop() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.queue = [];
+    }
+}
+
+module.exports = { ChatBridge, stripFormatting, toDiscordMarkdown };
@@ -0,0 +1,677 @@
+// ============================================================================
+// CONFIGURATION LOADER
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { SAFETY_SETTINGS } = require('./safety');
+const { API_SCOPES, MIN_TOKEN_LENGTH } = require('./apiAuth');
+const { CAPABILITIES } = require('./permissions');
+const { STRATEGIES, REASON_CATEGORIES } = require('./reconnectPolicy');
+const { validateScripts } = require('./scripts');
+const { ANTI_AFK_PATTERNS } = require('./antiAfk');
+const { validateInventoryWatches } = require('./inventory');
+const { ALERT_SEVERITIES, validateWebhooks } = require('./alerts');
+const { validateEventWebhooks } = require('./webhooks');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+const DEFAULT_CONFIG = {
+    discord: {
+        token: null,
+        channelId: null
+    },
+    minecraft: {
+        host: 'donutsmp.net',
+        port: 19132,
+        username: '', // Auto-detect from Microsoft account
+        auth: 'microsoft',
+        offline: false,
+        profilesFolder: './profiles',
+        version: '1.21.100' // Use closest supported version to server's 1.21.124
+    },
+    webServer: {
+        port: 5000,
+        host: '0.0.0.0',
+        localhostOnly: false, // Binds to 127.0.0.1 regardless of host
+        // Everything except /health and / requires one of these tokens:
+        // { name: 'dashboard', token: '<random string>', scopes: ['read', 'control'] }
+        apiTokens: [],
+        rateLimit: {
+            windowMs: 60000,
+            maxRequests: 60
+        },
+        auditLog: './data/audit.log'
+    },
+    safety: {
+        enabled: false,
+        proximityRadius: 50,
+        minHealth: 10,
+        alertCooldown: 30000,
+        autoDisconnectOnThreat: true,
+        autoDisconnectHealth: 6,
+        blockedPlayerAction: 'disconnect',
+        minHunger: 6,
+        effectAlerts: true,
+        disconnectOnDeath: false
+    },
+    reconnect: {
+        delay: 15000,          // Base delay for exponential backoff
+        maxDelay: 300000,
+        jitter: 0.2,           // ±20% so sessions don't retry in lockstep
+        scheduledDelay: 60000, // Wait used by the `scheduled` strategy
+        maxAttempts: 10000,
+        // Strategy per kick/disconnect reason: immediate, backoff, scheduled or give_up
+        strategies: {
+            banned: 'give_up',
+            whitelist: 'give_up',
+            outdated: 'give_up',
+            server_full: 'scheduled',
+            restarting: 'scheduled',
+            idle: 'immediate',
+            network: 'backoff',
+            unknown: 'backoff'
+        }
+    },
+    storage: {
+        path: './data/state.json'
+    },
+    logging: {
+        level: 'info',      // debug, info, warn or error
+        format: 'pretty',   // 'json' prints one object per line for log shippers
+        file: {
+            enabled: true,  // Always JSON lines
+            path: './data/logs/bot.log',
+            maxSize: 5242880, // Rotate to bot.log.1 once the file reaches 5 MB...
+            maxFiles: 5       // ...keeping this many old files
+        },
+        bufferSize: 500     // Recent entries, at every level, kept for /logs
+    },
+    players: {
+        trusted: [],
+        blocked: []
+    },
+    // Where safety and inventory alerts go. Each sink only gets alerts at or
+    // above its minSeverity (info, warning or critical).
+    alerts: {
+        dm: {
+            enabled: true,
+            minSeverity: 'info',
+            subscribers: [] // User IDs; /alerts subscribe adds more per session
+        },
+        channel: {
+            enabled: false,
+            channelId: null,
+            minSeverity: 'warning',
+            mentionRoles: [],          // Role IDs pinged for...
+            mentionSeverity: 'critical' // ...alerts at or above this severity
+        },
+        webhooks: [], // { url: 'https://...', minSeverity: 'warning', headers: {} }
+        timeout: 10000, // Per attempt
+        retry: {
+            attempts: 3,
+            delay: 2000 // Doubles after each failed attempt
+        }
+    },
+    // Every bus event (connected, kicked, chat, ...) POSTed as signed JSON;
+    // more targets can be registered at runtime with POST /webhooks
+    events: {
+        webhooks: [], // { url: 'https://...', secret: '16+ characters', events: ['kicked', 'safety_triggered'] }
+        timeout: 10000, // Per attempt
+        retry: {
+            attempts: 5,
+            delay: 1000 // Doubles after each failed attempt
+        }
+    },
+    // Discord access control; capabilities: view, connect, chat, command, safety
+    permissions: {
+        everyone: ['view'],
+        administrators: true, // Members with Discord's Administrator permission get everything
+        roles: [], // { id: '<role id>', capabilities: ['connect', 'chat'] }
+        users: []  // { id: '<user id>', capabilities: ['safety'] }
+    },
+    chatBridge: {
+        enabled: false,
+        channelId: null, // Defaults to the session's control channel
+        batchInterval: 2000,
+        formatting: 'markdown',
+        muteSystem: false,
+        mutePatterns: [],
+        highlightKeywords: [],
+        allowCommands: false
+    },
+    // Periodic player_auth_input movement so servers don't kick the bot for idling
+    antiAfk: {
+        enabled: false,
+        interval: 45000,      // Average time between actions
+        jitter: 0.5,          // ±50% so the rhythm isn't obvious
+        patterns: ['look', 'jump', 'sneak', 'walk'],
+        threatPause: 120000   // Stand still this long after an untrusted player shows up (0 = never pause)
+    },
+    vitals: {
+        autoRespawn: false,
+        respawnDelay: 3000 // Wait on the death screen before respawning
+    },
+    // Alerts when the inventory fills up or an item pile reaches a threshold:
+    // { item: 'diamond', threshold: 64 }
+    inventory: {
+        fullAlert: true,
+        watch: []
+    },
+    // Run after every join, in order:
+    // { delay: 5000, command: '/tpa {username}', waitFor: 'teleported', timeout: 30000, when: { dimension: 'overworld' } }
+    // and on a timer while online: { name: 'balance', command: '/balance', every: 3600000 }
+    scripts: {
+        onJoin: [],
+        scheduled: []
+    },
+    // Optional fleet: each entry overrides the top-level minecraft/safety/
+    // reconnect/players sections for one named session
+    sessions: []
+};
+
+// Every accepted option, keyed by its dotted path
+const SCHEMA = {
+    'discord.token': { type: 'string', required: true },
+    'discord.channelId': { type: 'string', required: true, pattern: /^\d+$/, hint: 'a numeric channel ID' },
+    'minecraft.host': { type: 'string', required: true },
+    'minecraft.port': { type: 'integer', min: 1, max: 65535 },
+    'minecraft.username': { type: 'string' },
+    'minecraft.auth': { type: 'string', enum: ['microsoft', 'offline'] },
+    'minecraft.offline': { type: 'boolean' },
+    'minecraft.profilesFolder': { type: 'string', required: true },
+    'minecraft.version': { type: 'string', pattern: /^\d+\.\d+\.\d+$/, hint: 'a version like 1.21.100' },
+    'webServer.port': { type: 'integer', min: 0, max: 65535 },
+    'webServer.host': { type: 'string', required: true },
+    'webServer.localhostOnly': { type: 'boolean' },
+    'webServer.apiTokens': { type: 'object[]' },
+    'webServer.rateLimit.windowMs': { type: 'integer', min: 1000 },
+    'webServer.rateLimit.maxRequests': { type: 'integer', min: 1 },
+    'webServer.auditLog': { type: 'string', required: true },
+    ...Object.fromEntries(Object.entries(SAFETY_SETTINGS).map(([key, { type, min, max, enum: values }]) =>
+        [`safety.${key}`, { type, min, max, enum: values }])),
+    'reconnect.delay': { type: 'integer', min: 1000 },
+    'reconnect.maxDelay': { type: 'integer', min: 1000 },
+    'reconnect.jitter': { type: 'number', min: 0, max: 1 },
+    'reconnect.scheduledDelay': { type: 'integer', min: 1000 },
+    'reconnect.maxAttempts': { type: 'integer', min: 0 },
+    ...Object.fromEntries(REASON_CATEGORIES.map(category =>
+        [`reconnect.strategies.${category}`, { type: 'string', enum: STRATEGIES }])),
+    'storage.path': { type: 'string', required: true },
+    'logging.level': { type: 'string', enum: LOG_LEVELS },
+    'logging.format': { type: 'string', enum: LOG_FORMATS },
+    'logging.file.enabled': { type: 'boolean' },
+    'logging.file.path': { type: 'string', required: true },
+    'logging.file.maxSize': { type: 'integer', min: 1024 },
+    'logging.file.maxFiles': { type: 'integer', min: 0, max: 100 },
+    'logging.bufferSize': { type: 'integer', min: 10, max: 10000 },
+    'players.trusted': { type: 'string[]' },
+    'players.blocked': { type: 'string[]' },
+    'permissions.everyone': { type: 'string[]' },
+    'permissions.administrators': { type: 'boolean' },
+    'permissions.roles': { type: 'object[]' },
+    'permissions.users': { type: 'object[]' },
+    'alerts.dm.enabled': { type: 'boolean' },
+    'alerts.dm.minSeverity': { type: 'string', enum: ALERT_SEVERITIES },
+    'alerts.dm.subscribers': { type: 'string[]' },
+    'alerts.channel.enabled': { type: 'boolean' },
+    'alerts.channel.channelId': { type: 'string', pattern: /^\d+$/, hint: 'a numeric channel ID' },
+    'alerts.channel.minSeverity': { type: 'string', enum: ALERT_SEVERITIES },
+    'alerts.channel.mentionRoles': { type: 'string[]' },
+    'alerts.channel.mentionSeverity': { type: 'string', enum: ALERT_SEVERITIES },
+    'alerts.webhooks': { type: 'object[]' },
+    'alerts.timeout': { type: 'integer', min: 1000, max: 120000 },
+    'alerts.retry.attempts': { type: 'integer', min: 1, max: 10 },
+    'alerts.retry.delay': { type: 'integer', min: 0, max: 60000 },
+    'events.webhooks': { type: 'object[]' },
+    'events.timeout': { type: 'integer', min: 1000, max: 120000 },
+    'events.retry.attempts': { type: 'integer', min: 1, max: 10 },
+    'events.retry.delay': { type: 'integer', min: 0, max: 60000 },
+    'chatBridge.enabled': { type: 'boolean' },
+    'chatBridge.channelId': { type: 'string', pattern: /^\d+$/, hint: 'a numeric channel ID' },
+    'chatBridge.batchInterval': { type: 'integer', min: 500, max: 60000 },
+    'chatBridge.formatting': { type: 'string', enum: ['markdown', 'strip'] },
+    'chatBridge.muteSystem': { type: 'boolean' },
+    'chatBridge.mutePatterns': { type: 'regex[]' },
+    'chatBridge.highlightKeywords': { type: 'string[]' },
+    'chatBridge.allowCommands': { type: 'boolean' },
+    'antiAfk.enabled': { type: 'boolean' },
+    'antiAfk.interval': { type: 'integer', min: 5000, max: 3600000 },
+    'antiAfk.jitter': { type: 'number', min: 0, max: 1 },
+    'antiAfk.patterns': { type: 'string[]', enum: ANTI_AFK_PATTERNS },
+    'antiAfk.threatPause': { type: 'integer', min: 0, max: 3600000 },
+    'vitals.autoRespawn': { type: 'boolean' },
+    'vitals.respawnDelay': { type: 'integer', min: 0, max: 60000 },
+    'inventory.fullAlert': { type: 'boolean' },
+    'inventory.watch': { type: 'object[]' },
+    'scripts.onJoin': { type: 'object[]' },
+    'scripts.scheduled': { type: 'object[]' },
+    'sessions': { type: 'object[]' }
+};
+
+// Sections a fleet session may override
+const SESSION_SECTIONS = ['minecraft', 'safety', 'reconnect', 'players', 'chatBridge', 'antiAfk', 'vitals', 'inventory', 'scripts'];
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const MAX_SESSIONS = 25; // Discord's limit on slash command option choices
+const DEFAULT_SESSION_NAME = 'main';
+
+const ENV_OVERRIDES = {
+    DISCORD_BOT_TOKEN: 'discord.token',
+    DISCORD_CHANNEL_ID: 'discord.channelId',
+    MC_HOST: 'minecraft.host',
+    MC_PORT: 'minecraft.port',
+    MC_USERNAME: 'minecraft.username',
+    MC_AUTH: 'minecraft.auth',
+    MC_OFFLINE: 'minecraft.offline',
+    MC_VERSION: 'minecraft.version',
+    MC_PROFILES_FOLDER: 'minecraft.profilesFolder',
+    PORT: 'webServer.port',
+    WEB_HOST: 'webServer.host',
+    WEB_LOCALHOST_ONLY: 'webServer.localhostOnly',
+    SAFETY_ENABLED: 'safety.enabled',
+    RECONNECT_DELAY: 'reconnect.delay',
+    MAX_RECONNECT_ATTEMPTS: 'reconnect.maxAttempts',
+    STATE_FILE: 'storage.path',
+    LOG_LEVEL: 'logging.level',
+    LOG_FORMAT: 'logging.format',
+    LOG_FILE: 'logging.file.path',
+    TRUSTED_PLAYERS: 'players.trusted',
+    BLOCKED_PLAYERS: 'players.blocked',
+    CHAT_BRIDGE_ENABLED: 'chatBridge.enabled',
+    CHAT_BRIDGE_CHANNEL_ID: 'chatBridge.channelId',
+    ANTI_AFK_ENABLED: 'antiAfk.enabled',
+    AUTO_RESPAWN: 'vitals.autoRespawn',
+    ALERT_CHANNEL_ID: 'alerts.channel.channelId'
+};
+
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yml', 'config.yaml'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(target[key])
+            ? deepMerge(target[key], value)
+            : value;
+    }
+    return result;
+}
+
+function flatten(object, prefix = '') {
+    const entries = {};
+    for (const [key, value] of Object.entries(object)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            Object.assign(entries, flatten(value, keyPath));
+        } else {
+            entries[keyPath] = value;
+        }
+    }
+    return entries;
+}
+
+function setPath(object, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = object;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+function coerceEnvValue(raw, type) {
+    switch (type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(raw);
+            return raw.trim() !== '' && !Number.isNaN(number) ? number : raw;
+        }
+        case 'boolean':
+            if (/^(true|1|yes|on)$/i.test(raw)) return true;
+            if (/^(false|0|no|off)$/i.test(raw)) return false;
+            return raw;
+        case 'string[]':
+            return raw.split(',').map(s => s.trim()).filter(Boolean);
+        default:
+            return raw;
+    }
+}
+
+function getConfigPathArg(argv) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') return argv[i + 1] || '';
+        if (argv[i].startsWith('--config=')) return argv[i].slice('--config='.length);
+    }
+    return null;
+}
+
+function readConfigFile(filePath) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const parsed = extension === '.yml' || extension === '.yaml'
+        ? YAML.parse(contents)
+        : JSON.parse(contents);
+
+    if (parsed == null) return {};
+    if (!isPlainObject(parsed)) {
+        throw new Error('top level must be an object');
+    }
+    return parsed;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function describe(value) {
+    return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function validateField(value, rule) {
+    if (value === null || value === undefined || value === '') {
+        return rule.required ? 'is required' : null;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `must be a string (got ${describe(value)})`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `must be true or false (got ${describe(value)})`;
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return `must be a whole number (got ${describe(value)})`;
+            break;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) return `must be a number (got ${describe(value)})`;
+            break;
+        case 'string[]':
+            if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) {
+                return `must be a list of strings (got ${describe(value)})`;
+            }
+            break;
+        case 'regex[]':
+            if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) {
+                return `must be a list of regular expressions (got ${describe(value)})`;
+            }
+            for (const pattern of value) {
+                try {
+                    new RegExp(pattern);
+                } catch (error) {
+                    return `contains an invalid regular expression: ${error.message}`;
+                }
+            }
+            break;
+        case 'object[]':
+            if (!Array.isArray(value) || !value.every(isPlainObject)) {
+                return `must be a list of objects (got ${describe(value)})`;
+            }
+            break;
+    }
+
+    if (rule.enum && Array.isArray(value)) {
+        const unknown = value.filter(v => !rule.enum.includes(v));
+        if (unknown.length > 0) return `may only contain ${rule.enum.join(', ')} (got ${describe(unknown)})`;
+    } else if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.join(', ')} (got ${describe(value)})`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return `must be ${rule.hint} (got ${describe(value)})`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min} (got ${value})`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max} (got ${value})`;
+    }
+    return null;
+}
+
+function validateApiTokens(tokens) {
+    const errors = [];
+    const names = new Set();
+    const secrets = new Set();
+
+    tokens.forEach(({ name, token, scopes, ...rest }, index) => {
+        const prefix = `webServer.apiTokens[${index}]`;
+
+        if (typeof name !== 'string' || !name) {
+            errors.push({ field: `${prefix}.name`, message: `is required (got ${describe(name)})` });
+        } else if (names.has(name)) {
+            errors.push({ field: `${prefix}.name`, message: `duplicates another token (${name})` });
+        } else {
+            names.add(name);
+        }
+
+        if (typeof token !== 'string' || token.length < MIN_TOKEN_LENGTH) {
+            errors.push({ field: `${prefix}.token`, message: `must be a string of at least ${MIN_TOKEN_LENGTH} characters` });
+        } else if (secrets.has(token)) {
+            errors.push({ field: `${prefix}.token`, message: 'is used by another token' });
+        } else {
+            secrets.add(token);
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_SCOPES.includes(scope))) {
+            errors.push({ field: `${prefix}.scopes`, message: `must be a non-empty list of ${API_SCOPES.join(', ')} (got ${describe(scopes)})` });
+        }
+
+        for (const key of Object.keys(rest)) {
+            errors.push({ field: `${prefix}.${key}`, message: 'is not a recognised option' });
+        }
+    });
+
+    return errors;
+}
+
+function validateCapabilities(field, capabilities) {
+    if (!Array.isArray(capabilities) || !capabilities.every(capability => CAPABILITIES.includes(capability))) {
+        return [{ field, message: `must be a list of ${CAPABILITIES.join(', ')} (got ${describe(capabilities)})` }];
+    }
+    return [];
+}
+
+function validatePermissions(permissions) {
+    const errors = [];
+
+    if (Array.isArray(permissions.everyone)) {
+        errors.push(...validateCapabilities('permissions.everyone', permissions.everyone));
+    }
+
+    for (const list of ['roles', 'users']) {
+        if (!Array.isArray(permissions[list])) continue;
+
+        permissions[list].forEach((grant, index) => {
+            const prefix = `permissions.${list}[${index}]`;
+            if (!isPlainObject(grant)) {
+                errors.push({ field: prefix, message: `must be an object (got ${describe(grant)})` });
+                return;
+            }
+
+            const { id, capabilities, ...rest } = grant;
+            const message = validateField(id, { ...SCHEMA['discord.channelId'], hint: `a numeric ${list === 'roles' ? 'role' : 'user'} ID` });
+            if (message) errors.push({ field: `${prefix}.id`, message });
+            errors.push(...validateCapabilities(`${prefix}.capabilities`, capabilities));
+
+            for (const key of Object.keys(rest)) {
+                errors.push({ field: `${prefix}.${key}`, message: 'is not a recognised option' });
+            }
+        });
+    }
+
+    return errors;
+}
+
+function validateConfig(config) {
+    const errors = [];
+    const flat = flatten(config);
+
+    for (const key of Object.keys(flat)) {
+        if (!SCHEMA[key]) {
+            errors.push({ field: key, message: 'is not a recognised option' });
+        }
+    }
+
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+        const message = validateField(flat[key], rule);
+        if (message) {
+            errors.push({ field: key, message });
+        }
+    }
+
+    if (Array.isArray(config.sessions) && config.sessions.every(isPlainObject)) {
+        errors.push(...validateSessions(config.sessions));
+    }
+
+    if (Array.isArray(config.webServer?.apiTokens) && config.webServer.apiTokens.every(isPlainObject)) {
+        errors.push(...validateApiTokens(config.webServer.apiTokens));
+    }
+
+    if (isPlainObject(config.permissions)) {
+        errors.push(...validatePermissions(config.permissions));
+    }
+
+    if (isPlainObject(config.scripts)) {
+        errors.push(...validateScripts(config.scripts));
+    }
+
+    if (isPlainObject(config.inventory)) {
+        errors.push(...validateInventoryWatches(config.inventory.watch));
+    }
+
+    if (isPlainObject(config.alerts)) {
+        errors.push(...validateWebhooks(config.alerts.webhooks));
+        if (config.alerts.channel?.enabled && !config.alerts.channel.channelId) {
+            errors.push({ field: 'alerts.channel.channelId', message: 'is required when the alert channel is enabled' });
+        }
+    }
+
+    if (isPlainObject(config.events)) {
+        errors.push(...validateEventWebhooks(config.events.webhooks));
+    }
+
+    return errors;
+}
+
+function validateSessions(sessions) {
+    const errors = [];
+    const seen = new Set();
+
+    if (sessions.length > MAX_SESSIONS) {
+        errors.push({ field: 'sessions', message: `must have at most ${MAX_SESSIONS} entries (got ${sessions.length})` });
+    }
+
+    sessions.forEach((session, index) => {
+        const prefix = `sessions[${index}]`;
+        const { name, channelId, ...overrides } = session;
+
+        if (typeof name !== 'string' || !SESSION_NAME_PATTERN.test(name)) {
+            errors.push({ field: `${prefix}.name`, message: `must be 1-32 letters, digits, - or _ (got ${describe(name)})` });
+        } else if (seen.has(name.toLowerCase())) {
+            errors.push({ field: `${prefix}.name`, message: `duplicates another session (${name})` });
+        } else {
+            seen.add(name.toLowerCase());
+        }
+
+        if (channelId !== undefined) {
+            const message = validateField(channelId, SCHEMA['discord.channelId']);
+            if (message) errors.push({ field: `${prefix}.channelId`, message });
+        }
+
+        for (const [key, value] of Object.entries(flatten(overrides))) {
+            const rule = SCHEMA[key];
+            if (!rule || !SESSION_SECTIONS.includes(key.split('.')[0])) {
+                errors.push({ field: `${prefix}.${key}`, message: 'is not a recognised session option' });
+                continue;
+            }
+            const message = validateField(value, { ...rule, required: false });
+            if (message) errors.push({ field: `${prefix}.${key}`, message });
+        }
+
+        if (isPlainObject(overrides.scripts)) {
+            errors.push(...validateScripts(overrides.scripts, `${prefix}.scripts`));
+        }
+        if (isPlainObject(overrides.inventory)) {
+            errors.push(...validateInventoryWatches(overrides.inventory.watch, `${prefix}.inventory.watch`));
+        }
+    });
+
+    return errors;
+}
+
+// Expands `config.sessions` into complete per-session configs. Without a
+// `sessions` list the top-level settings describe a single session.
+function resolveSessions(config) {
+    const implicit = !config.sessions || config.sessions.length === 0;
+    const entries = implicit ? [{ name: DEFAULT_SESSION_NAME }] : config.sessions;
+
+    return entries.map(entry => {
+        const session = {
+            name: entry.name,
+            channelId: entry.channelId || config.discord.channelId
+        };
+        for (const section of SESSION_SECTIONS) {
+            session[section] = deepMerge(config[section], entry[section]);
+        }
+
+        // Separate token caches so each account signs in on its own
+        if (!implicit && !entry.minecraft?.profilesFolder) {
+            session.minecraft.profilesFolder = path.join(config.minecraft.profilesFolder, entry.name);
+        }
+        return session;
+    });
+}
+
+// ============================================================================
+// LOADER
+// ============================================================================
+
+// Resolution order: defaults < config file < environment variables.
+// Returns the merged config plus any validation errors; never throws.
+function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+    const errors = [];
+    let config = structuredClone(DEFAULT_CONFIG);
+    let source = 'defaults';
+
+    const explicitPath = getConfigPathArg(argv) ?? env.BOT_CONFIG ?? null;
+    let filePath = null;
+
+    if (explicitPath !== null) {
+        filePath = path.resolve(cwd, explicitPath);
+        if (!explicitPath || !fs.existsSync(filePath)) {
+            errors.push({ field: '--config', message: `file not found: ${explicitPath || '(empty path)'}` });
+            filePath = null;
+        }
+    } else {
+        const found = DEFAULT_CONFIG_FILES.map(name => path.resolve(cwd, name)).find(p => fs.existsSync(p));
+        filePath = found || null;
+    }
+
+    if (filePath) {
+        try {
+            config = deepMerge(config, readConfigFile(filePath));
+            const relative = path.relative(cwd, filePath);
+            source = relative && !relative.startsWith('..') ? relative : filePath;
+        } catch (error) {
+            errors.push({ field: path.basename(filePath), message: `could not be parsed: ${error.message}` });
+        }
+    }
+
+    for (const [name, key] of Object.entries(ENV_OVERRIDES)) {
+        if (env[name] === undefined || env[name] === '') continue;
+        setPath(config, key, coerceEnvValue(env[name], SCHEMA[key].type));
+    }
+
+    errors.push(...validateConfig(config));
+
+    return { config, source, errors };
+}
+
+module.exports = { loadConfig, validateConfig, resolveSessions, DEFAULT_CONFIG };
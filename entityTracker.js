@@ -0,0 +1,103 @@
+// ============================================================================
+// ENTITY TRACKER - positions of other players around the bot
+// ============================================================================
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+function getDistance(from, to) {
+    return Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+}
+
+// Bedrock uses +X = east and -Z = north
+function getDirection(from, to) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    if (Math.abs(dx) < 0.5 && Math.abs(dz) < 0.5) {
+        return to.y >= from.y ? 'above' : 'below';
+    }
+
+    const degrees = (Math.atan2(dx, -dz) * 180 / Math.PI + 360) % 360;
+    return COMPASS_POINTS[Math.round(degrees / 45) % COMPASS_POINTS.length];
+}
+
+function toPosition(vector) {
+    return { x: vector?.x || 0, y: vector?.y || 0, z: vector?.z || 0 };
+}
+
+class EntityTracker {
+    constructor() {
+        // Runtime IDs arrive as BigInt or number depending on the packet; keys are strings
+        this.players = new Map();   // runtime id -> { runtimeId, uniqueId, username, position }
+        this.uniqueIds = new Map(); // unique id -> runtime id (remove_entity uses unique ids)
+    }
+
+    reset() {
+        this.players.clear();
+        this.uniqueIds.clear();
+    }
+
+    addPlayer(packet) {
+        if (!packet || packet.runtime_id === undefined) return;
+
+        const runtimeId = String(packet.runtime_id);
+        const uniqueId = packet.unique_id !== undefined ? String(packet.unique_id) : null;
+
+        this.players.set(runtimeId, {
+            runtimeId,
+            uniqueId,
+            username: packet.username,
+            position: toPosition(packet.position)
+        });
+        if (uniqueId) this.uniqueIds.set(uniqueId, runtimeId);
+    }
+
+    // Returns true if the entity is a tracked player
+    moveEntity(runtimeId, position) {
+        const player = this.players.get(String(runtimeId));
+        if (!player || !position) return false;
+
+        player.position = toPosition(position);
+        return true;
+    }
+
+    // move_entity_delta only carries the axes that changed
+    moveEntityDelta(packet) {
+        const player = this.players.get(String(packet?.runtime_entity_id));
+        if (!player) return false;
+
+        for (const axis of ['x', 'y', 'z']) {
+            if (typeof packet[axis] === 'number') player.position[axis] = packet[axis];
+        }
+        return true;
+    }
+
+    // Returns the removed player's name, if it was one
+    removeEntity(uniqueId) {
+        const runtimeId = this.uniqueIds.get(String(uniqueId));
+        if (!runtimeId) return null;
+
+        const player = this.players.get(runtimeId);
+        this.players.delete(runtimeId);
+        this.uniqueIds.delete(String(uniqueId));
+        return player?.username || null;
+    }
+
+    // Players within `radius` blocks of `origin`, closest first
+    getPlayersWithin(origin, radius) {
+        const nearby = [];
+        for (const player of this.players.values()) {
+            const distance = getDistance(origin, player.position);
+            if (distance <= radius) {
+                nearby.push({
+                    username: player.username,
+                    distance,
+                    direction: getDirection(origin, player.position),
+                    position: { ...player.position }
+                });
+            }
+        }
+        return nearby.sort((a, b) => a.distance - b.distance);
+    }
+}
+
+module.exports = { EntityTracker, getDistance, getDirection };
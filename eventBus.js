@@ -0,0 +1,71 @@
+// ============================================================================
+// EVENT BUS - typed session events for Discord, logging and webhooks
+// ============================================================================
+
+const { randomUUID } = require('crypto');
+
+// Every event a session publishes, with what its `data` holds
+const EVENT_TYPES = {
+    state_changed: 'Connection state changed ({ state, previous, reason })',
+    connected: 'Joined the server ({ server, username })',
+    disconnected: 'Connection ended without a kick ({ cause, reason, category })',
+    kicked: 'The server kicked the bot ({ reason, category })',
+    auth_required: 'Microsoft sign-in code issued ({ authUrl, userCode, expiresAt })',
+    auth_updated: 'Sign-in code expired, succeeded or failed ({ result, username, error })',
+    world_changed: 'Spawned or changed dimension ({ world, dimension, gamemode })',
+    health_changed: 'Health went up or down ({ health, previous, maxHealth })',
+    position_changed: 'The bot moved a block or more, at most once a second ({ x, y, z, dimension })',
+    died: 'The bot died ({ cause, deaths })',
+    respawned: 'The bot respawned ({ health })',
+    player_nearby: 'Players entered or left the proximity radius ({ players, entered, left })',
+    chat: 'A chat line arrived ({ kind, sender, message })',
+    safety_triggered: 'A safety or inventory alert fired ({ title, description, severity, color, details })',
+    settings_changed: 'Safety or anti-AFK settings changed ({ section, changes })'
+};
+
+// Frequent events that '*' webhook targets only get when listed explicitly
+const HIGH_VOLUME_EVENTS = ['position_changed'];
+
+// Subscribers get (event, session) where event is
+// { id, type, session, timestamp, data }. Handlers may be async; publish()
+// waits for them, logs their failures and never rejects.
+class EventBus {
+    constructor() {
+        this.handlers = new Map(); // type or '*' -> Set of handlers
+    }
+
+    // types: one type, a list of types or '*'. Returns an unsubscribe function.
+    subscribe(types, handler) {
+        const list = Array.isArray(types) ? types : [types];
+        for (const type of list) {
+            if (type !== '*' && !(type in EVENT_TYPES)) throw new Error(`Unknown event type: ${type}`);
+            if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+            this.handlers.get(type).add(handler);
+        }
+        return () => list.forEach(type => this.handlers.get(type)?.delete(handler));
+    }
+
+    async publish(session, type, data = {}) {
+        if (!(type in EVENT_TYPES)) throw new Error(`Unknown event type: ${type}`);
+
+        const event = {
+            id: randomUUID(),
+            type,
+            session: session.name,
+            timestamp: new Date().toISOString(),
+            data
+        };
+        const handlers = [...(this.handlers.get(type) || []), ...(this.handlers.get('*') || [])];
+
+        await Promise.all(handlers.map(async (handler) => {
+            try {
+                await handler(event, session);
+            } catch (error) {
+                session.logError(`Event handler for ${type} failed:`, error.message);
+            }
+        }));
+        return event;
+    }
+}
+
+module.exports = { EventBus, EVENT_TYPES, HIGH_VOLUME_EVENTS };
@@ -0,0 +1,201 @@
+// ============================================================================
+// INVENTORY - player inventory from inventory_content/inventory_slot packets
+// ============================================================================
+
+const INVENTORY_SIZE = 36; // Hotbar is slots 0-8
+const HOTBAR_SIZE = 9;
+const ARMOR_SLOTS = ['Helmet', 'Chestplate', 'Leggings', 'Boots'];
+const MAX_WATCHES = 25;
+const ITEM_NAME_PATTERN = /^[a-z0-9_.-]+:[a-z0-9_./-]+$/;
+
+// "diamond" -> "minecraft:diamond"
+function normalizeItemName(name) {
+    const trimmed = String(name).trim().toLowerCase().replace(/\s+/g, '_');
+    return trimmed.includes(':') ? trimmed : `minecraft:${trimmed}`;
+}
+
+// "minecraft:oak_log" -> "Oak Log"
+function formatItemName(name) {
+    return name.replace(/^minecraft:/, '').split(/[_:]/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Returns [{ field, message }] for one `inventory.watch` entry
+function validateWatch(watch) {
+    if (!watch || typeof watch !== 'object' || Array.isArray(watch)) {
+        return [{ field: null, message: 'must be an object like { item: "diamond", threshold: 64 }' }];
+    }
+
+    const errors = [];
+    if (typeof watch.item !== 'string' || !ITEM_NAME_PATTERN.test(normalizeItemName(watch.item))) {
+        errors.push({ field: 'item', message: 'must be an item name such as "diamond" or "minecraft:diamond"' });
+    }
+    if (!Number.isInteger(watch.threshold) || watch.threshold < 1 || watch.threshold > 2304) {
+        errors.push({ field: 'threshold', message: 'must be a whole number between 1 and 2304' });
+    }
+    for (const key of Object.keys(watch)) {
+        if (!['item', 'threshold'].includes(key)) errors.push({ field: key, message: 'is not a recognised watch option' });
+    }
+    return errors;
+}
+
+function validateInventoryWatches(watches, prefix = 'inventory.watch') {
+    if (!Array.isArray(watches)) return [];
+
+    const errors = [];
+    if (watches.length > MAX_WATCHES) {
+        errors.push({ field: prefix, message: `must have at most ${MAX_WATCHES} entries` });
+    }
+
+    const seen = new Set();
+    watches.forEach((watch, index) => {
+        const itemPrefix = `${prefix}[${index}]`;
+        errors.push(...validateWatch(watch).map(({ field, message }) =>
+            ({ field: field ? `${itemPrefix}.${field}` : itemPrefix, message })));
+
+        if (typeof watch?.item !== 'string') return;
+        const item = normalizeItemName(watch.item);
+        if (seen.has(item)) errors.push({ field: `${itemPrefix}.item`, message: `duplicates another watch (${watch.item})` });
+        seen.add(item);
+    });
+    return errors;
+}
+
+class Inventory {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.palette = new Map(); // network id -> item name, from item_registry
+        this.slots = new Array(INVENTORY_SIZE).fill(null);
+        this.armor = new Array(ARMOR_SLOTS.length).fill(null);
+        this.offhand = null;
+        this.loaded = false; // Set by the first full inventory_content
+        this.updatedAt = null;
+    }
+
+    applyItemRegistry(itemstates = []) {
+        for (const state of itemstates) {
+            this.palette.set(state.runtime_id, state.name);
+        }
+    }
+
+    // Network item -> { id, name, displayName, count, metadata } or null when empty
+    resolveItem(item) {
+        if (!item || !item.network_id) return null;
+
+        const name = this.palette.get(item.network_id) || `unknown:${item.network_id}`;
+        return {
+            id: item.network_id,
+            name,
+            displayName: this.palette.has(item.network_id) ? formatItemName(name) : `Item #${item.network_id}`,
+            count: item.count || 0,
+            metadata: item.metadata || 0
+        };
+    }
+
+    // Returns false for windows we don't track (chests, crafting grids, ...)
+    applyContent(packet) {
+        const items = (packet.input || []).map(item => this.resolveItem(item));
+
+        switch (packet.window_id) {
+            case 'inventory':
+                this.slots = Array.from({ length: INVENTORY_SIZE }, (_, slot) => items[slot] || null);
+                this.loaded = true;
+                break;
+            case 'armor':
+                this.armor = Array.from({ length: ARMOR_SLOTS.length }, (_, slot) => items[slot] || null);
+                break;
+            case 'offhand':
+                this.offhand = items[0] || null;
+                break;
+            default:
+                return false;
+        }
+        this.updatedAt = Date.now();
+        return true;
+    }
+
+    applySlot(packet) {
+        const item = this.resolveItem(packet.item);
+
+        switch (packet.window_id) {
+            case 'inventory':
+                if (packet.slot < 0 || packet.slot >= INVENTORY_SIZE) return false;
+                this.slots[packet.slot] = item;
+                break;
+            case 'armor':
+                if (packet.slot < 0 || packet.slot >= ARMOR_SLOTS.length) return false;
+                this.armor[packet.slot] = item;
+                break;
+            case 'offhand':
+                this.offhand = item;
+                break;
+            default:
+                return false;
+        }
+        this.updatedAt = Date.now();
+        return true;
+    }
+
+    get usedSlots() {
+        return this.slots.filter(Boolean).length;
+    }
+
+    get isFull() {
+        return this.loaded && this.usedSlots === INVENTORY_SIZE;
+    }
+
+    // Main inventory only; armor and offhand aren't loot
+    countOf(name) {
+        const item = normalizeItemName(name);
+        return this.slots.reduce((total, slot) => total + (slot?.name === item ? slot.count : 0), 0);
+    }
+
+    // [{ name, displayName, count }] sorted by count, largest first
+    getTotals() {
+        const totals = new Map();
+        for (const slot of this.slots) {
+            if (!slot) continue;
+            const entry = totals.get(slot.name) || { name: slot.name, displayName: slot.displayName, count: 0 };
+            entry.count += slot.count;
+            totals.set(slot.name, entry);
+        }
+        return Array.from(totals.values()).sort((a, b) => b.count - a.count || a.displayName.localeCompare(b.displayName));
+    }
+
+    getItems() {
+        return this.slots
+            .map((item, slot) => item && { slot, hotbar: slot < HOTBAR_SIZE, ...item })
+            .filter(Boolean);
+    }
+
+    getStatus() {
+        return {
+            loaded: this.loaded,
+            usedSlots: this.usedSlots,
+            size: INVENTORY_SIZE,
+            full: this.isFull,
+            items: this.getItems(),
+            totals: this.getTotals(),
+            armor: Object.fromEntries(ARMOR_SLOTS.map((label, index) => [label.toLowerCase(), this.armor[index]])),
+            offhand: this.offhand,
+            updatedAt: this.updatedAt ? new Date(this.updatedAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = {
+    Inventory,
+    INVENTORY_SIZE,
+    HOTBAR_SIZE,
+    ARMOR_SLOTS,
+    MAX_WATCHES,
+    normalizeItemName,
+    formatItemName,
+    validateWatch,
+    validateInventoryWatches
+};
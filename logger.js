@@ -0,0 +1,153 @@
+// ============================================================================
+// LOGGER - levelled, module-tagged logs to the console, rotating files and
+// an in-memory buffer for /logs
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { format } = require('util');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_MODULES = ['core', 'discord', 'bedrock', 'safety', 'web'];
+const LOG_FORMATS = ['pretty', 'json'];
+
+const LEVEL_COLORS = {
+    debug: '\x1b[90m',
+    info: '\x1b[34m',
+    warn: '\x1b[33m',
+    error: '\x1b[31m'
+};
+
+function meetsLevel(level, minLevel) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minLevel);
+}
+
+// One line of text for the console and /logs
+function formatEntry(entry, { colors = false, time = entry.timestamp } = {}) {
+    const tag = entry.session ? `${entry.module}/${entry.session}` : entry.module;
+    const level = entry.level.toUpperCase().padEnd(5);
+    const text = `${time} ${colors ? LEVEL_COLORS[entry.level] + level + '\x1b[0m' : level} [${tag}] ${entry.message}`;
+    return entry.stack ? `${text}\n${entry.stack}` : text;
+}
+
+// Loggers share their root's outputs; child() only changes the tags
+class ModuleLogger {
+    constructor(root, module, context = {}) {
+        if (!LOG_MODULES.includes(module)) throw new Error(`Unknown log module: ${module}`);
+        this.root = root;
+        this.module = module;
+        this.context = context;
+    }
+
+    // context: extra fields on every entry, e.g. { session: 'main' }
+    child(module = this.module, context = {}) {
+        return new ModuleLogger(this.root, module, { ...this.context, ...context });
+    }
+
+    debug(message, ...args) {
+        this.root.write('debug', this, message, args);
+    }
+
+    info(message, ...args) {
+        this.root.write('info', this, message, args);
+    }
+
+    warn(message, ...args) {
+        this.root.write('warn', this, message, args);
+    }
+
+    error(message, ...args) {
+        this.root.write('error', this, message, args);
+    }
+}
+
+// The root logs as `core`. Entries are { timestamp, level, module, session?,
+// message, stack? }; the file always gets JSON lines, the console `format`.
+class Logger extends ModuleLogger {
+    constructor(options = {}, { stdout = process.stdout, stderr = process.stderr } = {}) {
+        super(null, 'core');
+        this.root = this;
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.buffer = [];
+        this.file = null; // { path, size, maxSize, maxFiles }
+        this.configure(options);
+    }
+
+    configure({ level = 'info', format: outputFormat = 'pretty', file = {}, bufferSize = 500 } = {}) {
+        this.level = level;
+        this.format = outputFormat;
+        this.bufferSize = bufferSize;
+        this.buffer = this.buffer.slice(-bufferSize);
+        this.file = file.enabled && file.path
+            ? { path: file.path, size: null, maxSize: file.maxSize ?? 5 * 1024 * 1024, maxFiles: file.maxFiles ?? 5 }
+            : null;
+    }
+
+    write(level, { module, context }, message, args) {
+        // Errors keep their stack; everything else is formatted like console.log
+        const error = [message, ...args].find(arg => arg instanceof Error);
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            module,
+            ...context,
+            message: format(...[message, ...args].map(arg => arg instanceof Error ? arg.message : arg))
+        };
+        if (error && level === 'error') entry.stack = error.stack;
+
+        // The buffer keeps every level so /logs can show debug entries
+        this.buffer.push(entry);
+        if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+        if (!meetsLevel(level, this.level)) return;
+
+        const stream = meetsLevel(level, 'warn') ? this.stderr : this.stdout;
+        stream.write((this.format === 'json' ? JSON.stringify(entry) : formatEntry(entry, { colors: !!stream.isTTY })) + '\n');
+        this.writeFile(entry);
+    }
+
+    writeFile(entry) {
+        if (!this.file) return;
+
+        const line = JSON.stringify(entry) + '\n';
+        const bytes = Buffer.byteLength(line);
+        try {
+            if (this.file.size === null) {
+                fs.mkdirSync(path.dirname(this.file.path), { recursive: true });
+                this.file.size = fs.existsSync(this.file.path) ? fs.statSync(this.file.path).size : 0;
+            }
+            if (this.file.size > 0 && this.file.size + bytes > this.file.maxSize) this.rotate();
+
+            fs.appendFileSync(this.file.path, line);
+            this.file.size += bytes;
+        } catch (error) {
+            // Keep logging to the console rather than failing every call
+            this.stderr.write(`Log file ${this.file.path} disabled: ${error.message}\n`);
+            this.file = null;
+        }
+    }
+
+    // bot.log -> bot.log.1 -> ... -> bot.log.<maxFiles>, dropping the oldest
+    rotate() {
+        const { path: filePath, maxFiles } = this.file;
+        fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${filePath}.${index}`)) fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+        }
+        if (maxFiles > 0) fs.renameSync(filePath, `${filePath}.1`);
+        else fs.rmSync(filePath, { force: true });
+        this.file.size = 0;
+    }
+
+    // Newest last; level is a minimum, module and session exact matches
+    getRecent({ level = 'debug', module = null, session = null, limit = 50 } = {}) {
+        return this.buffer
+            .filter(entry => meetsLevel(entry.level, level) &&
+                (!module || entry.module === module) &&
+                (!session || entry.session === session))
+            .slice(-limit);
+    }
+}
+
+module.exports = { Logger, ModuleLogger, LOG_LEVELS, LOG_MODULES, LOG_FORMATS, formatEntry, meetsLevel };
@@ -0,0 +1,62 @@
+// ============================================================================
+// PERMISSIONS - which Discord members may do what
+// ============================================================================
+
+const { PermissionFlagsBits } = require('discord.js');
+
+const CAPABILITIES = ['view', 'connect', 'chat', 'command', 'safety'];
+
+const CAPABILITY_LABELS = {
+    view: 'view status',
+    connect: 'connect/disconnect',
+    chat: 'chat in game',
+    command: 'run game commands',
+    safety: 'configure safety'
+};
+
+// Role IDs of an interaction/message member; cached GuildMembers and raw API members differ
+function getRoleIds(member) {
+    if (!member?.roles) return [];
+    if (member.roles.cache) return Array.from(member.roles.cache.keys());
+    return Array.isArray(member.roles) ? member.roles : [];
+}
+
+// Capabilities are the union of `everyone`, each matching role and the user's own
+// grants. Discord administrators get everything when `administrators` is on.
+class PermissionManager {
+    constructor({ everyone = [], administrators = true, roles = [], users = [] } = {}) {
+        this.everyone = new Set(everyone);
+        this.administrators = administrators;
+        this.roles = new Map(roles.map(grant => [grant.id, grant.capabilities]));
+        this.users = new Map(users.map(grant => [grant.id, grant.capabilities]));
+    }
+
+    // source: an interaction or a message
+    getCapabilities(source) {
+        const user = source.user || source.author;
+        const member = source.member;
+
+        const isAdministrator = source.memberPermissions?.has(PermissionFlagsBits.Administrator) ??
+            member?.permissions?.has?.(PermissionFlagsBits.Administrator) ?? false;
+        if (this.administrators && isAdministrator) {
+            return new Set(CAPABILITIES);
+        }
+
+        const capabilities = new Set(this.everyone);
+        for (const roleId of getRoleIds(member)) {
+            for (const capability of this.roles.get(roleId) || []) capabilities.add(capability);
+        }
+        for (const capability of this.users.get(user?.id) || []) capabilities.add(capability);
+        return capabilities;
+    }
+
+    can(source, capability) {
+        return this.getCapabilities(source).has(capability);
+    }
+
+    denialMessage(capability) {
+        return `🔒 You don't have permission to **${CAPABILITY_LABELS[capability]}**. Ask a server admin to grant you the \`${capability}\` permission.`;
+    }
+}
+
+module.exports = { PermissionManager, CAPABILITIES, CAPABILITY_LABELS };
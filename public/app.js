@@ -0,0 +1,321 @@
+// ============================================================================
+// WEB DASHBOARD - live session view over GET /events, controls over REST
+// ============================================================================
+
+(() => {
+    'use strict';
+
+    const TOKEN_KEY = 'bedrockBot.apiToken';
+    const SESSION_KEY = 'bedrockBot.session';
+    const MAX_CONSOLE_LINES = 200;
+
+    // Events that only add a console line
+    const CONSOLE_EVENTS = {
+        connected: (data) => `✅ Joined ${data.server} as ${data.username}`,
+        disconnected: (data) => `🔌 Disconnected (${data.cause}): ${data.reason || 'no reason given'}`,
+        kicked: (data) => `👢 Kicked: ${data.reason}`,
+        died: (data) => `💀 Died${data.cause ? ` (${data.cause})` : ''}`,
+        respawned: () => '✨ Respawned',
+        safety_triggered: (data) => `🛡️ ${data.title}: ${data.description}`
+    };
+
+    const $ = (id) => document.getElementById(id);
+
+    const state = {
+        token: localStorage.getItem(TOKEN_KEY),
+        selected: localStorage.getItem(SESSION_KEY),
+        sessions: new Map(), // name -> GET /sessions status
+        consoles: new Map(), // name -> [{ time, kind, sender, message }]
+        source: null,
+        authTimer: null
+    };
+
+    // ========================================================================
+    // API
+    // ========================================================================
+
+    async function api(method, route, body) {
+        const response = await fetch(route, {
+            method,
+            headers: {
+                Authorization: `Bearer ${state.token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const json = await response.json().catch(() => ({}));
+        return { status: response.status, body: json };
+    }
+
+    async function refreshSessions() {
+        const { status, body } = await api('GET', '/sessions');
+        if (status !== 200) throw new Error(body.message || `HTTP ${status}`);
+
+        state.sessions = new Map(body.sessions.map(session => [session.session, session]));
+        renderSessionSelect();
+        render();
+    }
+
+    async function runAction(action, params = {}) {
+        const result = $('action-result');
+        result.textContent = '…';
+        try {
+            const { body } = await api('POST', `/${action}`, { session: state.selected, ...params });
+            result.textContent = body.message || (body.success ? 'Done' : 'Failed');
+            result.className = body.success ? 'muted' : 'error';
+            return body;
+        } catch (error) {
+            result.textContent = error.message;
+            result.className = 'error';
+            return { success: false };
+        }
+    }
+
+    // ========================================================================
+    // LIVE EVENTS
+    // ========================================================================
+
+    function openStream() {
+        state.source?.close();
+        const source = new EventSource(`/events?token=${encodeURIComponent(state.token)}`);
+        state.source = source;
+
+        source.addEventListener('open', () => setStreamStatus('Live', 'online'));
+        source.addEventListener('error', () => setStreamStatus('Reconnecting…', 'backoff'));
+        source.addEventListener('hello', (message) => {
+            const { sessions } = JSON.parse(message.data);
+            state.sessions = new Map(sessions.map(session => [session.session, session]));
+            renderSessionSelect();
+            render();
+        });
+
+        const types = ['state_changed', 'auth_required', 'auth_updated', 'world_changed', 'health_changed',
+            'position_changed', 'player_nearby', 'chat', ...Object.keys(CONSOLE_EVENTS)];
+        for (const type of types) {
+            source.addEventListener(type, (message) => applyEvent(JSON.parse(message.data)));
+        }
+    }
+
+    // Keeps the cached status in step with one bus event
+    function applyEvent(event) {
+        const session = state.sessions.get(event.session);
+        if (!session) return;
+        const { data } = event;
+
+        switch (event.type) {
+            case 'state_changed':
+                session.state = data.state;
+                session.stateReason = data.reason;
+                // Fields like username and reconnect plans come with the next status
+                refreshSessions().catch(() => {});
+                break;
+            case 'auth_required':
+                session.authRequired = true;
+                session.auth = { authUrl: data.authUrl, userCode: data.userCode, expiresAt: new Date(data.expiresAt).toISOString() };
+                addConsoleLine(event.session, { kind: 'system', message: '🔐 Microsoft sign-in required' });
+                break;
+            case 'auth_updated':
+                session.authRequired = false;
+                session.auth = null;
+                addConsoleLine(event.session, { kind: 'system', message: `🔐 Sign-in ${data.result}${data.username ? ` as ${data.username}` : ''}` });
+                break;
+            case 'world_changed':
+                session.world = data.world;
+                session.dimension = data.dimension;
+                session.gamemode = data.gamemode;
+                break;
+            case 'health_changed':
+                session.health = data.health;
+                if (session.vitals) session.vitals.maxHealth = data.maxHealth;
+                break;
+            case 'position_changed':
+                session.coordinates = { x: data.x, y: data.y, z: data.z };
+                session.dimension = data.dimension;
+                break;
+            case 'player_nearby':
+                session.nearbyPlayers = data.players;
+                break;
+            case 'chat':
+                addConsoleLine(event.session, { kind: data.kind, sender: data.sender, message: data.message });
+                break;
+            default:
+                addConsoleLine(event.session, { kind: 'system', message: CONSOLE_EVENTS[event.type](data) });
+        }
+
+        if (event.session === state.selected) render();
+    }
+
+    function addConsoleLine(sessionName, line) {
+        if (!state.consoles.has(sessionName)) state.consoles.set(sessionName, []);
+        const lines = state.consoles.get(sessionName);
+        lines.push({ time: new Date(), ...line });
+        if (lines.length > MAX_CONSOLE_LINES) lines.shift();
+    }
+
+    // ========================================================================
+    // RENDERING
+    // ========================================================================
+
+    function setStreamStatus(text, className) {
+        const badge = $('stream-status');
+        badge.textContent = text;
+        badge.className = `badge ${className}`;
+    }
+
+    function renderSessionSelect() {
+        const select = $('session-select');
+        const names = Array.from(state.sessions.keys());
+        if (!names.includes(state.selected)) state.selected = names[0] || null;
+
+        select.replaceChildren(...names.map(name => new Option(name, name, false, name === state.selected)));
+        select.disabled = names.length < 2;
+    }
+
+    function render() {
+        const session = state.sessions.get(state.selected);
+        if (!session) return;
+
+        const badge = $('state');
+        badge.textContent = session.state;
+        badge.className = `badge ${session.state}`;
+        $('state-reason').textContent = session.stateReason || '-';
+        $('server').textContent = session.server;
+        $('username').textContent = session.username || '-';
+
+        const connecting = ['connecting', 'authenticating', 'online'].includes(session.state);
+        $('connect-button').disabled = connecting;
+        $('disconnect-button').disabled = !connecting && session.state !== 'backoff';
+
+        const maxHealth = session.vitals?.maxHealth || 20;
+        $('health-meter').max = maxHealth;
+        $('health-meter').value = session.health ?? 0;
+        $('health').textContent = session.connected ? `${session.health ?? '?'} / ${maxHealth}` : '-';
+
+        const { x, y, z } = session.coordinates || {};
+        $('coords').textContent = session.connected && x !== undefined
+            ? `${Math.floor(x)}, ${Math.floor(y)}, ${Math.floor(z)}`
+            : '-';
+        $('world').textContent = session.connected ? session.world : '-';
+        $('dimension').textContent = session.connected ? (session.dimension || '-') : '-';
+
+        renderPlayers(session.nearbyPlayers || []);
+        renderAuth(session.auth);
+        renderConsole(state.consoles.get(session.session) || []);
+    }
+
+    function renderPlayers(players) {
+        $('players').replaceChildren(...players.map(({ username, distance, direction }) => {
+            const item = document.createElement('li');
+            item.textContent = `${username} — ${Math.round(distance)} blocks ${direction || ''}`.trim();
+            return item;
+        }));
+        $('players-empty').hidden = players.length > 0;
+    }
+
+    function renderAuth(auth) {
+        clearInterval(state.authTimer);
+        $('auth').hidden = !auth;
+        if (!auth) return;
+
+        $('auth-link').href = auth.authUrl;
+        $('auth-code').textContent = auth.userCode;
+
+        const expiresAt = Date.parse(auth.expiresAt);
+        const tick = () => {
+            const seconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+            $('auth-expiry').textContent = `in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        tick();
+        state.authTimer = setInterval(tick, 1000);
+    }
+
+    function renderConsole(lines) {
+        const list = $('console');
+        const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 8;
+
+        list.replaceChildren(...lines.map(({ time, kind, sender, message }) => {
+            const item = document.createElement('li');
+            item.className = kind;
+            const stamp = document.createElement('time');
+            stamp.textContent = time.toLocaleTimeString();
+            item.append(stamp, sender ? ` <${sender}> ${message}` : ` ${message}`);
+            return item;
+        }));
+        if (atBottom) list.scrollTop = list.scrollHeight;
+    }
+
+    // ========================================================================
+    // STARTUP
+    // ========================================================================
+
+    async function start(token) {
+        state.token = token;
+        try {
+            await refreshSessions();
+        } catch (error) {
+            $('login-error').textContent = error.message;
+            $('login-error').hidden = false;
+            $('login').hidden = false;
+            $('dashboard').hidden = true;
+            return;
+        }
+
+        localStorage.setItem(TOKEN_KEY, token);
+        $('login').hidden = true;
+        $('dashboard').hidden = false;
+        openStream();
+    }
+
+    $('token-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        $('login-error').hidden = true;
+        start($('token-input').value.trim());
+    });
+
+    $('logout-button').addEventListener('click', () => {
+        localStorage.removeItem(TOKEN_KEY);
+        state.source?.close();
+        state.token = null;
+        setStreamStatus('Not connected', 'offline');
+        $('dashboard').hidden = true;
+        $('login').hidden = false;
+    });
+
+    $('session-select').addEventListener('change', (event) => {
+        state.selected = event.target.value;
+        localStorage.setItem(SESSION_KEY, state.selected);
+        render();
+    });
+
+    $('connect-button').addEventListener('click', () => runAction('connect'));
+    $('disconnect-button').addEventListener('click', () => runAction('disconnect'));
+
+    $('copy-code').addEventListener('click', () => {
+        navigator.clipboard?.writeText($('auth-code').textContent);
+    });
+
+    $('chat-mode').addEventListener('change', (event) => {
+        $('chat-target').hidden = event.target.value !== 'whisper';
+        $('chat-target').required = event.target.value === 'whisper';
+    });
+
+    $('chat-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const input = $('chat-input');
+        const result = await runAction('chat', {
+            message: input.value,
+            mode: $('chat-mode').value,
+            target: $('chat-target').value || null
+        });
+        if (!result.success) return;
+
+        addConsoleLine(state.selected, { kind: 'sent', sender: 'you', message: input.value });
+        for (const line of result.output || []) {
+            addConsoleLine(state.selected, { kind: 'system', message: line });
+        }
+        input.value = '';
+        render();
+    });
+
+    if (state.token) start(state.token);
+})();
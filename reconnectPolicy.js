@@ -0,0 +1,124 @@
+// ============================================================================
+// RECONNECT POLICY - classify why we dropped and decide when to retry
+// ============================================================================
+
+const STRATEGIES = ['immediate', 'backoff', 'scheduled', 'give_up'];
+
+// Checked in order; Bedrock sends either plain text or a disconnectionScreen.* key
+const REASON_PATTERNS = [
+    ['banned', /\bbann?ed\b|blacklisted/i],
+    ['whitelist', /white-?list|allow-?list|notAllowed|not allowed to join/i],
+    ['outdated', /outdated|incompatible|update your (game|client)|unsupported version|protocol version/i],
+    ['server_full', /serverFull|server (is )?full|too many players|max(imum)? players/i],
+    ['restarting', /restart|reboot|shutting down|server (is )?(closed|closing|stopping)|serverShutdown/i],
+    ['idle', /idle|afk|inactiv/i],
+    ['network', /timed? ?out|ECONNRESET|ECONNREFUSED|ENOTFOUND|EHOSTUNREACH|ENETUNREACH|connection (lost|closed|reset)|raknet|\bping\b/i]
+];
+
+const REASON_CATEGORIES = [...REASON_PATTERNS.map(([category]) => category), 'unknown'];
+
+const CATEGORY_LABELS = {
+    banned: 'Banned',
+    whitelist: 'Not whitelisted',
+    outdated: 'Outdated client',
+    server_full: 'Server full',
+    restarting: 'Server restarting',
+    idle: 'Idle kick',
+    network: 'Network error',
+    unknown: 'Unknown reason'
+};
+
+const STRATEGY_LABELS = {
+    immediate: '⚡ Immediate',
+    backoff: '📈 Backoff',
+    scheduled: '🕒 Scheduled',
+    give_up: '🛑 Gave up'
+};
+
+const DEFAULT_STRATEGIES = {
+    banned: 'give_up',
+    whitelist: 'give_up',
+    outdated: 'give_up',
+    server_full: 'scheduled',
+    restarting: 'scheduled',
+    idle: 'immediate',
+    network: 'backoff',
+    unknown: 'backoff'
+};
+
+// Back-to-back immediate retries fall back to backoff after this many attempts
+const MAX_IMMEDIATE_ATTEMPTS = 3;
+const IMMEDIATE_DELAY = 1000;
+
+// Kick packets, errors and plain strings all end up as text
+function getReasonText(reason) {
+    if (!reason) return '';
+    if (typeof reason === 'string') return reason;
+    if (reason instanceof Error) return [reason.code, reason.message].filter(Boolean).join(' ');
+    return reason.message || reason.reason || JSON.stringify(reason);
+}
+
+// Formatting codes stripped and trimmed for logs and embeds
+function describeReason(reason) {
+    return getReasonText(reason).replace(/§./g, '').slice(0, 200) || null;
+}
+
+function classifyReason(reason) {
+    const text = getReasonText(reason).replace(/§./g, '');
+    const match = REASON_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : 'unknown';
+}
+
+class ReconnectPolicy {
+    // options: the session's `reconnect` config section
+    constructor({ delay, maxDelay, jitter, scheduledDelay, strategies = {} }, random = Math.random) {
+        this.baseDelay = delay;
+        this.maxDelay = Math.max(maxDelay, delay);
+        this.jitter = jitter;
+        this.scheduledDelay = scheduledDelay;
+        this.strategies = { ...DEFAULT_STRATEGIES, ...strategies };
+        this.random = random;
+    }
+
+    // Spreads retries by ±jitter so a fleet doesn't reconnect in lockstep
+    applyJitter(delay) {
+        const spread = delay * this.jitter;
+        return Math.round(delay - spread + this.random() * spread * 2);
+    }
+
+    backoffDelay(attempt) {
+        const delay = Math.min(this.baseDelay * 2 ** Math.max(attempt - 1, 0), this.maxDelay);
+        return this.applyJitter(delay);
+    }
+
+    // attempt is the 1-based number of the retry being planned
+    plan(reason, attempt) {
+        const category = classifyReason(reason);
+        let strategy = this.strategies[category];
+        if (strategy === 'immediate' && attempt > MAX_IMMEDIATE_ATTEMPTS) {
+            strategy = 'backoff';
+        }
+
+        let delay = null;
+        if (strategy === 'immediate') delay = IMMEDIATE_DELAY;
+        else if (strategy === 'backoff') delay = this.backoffDelay(attempt);
+        else if (strategy === 'scheduled') delay = this.applyJitter(this.scheduledDelay);
+
+        return {
+            category,
+            strategy,
+            delay,
+            reason: describeReason(reason)
+        };
+    }
+}
+
+module.exports = {
+    ReconnectPolicy,
+    classifyReason,
+    describeReason,
+    STRATEGIES,
+    REASON_CATEGORIES,
+    CATEGORY_LABELS,
+    STRATEGY_LABELS
+};
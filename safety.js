@@ -0,0 +1,175 @@
+// ============================================================================
+// SAFETY SETTINGS - schema, validation and presets
+// ============================================================================
+
+// Shared by the config loader, /safety and the REST API. `option` is the
+// /safety set subcommand name; `discordScale` converts the Discord value
+// (e.g. seconds) into the stored unit (milliseconds).
+const SAFETY_SETTINGS = {
+    enabled: {
+        type: 'boolean',
+        option: 'enabled',
+        label: '🛡️ Monitoring',
+        description: 'Enable or disable safety monitoring'
+    },
+    proximityRadius: {
+        type: 'number',
+        min: 1,
+        max: 512,
+        option: 'proximity-radius',
+        label: '📏 Proximity Radius',
+        unit: 'blocks',
+        description: 'Alert when players come within this many blocks'
+    },
+    minHealth: {
+        type: 'number',
+        min: 0,
+        max: 20,
+        option: 'min-health',
+        label: '❤️ Low Health Warning',
+        unit: 'HP',
+        description: 'Warn when health is at or below this value'
+    },
+    alertCooldown: {
+        type: 'integer',
+        min: 0,
+        max: 3600000,
+        option: 'alert-cooldown',
+        label: '⏱️ Alert Cooldown',
+        unit: 'ms',
+        discordScale: 1000,
+        description: 'Seconds between repeated proximity/health/hunger alerts'
+    },
+    autoDisconnectOnThreat: {
+        type: 'boolean',
+        option: 'auto-disconnect-on-threat',
+        label: '🚨 Disconnect On Threat',
+        description: 'Disconnect when an untrusted player comes near'
+    },
+    autoDisconnectHealth: {
+        type: 'number',
+        min: 0,
+        max: 20,
+        option: 'auto-disconnect-health',
+        label: '💀 Disconnect At Health',
+        unit: 'HP',
+        description: 'Disconnect when damage drops health to this value'
+    },
+    blockedPlayerAction: {
+        type: 'string',
+        enum: ['disconnect', 'alert'],
+        option: 'blocked-player-action',
+        label: '⛔ Blocked Player Action',
+        description: 'What to do when a blocked player comes near'
+    },
+    minHunger: {
+        type: 'integer',
+        min: 0,
+        max: 20,
+        option: 'min-hunger',
+        label: '🍗 Low Hunger Warning',
+        unit: 'points',
+        description: 'Warn when hunger is at or below this value (0 = off)'
+    },
+    effectAlerts: {
+        type: 'boolean',
+        option: 'effect-alerts',
+        label: '🧪 Harmful Effect Alerts',
+        description: 'Alert when poisoned, withered or given another harmful effect'
+    },
+    disconnectOnDeath: {
+        type: 'boolean',
+        option: 'disconnect-on-death',
+        label: '☠️ Disconnect On Death',
+        description: 'Disconnect instead of respawning when the bot dies'
+    }
+};
+
+const SAFETY_PRESETS = {
+    strict: {
+        enabled: true,
+        proximityRadius: 96,
+        minHealth: 14,
+        alertCooldown: 15000,
+        autoDisconnectOnThreat: true,
+        autoDisconnectHealth: 10,
+        blockedPlayerAction: 'disconnect',
+        minHunger: 10,
+        effectAlerts: true,
+        disconnectOnDeath: true
+    },
+    relaxed: {
+        enabled: true,
+        proximityRadius: 24,
+        minHealth: 6,
+        alertCooldown: 60000,
+        autoDisconnectOnThreat: false,
+        autoDisconnectHealth: 4,
+        blockedPlayerAction: 'alert',
+        minHunger: 4,
+        effectAlerts: false,
+        disconnectOnDeath: false
+    },
+    // Only switches safety mode off; the tuning stays for when it's re-enabled
+    off: {
+        enabled: false
+    }
+};
+
+function getSettingByOption(option) {
+    return Object.entries(SAFETY_SETTINGS).find(([, setting]) => setting.option === option) || null;
+}
+
+// Returns an error message, or null if `value` is acceptable for `key`
+function validateSafetyValue(key, value) {
+    const setting = SAFETY_SETTINGS[key];
+    if (!setting) return `unknown safety setting "${key}"`;
+
+    switch (setting.type) {
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${key} must be true or false`;
+            return null;
+        case 'string':
+            if (!setting.enum.includes(value)) return `${key} must be one of ${setting.enum.join(', ')}`;
+            return null;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) return `${key} must be a number`;
+            if (setting.type === 'integer' && !Number.isInteger(value)) return `${key} must be a whole number`;
+            if (value < setting.min || value > setting.max) {
+                return `${key} must be between ${setting.min} and ${setting.max}${setting.unit ? ` ${setting.unit}` : ''}`;
+            }
+            return null;
+        default:
+            return null;
+    }
+}
+
+// Validates every change before any is applied. Returns { changes } or { errors }.
+function validateSafetyChanges(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { errors: ['expected an object of safety settings'] };
+    }
+
+    const errors = Object.entries(changes)
+        .map(([key, value]) => validateSafetyValue(key, value))
+        .filter(Boolean);
+
+    return errors.length > 0 ? { errors } : { changes };
+}
+
+function formatSafetyValue(key, value) {
+    const setting = SAFETY_SETTINGS[key];
+    if (setting.type === 'boolean') return value ? '✅ On' : '❌ Off';
+    if (key === 'alertCooldown') return `${value / 1000}s`;
+    return setting.unit ? `${value} ${setting.unit}` : String(value);
+}
+
+module.exports = {
+    SAFETY_SETTINGS,
+    SAFETY_PRESETS,
+    getSettingByOption,
+    validateSafetyValue,
+    validateSafetyChanges,
+    formatSafetyValue
+};
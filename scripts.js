@@ -0,0 +1,402 @@
+// ============================================================================
+// SCRIPTS - on-join steps and recurring actions run by a session
+// ============================================================================
+
+const STEP_ACTIONS = ['command', 'chat'];
+const TIMEOUT_ACTIONS = ['stop', 'continue'];
+const SCHEDULE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const MAX_STEP_DELAY = 600000;
+const DEFAULT_WAIT_TIMEOUT = 30000;
+const MAX_WAIT_TIMEOUT = 600000;
+const MIN_SCHEDULE_INTERVAL = 60000;
+const MAX_SCRIPT_STEPS = 25; // Keeps `/script list` inside one embed
+
+const STEP_KEYS = ['command', 'chat', 'delay', 'when', 'waitFor', 'timeout', 'onTimeout'];
+const SCHEDULE_KEYS = ['name', 'command', 'chat', 'every', 'when'];
+const CONDITION_KEYS = ['world', 'dimension'];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateInteger(value, min, max) {
+    if (!Number.isInteger(value)) return `must be a whole number (got ${JSON.stringify(value)})`;
+    if (value < min) return `must be at least ${min} (got ${value})`;
+    if (value > max) return `must be at most ${max} (got ${value})`;
+    return null;
+}
+
+function validateAction(item, errors) {
+    const actions = STEP_ACTIONS.filter(action => item[action] !== undefined);
+    if (actions.length > 1) {
+        errors.push({ field: actions[1], message: `cannot be combined with ${actions[0]}` });
+    }
+    for (const action of actions) {
+        if (typeof item[action] !== 'string' || !item[action].trim()) {
+            errors.push({ field: action, message: 'must be a non-empty string' });
+        }
+    }
+    return actions.length;
+}
+
+function validateCondition(when, errors) {
+    if (when === undefined) return;
+    if (!isPlainObject(when)) {
+        errors.push({ field: 'when', message: 'must be an object such as { "dimension": "nether" }' });
+        return;
+    }
+    for (const [key, value] of Object.entries(when)) {
+        if (!CONDITION_KEYS.includes(key)) {
+            errors.push({ field: `when.${key}`, message: 'is not a recognised condition' });
+        } else if (typeof value !== 'string' || !value) {
+            errors.push({ field: `when.${key}`, message: 'must be a non-empty string' });
+        }
+    }
+}
+
+function validateUnknownKeys(item, keys, errors) {
+    for (const key of Object.keys(item)) {
+        if (!keys.includes(key)) errors.push({ field: key, message: 'is not a recognised option' });
+    }
+}
+
+// Both validators return [{ field, message }] with fields relative to the item
+function validateStep(step) {
+    if (!isPlainObject(step)) return [{ field: '', message: 'must be an object' }];
+
+    const errors = [];
+    const actions = validateAction(step, errors);
+    if (actions === 0 && step.waitFor === undefined) {
+        errors.push({ field: 'command', message: 'is required unless the step only waits (set command, chat or waitFor)' });
+    }
+
+    if (step.delay !== undefined) {
+        const message = validateInteger(step.delay, 0, MAX_STEP_DELAY);
+        if (message) errors.push({ field: 'delay', message });
+    }
+    if (step.waitFor !== undefined) {
+        if (typeof step.waitFor !== 'string' || !step.waitFor) {
+            errors.push({ field: 'waitFor', message: 'must be a non-empty regular expression' });
+        } else {
+            try {
+                new RegExp(step.waitFor, 'i');
+            } catch (error) {
+                errors.push({ field: 'waitFor', message: `contains an invalid regular expression: ${error.message}` });
+            }
+        }
+    }
+    if (step.timeout !== undefined) {
+        const message = validateInteger(step.timeout, 1000, MAX_WAIT_TIMEOUT);
+        if (message) errors.push({ field: 'timeout', message });
+    }
+    if (step.onTimeout !== undefined && !TIMEOUT_ACTIONS.includes(step.onTimeout)) {
+        errors.push({ field: 'onTimeout', message: `must be one of ${TIMEOUT_ACTIONS.join(', ')}` });
+    }
+
+    validateCondition(step.when, errors);
+    validateUnknownKeys(step, STEP_KEYS, errors);
+    return errors;
+}
+
+function validateScheduledAction(action) {
+    if (!isPlainObject(action)) return [{ field: '', message: 'must be an object' }];
+
+    const errors = [];
+    if (typeof action.name !== 'string' || !SCHEDULE_NAME_PATTERN.test(action.name)) {
+        errors.push({ field: 'name', message: `must be 1-32 letters, digits, - or _ (got ${JSON.stringify(action.name)})` });
+    }
+    if (validateAction(action, errors) === 0) {
+        errors.push({ field: 'command', message: 'is required (set command or chat)' });
+    }
+
+    const message = validateInteger(action.every, MIN_SCHEDULE_INTERVAL, Number.MAX_SAFE_INTEGER);
+    if (message) errors.push({ field: 'every', message });
+
+    validateCondition(action.when, errors);
+    validateUnknownKeys(action, SCHEDULE_KEYS, errors);
+    return errors;
+}
+
+// Validates a whole `scripts` section; fields are prefixed for config errors
+function validateScripts(scripts, prefix = 'scripts') {
+    const errors = [];
+    const withPrefix = (itemPrefix) => ({ field, message }) =>
+        ({ field: field ? `${itemPrefix}.${field}` : itemPrefix, message });
+
+    if (Array.isArray(scripts.onJoin)) {
+        if (scripts.onJoin.length > MAX_SCRIPT_STEPS) {
+            errors.push({ field: `${prefix}.onJoin`, message: `must have at most ${MAX_SCRIPT_STEPS} steps` });
+        }
+        scripts.onJoin.forEach((step, index) => {
+            errors.push(...validateStep(step).map(withPrefix(`${prefix}.onJoin[${index}]`)));
+        });
+    }
+
+    if (Array.isArray(scripts.scheduled)) {
+        const names = new Set();
+        scripts.scheduled.forEach((action, index) => {
+            const itemPrefix = `${prefix}.scheduled[${index}]`;
+            errors.push(...validateScheduledAction(action).map(withPrefix(itemPrefix)));
+
+            const name = action?.name?.toLowerCase?.();
+            if (name && names.has(name)) {
+                errors.push({ field: `${itemPrefix}.name`, message: `duplicates another scheduled action (${action.name})` });
+            }
+            names.add(name);
+        });
+    }
+
+    return errors;
+}
+
+function formatErrors(errors) {
+    return errors.map(({ field, message }) => (field ? `${field} ${message}` : message));
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+function formatDuration(ms) {
+    if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+    if (ms % 60000 === 0) return `${ms / 60000}m`;
+    return `${ms / 1000}s`;
+}
+
+function describeCondition(when) {
+    const places = [when?.world, when?.dimension].filter(Boolean);
+    return places.length > 0 ? ` — only in **${places.join(' / ')}**` : '';
+}
+
+function describeStep(step) {
+    const parts = [];
+    if (step.delay) parts.push(`⏱️ ${formatDuration(step.delay)}`);
+    if (step.command) parts.push(`⌨️ \`${step.command}\``);
+    if (step.chat) parts.push(`💬 "${step.chat}"`);
+    if (step.waitFor) {
+        const onTimeout = step.onTimeout === 'continue' ? ', then continue' : '';
+        parts.push(`⏳ wait for \`/${step.waitFor}/\` (${formatDuration(step.timeout || DEFAULT_WAIT_TIMEOUT)}${onTimeout})`);
+    }
+    return parts.join(' → ') + describeCondition(step.when);
+}
+
+function describeScheduledAction(action) {
+    const text = action.command ? `⌨️ \`${action.command}\`` : `💬 "${action.chat}"`;
+    return `**${action.name}** — ${text} every ${formatDuration(action.every)}${describeCondition(action.when)}`;
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+// Runs the session's scripts while it is online. Everything it schedules is
+// cancelled by stop(), which the session calls when the connection ends.
+class ScriptRunner {
+    constructor(session) {
+        this.session = session;
+        this.waiters = new Set();
+        this.intervals = new Map(); // scheduled action name -> interval
+        this.runId = 0;
+        this.running = false;
+        this.currentStep = null;
+        this.lastRun = null; // { startedAt, finishedAt, status, step, message }
+        this.lastScheduledRuns = new Map(); // name -> { at, success }
+    }
+
+    get config() {
+        return this.session.scriptConfig;
+    }
+
+    start() {
+        this.runJoinScript();
+        this.startSchedules();
+    }
+
+    stop() {
+        this.runId++;
+        for (const timer of this.intervals.values()) clearInterval(timer);
+        this.intervals.clear();
+        for (const waiter of Array.from(this.waiters)) waiter.settle('cancelled');
+    }
+
+    // Resolves 'done' after `ms`, or 'matched' earlier when `pattern` is seen in
+    // chat (then 'timeout' if it never is). stop() and cancel() settle it with 'cancelled'.
+    wait(ms, pattern = null) {
+        const waiter = { pattern };
+        const promise = new Promise((resolve) => {
+            waiter.settle = (result) => {
+                clearTimeout(waiter.timer);
+                this.waiters.delete(waiter);
+                resolve(result);
+            };
+        });
+        waiter.timer = setTimeout(() => waiter.settle(pattern ? 'timeout' : 'done'), ms);
+        this.waiters.add(waiter);
+
+        promise.cancel = () => waiter.settle('cancelled');
+        return promise;
+    }
+
+    handleChat(message) {
+        const text = message.replace(/§./g, '');
+        for (const waiter of Array.from(this.waiters)) {
+            if (waiter.pattern?.test(text)) waiter.settle('matched');
+        }
+    }
+
+    matchesCondition(when) {
+        const { world } = this.session;
+        if (when?.world && this.session.currentWorld.toLowerCase() !== when.world.toLowerCase()) return false;
+        if (when?.dimension && world.dimension !== when.dimension.toLowerCase()) return false;
+        return true;
+    }
+
+    // {username}, {session} and {world} expand to the session's current values
+    render(text) {
+        return text.replace(/\{(username|session|world)\}/g, (match, key) => {
+            if (key === 'username') return this.session.username;
+            if (key === 'session') return this.session.name;
+            return this.session.currentWorld;
+        });
+    }
+
+    async send(item) {
+        const text = this.render(item.command || item.chat);
+        const result = await this.session.sendChatMessage(text, { mode: item.command ? 'command' : 'chat' });
+        if (!result.success) {
+            throw new Error(result.error || `Server rejected ${text}`);
+        }
+        return text;
+    }
+
+    // Runs onJoin in order; returns false when a run is already in progress
+    runJoinScript() {
+        if (this.running) return false;
+
+        const steps = this.config.onJoin.slice();
+        if (steps.length === 0) return true;
+
+        this.execute(steps, this.runId);
+        return true;
+    }
+
+    async execute(steps, runId) {
+        const finish = (status, message = null) => {
+            this.running = false;
+            this.currentStep = null;
+            this.lastRun = { ...this.lastRun, finishedAt: Date.now(), status, message };
+            if (status !== 'completed') this.session.log(`Join script ${status}: ${message}`);
+        };
+
+        this.running = true;
+        this.lastRun = { startedAt: Date.now(), finishedAt: null, status: 'running', step: 0, message: null };
+        this.session.log(`Running join script (${steps.length} step(s))`);
+
+        for (const [index, step] of steps.entries()) {
+            // stop() only cancels waits that already exist, so check before
+            // starting a delay as well as after it
+            if (runId !== this.runId) return finish('cancelled', `Connection ended before step ${index + 1}`);
+            this.currentStep = index + 1;
+            this.lastRun.step = index + 1;
+
+            if (step.delay && await this.wait(step.delay) === 'cancelled') {
+                return finish('cancelled', `Connection ended before step ${index + 1}`);
+            }
+            if (runId !== this.runId) return finish('cancelled', `Connection ended before step ${index + 1}`);
+            if (!this.matchesCondition(step.when)) {
+                this.session.log(`Skipping join step ${index + 1}: in ${this.session.world.describe()}`);
+                continue;
+            }
+
+            // Listen before sending so a fast reply isn't missed
+            const reply = step.waitFor
+                ? this.wait(step.timeout || DEFAULT_WAIT_TIMEOUT, new RegExp(step.waitFor, 'i'))
+                : null;
+
+            try {
+                if (step.command || step.chat) {
+                    const text = await this.send(step);
+                    // A teardown settles pending commands as if they succeeded
+                    if (runId !== this.runId) {
+                        reply?.cancel();
+                        return finish('cancelled', `Connection ended during step ${index + 1}`);
+                    }
+                    this.session.log(`Join step ${index + 1}: ${text}`);
+                }
+            } catch (error) {
+                reply?.cancel();
+                if (runId !== this.runId) return finish('cancelled', `Connection ended during step ${index + 1}`);
+                return finish('failed', `Step ${index + 1}: ${error.message}`);
+            }
+
+            if (!reply) continue;
+            const result = await reply;
+            if (result === 'cancelled') return finish('cancelled', `Connection ended during step ${index + 1}`);
+            if (result === 'timeout') {
+                if (step.onTimeout === 'continue') {
+                    this.session.log(`Join step ${index + 1}: no reply matching /${step.waitFor}/, continuing`);
+                    continue;
+                }
+                return finish('stopped', `Step ${index + 1}: no reply matching /${step.waitFor}/`);
+            }
+        }
+
+        finish('completed');
+        this.session.log('Join script completed');
+    }
+
+    // (Re)starts the interval for every scheduled action
+    startSchedules() {
+        for (const timer of this.intervals.values()) clearInterval(timer);
+        this.intervals.clear();
+
+        for (const action of this.config.scheduled) {
+            this.intervals.set(action.name, setInterval(() => this.runScheduledAction(action), action.every));
+        }
+    }
+
+    async runScheduledAction(action) {
+        if (!this.matchesCondition(action.when)) return;
+
+        try {
+            const text = await this.send(action);
+            this.session.log(`Scheduled action ${action.name}: ${text}`);
+            this.lastScheduledRuns.set(action.name, { at: Date.now(), success: true });
+        } catch (error) {
+            this.session.logError(`Scheduled action ${action.name} failed:`, error.message);
+            this.lastScheduledRuns.set(action.name, { at: Date.now(), success: false });
+        }
+    }
+
+    getStatus() {
+        return {
+            joinSteps: this.config.onJoin.length,
+            scheduled: this.config.scheduled.map(({ name, every }) => ({
+                name,
+                every,
+                active: this.intervals.has(name),
+                lastRunAt: this.lastScheduledRuns.get(name)?.at ?? null
+            })),
+            running: this.running,
+            currentStep: this.currentStep,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+module.exports = {
+    ScriptRunner,
+    validateStep,
+    validateScheduledAction,
+    validateScripts,
+    formatErrors,
+    describeStep,
+    describeScheduledAction,
+    MAX_SCRIPT_STEPS,
+    MIN_SCHEDULE_INTERVAL
+};
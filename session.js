@@ -0,0 +1,1914 @@
+// ============================================================================
+// BEDROCK SESSION - one Minecraft account connected to one server
+// ============================================================================
+
+const { randomUUID } = require('crypto');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { MicrosoftAuthManager } = require('./auth');
+const { ChatBridge } = require('./chatBridge');
+const { EntityTracker } = require('./entityTracker');
+const { WorldState, GAMEMODE_LABELS } = require('./worldState');
+const { SAFETY_SETTINGS, SAFETY_PRESETS, validateSafetyChanges, formatSafetyValue } = require('./safety');
+const { ReconnectPolicy, classifyReason, describeReason, CATEGORY_LABELS, STRATEGY_LABELS } = require('./reconnectPolicy');
+const { AntiAfk, PATTERN_LABELS } = require('./antiAfk');
+const { Vitals, describeEffect } = require('./vitals');
+const { computeStats, formatUptime, PERIOD_LABELS } = require('./stats');
+const { Inventory, INVENTORY_SIZE, MAX_WATCHES, normalizeItemName, formatItemName, validateWatch } = require('./inventory');
+const { SEVERITY_LABELS } = require('./alerts');
+const {
+    ScriptRunner,
+    validateStep,
+    validateScheduledAction,
+    formatErrors,
+    describeStep,
+    describeScheduledAction,
+    MAX_SCRIPT_STEPS
+} = require('./scripts');
+
+const COMMAND_OUTPUT_TIMEOUT = 5000;
+const SAFETY_CHECK_INTERVAL = 10000;
+const INVENTORY_PAGE_SIZE = 15;
+const POSITION_EVENT_INTERVAL = 1000;
+const COMMAND_REQUEST_VERSION = 52;
+const CHAT_MODES = ['auto', 'chat', 'command', 'whisper'];
+
+// Connection lifecycle. `idle` means nothing is wanted, `stopped` means the
+// session ended itself (gave up reconnecting, safety disconnect or shutdown).
+const SESSION_STATES = ['idle', 'connecting', 'authenticating', 'online', 'backoff', 'stopped'];
+const STATE_TRANSITIONS = {
+    idle: ['connecting', 'backoff', 'stopped'],
+    connecting: ['authenticating', 'online', 'backoff', 'idle', 'stopped'],
+    authenticating: ['connecting', 'online', 'backoff', 'idle', 'stopped'],
+    online: ['backoff', 'idle', 'stopped'],
+    backoff: ['connecting', 'idle', 'stopped'],
+    stopped: ['connecting', 'idle']
+};
+
+class BedrockSession {
+    constructor(bot, sessionConfig) {
+        this.bot = bot;
+        this.name = sessionConfig.name;
+        this.config = sessionConfig;
+        this.channelId = sessionConfig.channelId;
+        this.username = sessionConfig.minecraft.username;
+
+        this.minecraftBot = null;
+        this.controlMessage = null;
+        this.state = 'idle';
+        this.stateChangedAt = Date.now();
+        this.stateReason = null;
+        this.shouldJoin = false;
+        this.lastAuthUser = null;
+        this.authInteraction = null;
+        this.isShuttingDown = false;
+        this.connectedAt = null;
+
+        // Tagged with the session name; log()/logError() use the bedrock one
+        this.logger = bot.logger.child('bedrock', { session: this.name });
+        this.discordLogger = this.logger.child('discord');
+        this.safetyLogger = this.logger.child('safety');
+
+        // Microsoft device-code auth
+        this.auth = new MicrosoftAuthManager();
+
+        // Enhanced features
+        this.world = new WorldState();
+        this.currentCoords = { x: 0, y: 0, z: 0 };
+        this.lastPositionEvent = null; // { at, x, y, z } of the last position_changed
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = sessionConfig.reconnect.maxAttempts;
+        this.reconnectPolicy = new ReconnectPolicy(sessionConfig.reconnect);
+        this.reconnectPlan = null; // { category, strategy, delay, reason, nextRetryAt }
+        this.reconnectTimer = null;
+
+        // Owned by the current connection and removed in teardownConnection()
+        this.connectionTimers = new Map(); // timer -> 'timeout' | 'interval'
+        this.clientListeners = [];
+
+        // Bedrock-specific properties
+        this.currentHealth = 20;
+        this.lastHealth = 20;
+        this.vitals = new Vitals();
+        this.vitalsConfig = { ...sessionConfig.vitals };
+        this.nearbyPlayers = new Set();
+        this.nearbyPlayerDetails = new Map(); // name -> { distance, direction }
+        this.entityTracker = new EntityTracker();
+
+        // Safety features
+        this.safetyConfig = { ...sessionConfig.safety };
+        this.lastHealthAlert = 0;
+        this.lastHungerAlert = 0;
+        this.lastProximityAlert = 0;
+        this.alertedBlockedPlayers = new Set();
+
+        // Whitelist/Blacklist system
+        this.trustedPlayers = new Set(sessionConfig.players.trusted);
+        this.blockedPlayers = new Set(sessionConfig.players.blocked);
+
+        // On-join steps and recurring actions
+        this.scriptConfig = {
+            onJoin: [...sessionConfig.scripts.onJoin],
+            scheduled: [...sessionConfig.scripts.scheduled]
+        };
+        this.scripts = new ScriptRunner(this);
+
+        // Keeps idle-kick plugins from noticing the bot
+        this.antiAfk = new AntiAfk(this, sessionConfig.antiAfk);
+
+        // What the bot is carrying, and which piles to report on
+        this.inventory = new Inventory();
+        this.inventoryConfig = {
+            fullAlert: sessionConfig.inventory.fullAlert,
+            watch: [...sessionConfig.inventory.watch]
+        };
+        this.inventoryAlerts = { full: false, watches: new Set() }; // Re-armed once the condition clears
+
+        // User ID -> { minSeverity } from /alerts subscribe
+        this.alertSubscribers = new Map();
+
+        this.restoreState();
+
+        // Two-way chat relay
+        this.chatBridge = new ChatBridge(this, sessionConfig.chatBridge);
+
+        // command_request ids awaiting a command_output reply
+        this.pendingCommands = new Map();
+
+        this.setupAuthEvents();
+    }
+
+    get isConnected() {
+        return this.state === 'online';
+    }
+
+    get isConnecting() {
+        return this.state === 'connecting' || this.state === 'authenticating';
+    }
+
+    // Level name from start_game
+    get currentWorld() {
+        return this.world.worldName || 'Unknown';
+    }
+
+    get discordClient() {
+        return this.bot.discordClient;
+    }
+
+    get server() {
+        return `${this.config.minecraft.host}:${this.config.minecraft.port}`;
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    // Stored values win over the config file, which only seeds first runs
+    restoreState() {
+        const stored = this.bot.store.getSession(this.name);
+
+        if (stored.safety) this.safetyConfig = { ...this.safetyConfig, ...stored.safety };
+        if (stored.trustedPlayers) this.trustedPlayers = new Set(stored.trustedPlayers);
+        if (stored.blockedPlayers) this.blockedPlayers = new Set(stored.blockedPlayers);
+        if (stored.scripts) this.scriptConfig = { ...this.scriptConfig, ...stored.scripts };
+        if (stored.antiAfk) this.antiAfk.options = { ...this.antiAfk.options, ...stored.antiAfk };
+        if (stored.inventory) this.inventoryConfig = { ...this.inventoryConfig, ...stored.inventory };
+        if (stored.alertSubscribers) {
+            this.alertSubscribers = new Map(stored.alertSubscribers.map(({ id, minSeverity }) => [id, { minSeverity }]));
+        }
+        if (stored.shouldJoin) {
+            this.shouldJoin = true;
+            this.reconnectAttempts = stored.reconnectAttempts || 0;
+        }
+    }
+
+    persistState() {
+        if (this.isShuttingDown) return;
+
+        this.bot.store.updateSession(this.name, {
+            safety: { ...this.safetyConfig },
+            trustedPlayers: Array.from(this.trustedPlayers),
+            blockedPlayers: Array.from(this.blockedPlayers),
+            scripts: this.scriptConfig,
+            antiAfk: { enabled: this.antiAfk.enabled, interval: this.antiAfk.options.interval },
+            inventory: this.inventoryConfig,
+            alertSubscribers: Array.from(this.alertSubscribers, ([id, { minSeverity }]) => ({ id, minSeverity })),
+            controlMessageId: this.controlMessage?.id || null,
+            controlChannelId: this.controlMessage?.channelId || null,
+            shouldJoin: this.shouldJoin,
+            reconnectAttempts: this.reconnectAttempts
+        });
+    }
+
+    // Closes the current history entry, if the bot was online
+    recordSessionEnd(reason) {
+        if (!this.connectedAt) return;
+
+        const disconnectedAt = Date.now();
+        this.bot.store.addHistory(this.name, {
+            connectedAt: new Date(this.connectedAt).toISOString(),
+            disconnectedAt: new Date(disconnectedAt).toISOString(),
+            duration: disconnectedAt - this.connectedAt,
+            server: this.server,
+            reason: typeof reason === 'string' ? reason : (reason?.message || JSON.stringify(reason) || null)
+        });
+        this.connectedAt = null;
+    }
+
+    // Appends to the session's event log, which /stats summarises
+    recordEvent(type, details = {}) {
+        this.bot.store.addEvent(this.name, { at: new Date().toISOString(), type, ...details });
+    }
+
+    getStats(period = '7d') {
+        return computeStats({
+            history: this.bot.store.getHistory(this.name),
+            events: this.bot.store.getEvents(this.name),
+            connectedAt: this.connectedAt,
+            period
+        });
+    }
+
+    log(message, ...args) {
+        this.logger.info(message, ...args);
+    }
+
+    logError(message, ...args) {
+        this.logger.error(message, ...args);
+    }
+
+    // ========================================================================
+    // CONTROL
+    // ========================================================================
+
+    async connect({ user = null, interaction = null } = {}) {
+        if (this.isConnected) return false;
+
+        this.shouldJoin = true;
+        this.reconnectAttempts = 0;
+        this.cancelReconnect();
+        if (user) this.lastAuthUser = user;
+        this.authInteraction = interaction;
+        this.persistState();
+
+        return this.connectToMinecraft();
+    }
+
+    // Picks up a connection that was active before the last restart
+    async resume() {
+        if (!this.shouldJoin || this.state !== 'idle') return;
+
+        this.log(`Resuming connection (reconnect attempt ${this.reconnectAttempts})`);
+        await this.connectToMinecraft();
+    }
+
+    async disconnect() {
+        this.shouldJoin = false;
+        this.reconnectAttempts = 0;
+        this.cancelReconnect();
+        this.authInteraction = null;
+        this.auth.clear();
+        if (this.state !== 'idle') {
+            this.recordEvent('disconnect', { cause: 'user', reason: 'Disconnected by user' });
+            this.emit('disconnected', { cause: 'user', reason: 'Disconnected by user', category: null });
+        }
+        this.teardownConnection('Disconnected by user');
+        this.persistState();
+        await this.setState('idle', 'Disconnected by user');
+    }
+
+    // Ends the connection without retrying, e.g. a safety auto-disconnect
+    async stop(reason) {
+        this.shouldJoin = false;
+        this.cancelReconnect();
+        this.recordEvent('disconnect', { cause: 'stopped', reason });
+        this.emit('disconnected', { cause: 'stopped', reason, category: null });
+        this.teardownConnection(reason);
+        this.persistState();
+        await this.setState('stopped', reason);
+    }
+
+    getStatus() {
+        return {
+            session: this.name,
+            state: this.state,
+            stateSince: new Date(this.stateChangedAt).toISOString(),
+            stateReason: this.stateReason,
+            connected: this.isConnected,
+            connectedSince: this.connectedAt ? new Date(this.connectedAt).toISOString() : null,
+            shouldJoin: this.shouldJoin,
+            username: this.username,
+            server: this.server,
+            world: this.currentWorld,
+            dimension: this.world.dimension,
+            gamemode: this.world.gamemode,
+            spawnPosition: this.world.spawnPosition,
+            coordinates: this.currentCoords,
+            health: this.currentHealth,
+            nearbyPlayers: Array.from(this.nearbyPlayerDetails, ([username, details]) => ({ username, ...details })),
+            vitals: this.vitals.getStatus(),
+            reconnectAttempts: this.reconnectAttempts,
+            maxReconnectAttempts: this.maxReconnectAttempts,
+            authRequired: this.auth.isPending,
+            auth: this.auth.isPending
+                ? { authUrl: this.auth.authUrl, userCode: this.auth.userCode, expiresAt: new Date(this.auth.expiresAt).toISOString() }
+                : null,
+            safety: this.safetyConfig.enabled,
+            scripts: this.scripts.getStatus(),
+            antiAfk: this.antiAfk.getStatus(),
+            inventory: {
+                usedSlots: this.inventory.usedSlots,
+                size: INVENTORY_SIZE,
+                full: this.inventory.isFull
+            },
+            reconnect: this.reconnectPlan
+                ? {
+                    reason: this.reconnectPlan.reason,
+                    category: this.reconnectPlan.category,
+                    strategy: this.reconnectPlan.strategy,
+                    nextRetryAt: this.reconnectPlan.nextRetryAt ? new Date(this.reconnectPlan.nextRetryAt).toISOString() : null
+                }
+                : null
+        };
+    }
+
+    // ========================================================================
+    // CONTROL EMBED
+    // ========================================================================
+
+    createControlRow() {
+        return new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`connect:${this.name}`)
+                    .setLabel('Connect')
+                    .setEmoji('✅')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`disconnect:${this.name}`)
+                    .setLabel('Disconnect')
+                    .setEmoji('❌')
+                    .setStyle(ButtonStyle.Danger)
+            );
+    }
+
+    async setupControlMessage() {
+        const channel = await this.discordClient.channels.fetch(this.channelId);
+        if (!channel) {
+            this.discordLogger.error('Control channel not found!');
+            return;
+        }
+
+        // Reuse the panel from the previous run instead of posting a new one
+        const stored = this.bot.store.getSession(this.name);
+        if (stored.controlMessageId && stored.controlChannelId === this.channelId) {
+            try {
+                const message = await channel.messages.fetch(stored.controlMessageId);
+                if (message.author.id === this.discordClient.user.id) {
+                    this.controlMessage = message;
+                    await this.updateEmbed();
+                    return;
+                }
+            } catch (error) {
+                this.discordLogger.info('Previous control message is gone, posting a new one:', error.message);
+            }
+        }
+
+        this.controlMessage = await channel.send({
+            embeds: [this.createEmbed()],
+            components: [this.createControlRow()]
+        });
+        this.persistState();
+    }
+
+    createEmbed() {
+        const statusColor = this.isConnected ? '#00ff00' : this.shouldJoin ? '#ff9900' : '#ff0000';
+        const embed = new EmbedBuilder()
+            .setTitle(`🎮 Minecraft Bedrock AFK Bot — ${this.name}`)
+            .setColor(statusColor)
+            .addFields(
+                { name: '🖥️ Server', value: `\`${this.config.minecraft.host}\``, inline: true },
+                { name: '🔗 Status', value: this.getStatusText(), inline: true },
+                { name: '🛡️ Safety', value: this.safetyConfig.enabled ? (this.isConnected ? '✅ Active' : '❌ Inactive') : '⏸️ Disabled', inline: true }
+            );
+
+        if (this.isConnected) {
+            embed.addFields(
+                { name: '👤 Player', value: `\`${this.username}\``, inline: true },
+                { name: '🌍 World', value: `\`${this.world.describe()}\``, inline: true },
+                { name: '❤️ Health', value: this.formatHealth(), inline: true },
+                { name: '🍗 Hunger', value: `\`${this.vitals.hunger}/${this.vitals.maxHunger}\``, inline: true },
+                { name: '⭐ Level', value: `\`${this.vitals.xpLevel}\``, inline: true },
+                { name: '🧪 Effects', value: this.formatEffects(), inline: true },
+                { name: '🎒 Inventory', value: this.inventory.loaded ? `\`${this.inventory.usedSlots}/${INVENTORY_SIZE} slots\`` : '`Unknown`', inline: true },
+                { name: '📍 Position', value: `\`${Math.round(this.currentCoords.x)}, ${Math.round(this.currentCoords.y)}, ${Math.round(this.currentCoords.z)}\``, inline: false },
+                { name: '🏃 Anti-AFK', value: this.antiAfk.getStatusText(), inline: false }
+            );
+        }
+
+        if (this.reconnectPlan && !this.isConnected) {
+            const plan = this.reconnectPlan;
+            const next = plan.nextRetryAt && this.shouldJoin
+                ? ` • next try <t:${Math.floor(plan.nextRetryAt / 1000)}:R>`
+                : '';
+            embed.addFields({
+                name: '🔄 Reconnect',
+                value: `${STRATEGY_LABELS[plan.strategy]} — ${CATEGORY_LABELS[plan.category]}` +
+                    ` (${this.reconnectAttempts}/${this.maxReconnectAttempts})${next}` +
+                    (plan.reason ? `\n\`${plan.reason}\`` : ''),
+                inline: false
+            });
+        }
+
+        embed.setTimestamp()
+            .setFooter({ text: `Session: ${this.name} • Use buttons below to control the bot` });
+
+        if (this.auth.isPending) {
+            embed.addFields({
+                name: '🔑 Auth Required',
+                value: `[Click here](${this.auth.authUrl}) | Code: \`${this.auth.userCode}\` | Expires <t:${Math.floor(this.auth.expiresAt / 1000)}:R>`,
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    // e.g. "`18/20` +4 💛" or "☠️ Dead"
+    formatHealth() {
+        if (this.vitals.dead) return '☠️ Dead';
+        const absorption = this.vitals.absorption > 0 ? ` +${this.vitals.absorption} 💛` : '';
+        return `\`${this.currentHealth}/${this.vitals.maxHealth}\`${absorption}`;
+    }
+
+    formatEffects() {
+        const effects = this.vitals.getActiveEffects();
+        if (effects.length === 0) return 'None';
+        return effects.map(effect => `${this.vitals.isHarmful(effect) ? '⚠️ ' : ''}${describeEffect(effect)}`).join('\n');
+    }
+
+    getStatusText() {
+        if (this.auth.isPending) {
+            return '⏳ Waiting for Microsoft authentication...';
+        }
+        if (this.isConnected) {
+            return `✅ Connected as ${this.username}`;
+        }
+        if (this.shouldJoin && !this.isConnected) {
+            if (this.reconnectAttempts > 0) {
+                return `🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
+            }
+            return '⏳ Connecting...';
+        }
+        if (this.state === 'stopped') {
+            const reason = this.reconnectPlan?.strategy === 'give_up'
+                ? CATEGORY_LABELS[this.reconnectPlan.category]
+                : this.stateReason;
+            return reason ? `🛑 Stopped: ${reason}` : '🛑 Stopped';
+        }
+        return '❌ Disconnected';
+    }
+
+    async updateEmbed() {
+        if (!this.controlMessage) return;
+
+        try {
+            await this.controlMessage.edit({
+                embeds: [this.createEmbed()],
+                components: [this.createControlRow()]
+            });
+        } catch (error) {
+            this.discordLogger.error('Failed to update embed:', error);
+        }
+    }
+
+    // ========================================================================
+    // SAFETY METHODS
+    // ========================================================================
+
+    // severity: info, warning or critical; decides which alert sinks get it
+    async sendSafetyAlert(title, description, color = '#ff0000', severity = 'warning') {
+        this.recordEvent('alert', { title, severity });
+        await this.emit('safety_triggered', {
+            title,
+            description,
+            severity,
+            color,
+            details: {
+                location: {
+                    x: Math.round(this.currentCoords.x),
+                    y: Math.round(this.currentCoords.y),
+                    z: Math.round(this.currentCoords.z)
+                },
+                world: this.world.describe(),
+                health: this.currentHealth,
+                maxHealth: this.vitals.maxHealth
+            }
+        });
+    }
+
+    // Embed fields for alert DMs and the alert channel
+    createAlertFields() {
+        return [
+            { name: '🎮 **Session**', value: `\`${this.name}\``, inline: true },
+            { name: '📍 **Location**', value: `\`X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}\``, inline: true },
+            { name: '🌍 **World**', value: `\`${this.world.describe()}\``, inline: true },
+            { name: '❤️ **Health**', value: this.formatHealth(), inline: true },
+            { name: '⏰ **Time**', value: `<t:${Math.floor(Date.now() / 1000)}:R>`, inline: false }
+        ];
+    }
+
+    // Opts a Discord user in to this session's alert DMs
+    subscribeAlerts(userId, minSeverity = 'info') {
+        const existing = this.alertSubscribers.get(userId);
+        this.alertSubscribers.set(userId, { minSeverity });
+        this.persistState();
+        return { replaced: Boolean(existing) };
+    }
+
+    unsubscribeAlerts(userId) {
+        const removed = this.alertSubscribers.delete(userId);
+        if (removed) this.persistState();
+        return removed;
+    }
+
+    createAlertsEmbed(userId) {
+        const { dm, channel, webhooks } = this.bot.alerts.options;
+        const subscription = this.alertSubscribers.get(userId);
+        const dmTargets = new Set([...dm.subscribers, ...this.alertSubscribers.keys()]);
+
+        return new EmbedBuilder()
+            .setTitle(`🔔 Alerts — ${this.name}`)
+            .setColor('#3498db')
+            .addFields(
+                {
+                    name: '👤 You',
+                    value: subscription ? `Subscribed (${SEVERITY_LABELS[subscription.minSeverity]}+)` : 'Not subscribed',
+                    inline: true
+                },
+                {
+                    name: '✉️ DMs',
+                    value: dm.enabled
+                        ? `${dmTargets.size} subscriber(s) + last connector (${SEVERITY_LABELS[dm.minSeverity]}+)`
+                        : 'Disabled',
+                    inline: true
+                },
+                {
+                    name: '📢 Alert Channel',
+                    value: channel.enabled && channel.channelId
+                        ? `<#${channel.channelId}> (${SEVERITY_LABELS[channel.minSeverity]}+)` +
+                            (channel.mentionRoles.length > 0 ? `, pings ${channel.mentionRoles.map(id => `<@&${id}>`).join(' ')} on ${SEVERITY_LABELS[channel.mentionSeverity]}+` : '')
+                        : 'Disabled',
+                    inline: false
+                },
+                { name: '🌐 Webhooks', value: `${webhooks.length}`, inline: true }
+            )
+            .setTimestamp();
+    }
+
+    // ========================================================================
+    // SAFETY SETTINGS
+    // ========================================================================
+
+    // Applies all changes or none. Returns { success, safety } or { success: false, errors }
+    updateSafetyConfig(changes) {
+        const { errors } = validateSafetyChanges(changes);
+        if (errors) return { success: false, errors };
+
+        const radiusChanged = changes.proximityRadius !== undefined &&
+            changes.proximityRadius !== this.safetyConfig.proximityRadius;
+
+        this.safetyConfig = { ...this.safetyConfig, ...changes };
+        this.persistState();
+        this.safetyLogger.info('Safety settings updated:', changes);
+
+        if (radiusChanged) this.updateNearbyPlayers();
+        this.emit('settings_changed', { section: 'safety', changes });
+        return { success: true, safety: { ...this.safetyConfig } };
+    }
+
+    applySafetyPreset(preset) {
+        if (!SAFETY_PRESETS[preset]) {
+            return { success: false, errors: [`preset must be one of ${Object.keys(SAFETY_PRESETS).join(', ')}`] };
+        }
+        return this.updateSafetyConfig(SAFETY_PRESETS[preset]);
+    }
+
+    // changes: { enabled, interval }; applied right away when online
+    setAntiAfk(changes) {
+        this.antiAfk.update(changes);
+        this.persistState();
+        this.log('Anti-AFK updated:', changes);
+        this.emit('settings_changed', { section: 'antiAfk', changes });
+        return this.antiAfk.getStatus();
+    }
+
+    createAntiAfkEmbed() {
+        const status = this.antiAfk.getStatus();
+        return new EmbedBuilder()
+            .setTitle(`🏃 Anti-AFK — ${this.name}`)
+            .setColor(status.enabled ? '#00ff00' : '#808080')
+            .addFields(
+                { name: '🔘 State', value: this.antiAfk.getStatusText(), inline: false },
+                { name: '⏱️ Interval', value: `\`~${Math.round(status.interval / 1000)}s ±${Math.round(this.antiAfk.options.jitter * 100)}%\``, inline: true },
+                { name: '🎲 Patterns', value: status.patterns.map(p => PATTERN_LABELS[p]).join(', ') || '*None*', inline: true },
+                { name: '📊 Actions', value: `\`${status.actionCount}\``, inline: true }
+            )
+            .setFooter({ text: 'Pauses automatically while an untrusted player is nearby' })
+            .setTimestamp();
+    }
+
+    createSafetyEmbed() {
+        const fields = Object.entries(SAFETY_SETTINGS).map(([key, setting]) => ({
+            name: setting.label,
+            value: `\`${formatSafetyValue(key, this.safetyConfig[key])}\``,
+            inline: true
+        }));
+
+        return new EmbedBuilder()
+            .setTitle(`🛡️ Safety Settings — ${this.name}`)
+            .setColor(this.safetyConfig.enabled ? '#00ff00' : '#808080')
+            .addFields(fields)
+            .setFooter({ text: `Presets: ${Object.keys(SAFETY_PRESETS).join(', ')} • /safety set to change a value` })
+            .setTimestamp();
+    }
+
+    createStatsEmbed(period = '7d') {
+        const stats = this.getStats(period);
+        const bar = (percent) => '▰'.repeat(Math.round(percent / 10)) + '▱'.repeat(10 - Math.round(percent / 10));
+        const { disconnects } = stats;
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📊 Statistics — ${this.name}`)
+            .setDescription(`${PERIOD_LABELS[period]} (since <t:${Math.floor(Date.parse(stats.from) / 1000)}:f>)`)
+            .setColor('#5865F2')
+            .addFields(
+                { name: '🟢 Online', value: `\`${stats.onlinePercent}%\` (${formatUptime(stats.onlineMs)})`, inline: true },
+                { name: '🔗 Sessions', value: `\`${stats.sessions}\` from ${stats.connectAttempts} connect attempts`, inline: true },
+                { name: '⏱️ Average Session', value: `\`${formatUptime(stats.averageSessionMs)}\` (longest ${formatUptime(stats.longestSessionMs)})`, inline: true }
+            )
+            .setTimestamp();
+
+        if (stats.currentSessionMs !== null) {
+            embed.addFields({ name: '⏳ Current Session', value: `\`${formatUptime(stats.currentSessionMs)}\``, inline: true });
+        }
+
+        embed.addFields({
+            name: `🔌 Disconnects (${disconnects.total})`,
+            value: `👢 Kicked: ${disconnects.kicked} • ⚠️ Errors: ${disconnects.errors} • 🔌 Closed: ${disconnects.closed}\n` +
+                `🙋 Manual: ${disconnects.byUser} • 🛡️ Safety: ${disconnects.safety}`,
+            inline: false
+        });
+
+        if (stats.reasons.length > 0) {
+            embed.addFields({
+                name: '📋 Top Reasons',
+                value: stats.reasons.map(reason =>
+                    `**${reason.count}×** ${reason.label}${reason.example ? ` — \`${reason.example.slice(0, 60)}\`` : ''}`
+                ).join('\n').slice(0, 1024),
+                inline: false
+            });
+        }
+
+        const days = stats.daily.slice(-7);
+        if (days.length > 1) {
+            embed.addFields({
+                name: '📅 Daily Uptime',
+                value: days.map(day => `\`${day.date.slice(5)}\` ${bar(day.onlinePercent)} ${day.onlinePercent}%`).join('\n'),
+                inline: false
+            });
+        }
+
+        embed.addFields({
+            name: '🧾 Other Events',
+            value: `🔐 Auth failures: ${stats.authFailures} • 🚨 Alerts: ${stats.alerts} • ☠️ Deaths: ${stats.deaths}`,
+            inline: false
+        });
+
+        return embed;
+    }
+
+    // ========================================================================
+    // INVENTORY
+    // ========================================================================
+
+    // `silent` records the current state without alerting, e.g. for the
+    // snapshot sent on join
+    checkInventory({ silent = false } = {}) {
+        const full = this.inventory.isFull;
+        if (full && !this.inventoryAlerts.full && this.inventoryConfig.fullAlert && !silent) {
+            this.sendSafetyAlert(
+                '🎒 Inventory Full',
+                `**All ${INVENTORY_SIZE} inventory slots are in use.**\nNew drops will be left on the ground.`,
+                '#3498db',
+                'info'
+            );
+        }
+        this.inventoryAlerts.full = full;
+
+        for (const watch of this.inventoryConfig.watch) {
+            const item = normalizeItemName(watch.item);
+            const count = this.inventory.countOf(item);
+            const reached = count >= watch.threshold;
+
+            if (reached && !this.inventoryAlerts.watches.has(item) && !silent) {
+                this.sendSafetyAlert(
+                    '📦 Item Threshold Reached',
+                    `**${formatItemName(item)}: ${count}** (threshold ${watch.threshold})`,
+                    '#3498db',
+                    'info'
+                );
+            }
+            if (reached) this.inventoryAlerts.watches.add(item);
+            else this.inventoryAlerts.watches.delete(item);
+        }
+    }
+
+    // Adds the watch, or updates the threshold of an existing one
+    setInventoryWatch(item, threshold) {
+        const errors = validateWatch({ item, threshold });
+        if (errors.length > 0) return { success: false, errors: formatErrors(errors) };
+
+        const name = normalizeItemName(item);
+        const others = this.inventoryConfig.watch.filter(watch => normalizeItemName(watch.item) !== name);
+        if (others.length >= MAX_WATCHES) {
+            return { success: false, errors: [`at most ${MAX_WATCHES} items can be watched`] };
+        }
+
+        const replaced = others.length !== this.inventoryConfig.watch.length;
+        this.inventoryConfig = { ...this.inventoryConfig, watch: [...others, { item: name, threshold }] };
+        this.inventoryAlerts.watches.delete(name);
+        this.persistState();
+        this.log(`Watching ${name} at ${threshold}`);
+
+        if (this.inventory.loaded) this.checkInventory();
+        return { success: true, replaced };
+    }
+
+    removeInventoryWatch(item) {
+        const name = normalizeItemName(item);
+        const watch = this.inventoryConfig.watch.filter(entry => normalizeItemName(entry.item) !== name);
+        if (watch.length === this.inventoryConfig.watch.length) return false;
+
+        this.inventoryConfig = { ...this.inventoryConfig, watch };
+        this.inventoryAlerts.watches.delete(name);
+        this.persistState();
+        this.log(`Stopped watching ${name}`);
+        return true;
+    }
+
+    getInventoryWatches() {
+        return this.inventoryConfig.watch.map(({ item, threshold }) => {
+            const name = normalizeItemName(item);
+            return { item: name, threshold, count: this.inventory.countOf(name) };
+        });
+    }
+
+    // page is 1-based and clamped to the available pages
+    createInventoryEmbed(page = 1) {
+        const totals = this.inventory.getTotals();
+        const pages = Math.max(1, Math.ceil(totals.length / INVENTORY_PAGE_SIZE));
+        const current = Math.min(Math.max(page, 1), pages);
+        const lines = totals
+            .slice((current - 1) * INVENTORY_PAGE_SIZE, current * INVENTORY_PAGE_SIZE)
+            .map(item => `**${item.displayName}** ×${item.count}`);
+
+        let description;
+        if (!this.inventory.loaded) {
+            description = this.isConnected ? '*Waiting for the server to send the inventory...*' : '*Not connected.*';
+        } else {
+            description = lines.length > 0 ? lines.join('\n') : '*Empty.*';
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🎒 Inventory — ${this.name}`)
+            .setDescription(description)
+            .setColor(this.inventory.isFull ? '#ff9900' : '#5865F2')
+            .addFields({ name: '📦 Slots', value: `\`${this.inventory.usedSlots}/${INVENTORY_SIZE}\``, inline: true })
+            .setFooter({ text: `Page ${current}/${pages} • /inventory show page:<n> for more` })
+            .setTimestamp();
+
+        const armor = this.inventory.armor.filter(Boolean).map(item => item.displayName);
+        if (armor.length > 0 || this.inventory.offhand) {
+            embed.addFields({
+                name: '🛡️ Equipment',
+                value: [...armor, ...(this.inventory.offhand ? [`${this.inventory.offhand.displayName} (offhand)`] : [])].join(', '),
+                inline: true
+            });
+        }
+
+        const watches = this.getInventoryWatches();
+        if (watches.length > 0) {
+            embed.addFields({
+                name: '👁️ Watched Items',
+                value: watches.map(watch =>
+                    `${watch.count >= watch.threshold ? '✅' : '⏳'} ${formatItemName(watch.item)} \`${watch.count}/${watch.threshold}\``
+                ).join('\n').slice(0, 1024),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    // ========================================================================
+    // SCRIPTS
+    // ========================================================================
+
+    // position is 1-based and defaults to the end. Returns { success, position } or { success: false, errors }
+    addJoinStep(step, position = null) {
+        const errors = validateStep(step);
+        if (errors.length > 0) return { success: false, errors: formatErrors(errors) };
+        if (this.scriptConfig.onJoin.length >= MAX_SCRIPT_STEPS) {
+            return { success: false, errors: [`the join script is limited to ${MAX_SCRIPT_STEPS} steps`] };
+        }
+
+        const onJoin = [...this.scriptConfig.onJoin];
+        const index = position ? Math.min(position, onJoin.length + 1) - 1 : onJoin.length;
+        onJoin.splice(index, 0, step);
+        this.scriptConfig = { ...this.scriptConfig, onJoin };
+        this.persistState();
+        this.log(`Join step ${index + 1} added:`, step);
+        return { success: true, position: index + 1 };
+    }
+
+    // Returns the removed step, or null if there is no such position
+    removeJoinStep(position) {
+        const step = this.scriptConfig.onJoin[position - 1];
+        if (!step) return null;
+
+        this.scriptConfig = {
+            ...this.scriptConfig,
+            onJoin: this.scriptConfig.onJoin.filter((_, index) => index !== position - 1)
+        };
+        this.persistState();
+        this.log(`Join step ${position} removed`);
+        return step;
+    }
+
+    // Adds the action, or replaces the one with the same name
+    setScheduledAction(action) {
+        const errors = validateScheduledAction(action);
+        if (errors.length > 0) return { success: false, errors: formatErrors(errors) };
+
+        const wanted = action.name.toLowerCase();
+        const others = this.scriptConfig.scheduled.filter(a => a.name.toLowerCase() !== wanted);
+        const replaced = others.length !== this.scriptConfig.scheduled.length;
+
+        this.scriptConfig = { ...this.scriptConfig, scheduled: [...others, action] };
+        this.persistState();
+        this.log(`Scheduled action ${action.name} ${replaced ? 'updated' : 'added'}`);
+
+        if (this.isConnected) this.scripts.startSchedules();
+        return { success: true, replaced };
+    }
+
+    removeScheduledAction(name) {
+        const wanted = name.toLowerCase();
+        const scheduled = this.scriptConfig.scheduled.filter(a => a.name.toLowerCase() !== wanted);
+        if (scheduled.length === this.scriptConfig.scheduled.length) return false;
+
+        this.scriptConfig = { ...this.scriptConfig, scheduled };
+        this.persistState();
+        this.log(`Scheduled action ${name} removed`);
+
+        if (this.isConnected) this.scripts.startSchedules();
+        return true;
+    }
+
+    createScriptsEmbed() {
+        const { onJoin, scheduled } = this.scriptConfig;
+        const { lastRun, running, currentStep } = this.scripts.getStatus();
+
+        const steps = onJoin.map((step, index) => `\`${index + 1}.\` ${describeStep(step)}`);
+        const embed = new EmbedBuilder()
+            .setTitle(`📜 Scripts — ${this.name}`)
+            .setDescription(`**▶️ On join**\n${steps.length > 0 ? steps.join('\n') : '*No steps.*'}`.slice(0, 4000))
+            .addFields({
+                name: '🔁 Scheduled',
+                value: (scheduled.length > 0 ? scheduled.map(describeScheduledAction).join('\n') : '*No scheduled actions.*').slice(0, 1024),
+                inline: false
+            })
+            .setColor('#5865F2')
+            .setTimestamp();
+
+        if (running) {
+            embed.addFields({ name: '📊 Join Script', value: `⏳ Running step ${currentStep}/${onJoin.length}`, inline: false });
+        } else if (lastRun) {
+            const icon = lastRun.status === 'completed' ? '✅' : '⚠️';
+            const detail = lastRun.message ? ` — ${lastRun.message}` : '';
+            embed.addFields({
+                name: '📊 Join Script',
+                value: `${icon} ${lastRun.status} <t:${Math.floor(lastRun.finishedAt / 1000)}:R>${detail}`.slice(0, 1024),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    // ========================================================================
+    // TRUSTED / BLOCKED PLAYERS
+    // ========================================================================
+
+    // list: 'trusted' | 'blocked'
+    getPlayerList(list) {
+        return list === 'trusted' ? this.trustedPlayers : this.blockedPlayers;
+    }
+
+    // Gamertags are case-insensitive
+    findPlayer(set, player) {
+        const wanted = player.toLowerCase();
+        return Array.from(set).find(p => p.toLowerCase() === wanted) || null;
+    }
+
+    isTrusted(player) {
+        return this.findPlayer(this.trustedPlayers, player) !== null;
+    }
+
+    isBlocked(player) {
+        return this.findPlayer(this.blockedPlayers, player) !== null;
+    }
+
+    // Returns false if the player was already on the list. A player can't be
+    // both trusted and blocked, so adding to one list removes from the other.
+    addToPlayerList(list, player) {
+        const set = this.getPlayerList(list);
+        if (this.findPlayer(set, player)) return false;
+
+        const other = this.getPlayerList(list === 'trusted' ? 'blocked' : 'trusted');
+        const existing = this.findPlayer(other, player);
+        if (existing) other.delete(existing);
+
+        set.add(player);
+        this.persistState();
+        this.checkPlayerProximity();
+        return true;
+    }
+
+    removeFromPlayerList(list, player) {
+        const set = this.getPlayerList(list);
+        const existing = this.findPlayer(set, player);
+        if (!existing) return false;
+
+        set.delete(existing);
+        this.alertedBlockedPlayers.delete(existing);
+        this.persistState();
+        this.checkPlayerProximity();
+        return true;
+    }
+
+    // Blocked players skip the alert cooldown: each arrival is reported once
+    // and handled with `safetyConfig.blockedPlayerAction`. Returns true when
+    // it acted, so the regular proximity pass can be skipped.
+    checkBlockedPlayers() {
+        for (const player of this.alertedBlockedPlayers) {
+            if (!this.nearbyPlayers.has(player)) this.alertedBlockedPlayers.delete(player);
+        }
+
+        const arrivals = Array.from(this.nearbyPlayers).filter(p =>
+            this.isBlocked(p) && !this.alertedBlockedPlayers.has(p)
+        );
+        if (arrivals.length === 0) return false;
+
+        arrivals.forEach(p => this.alertedBlockedPlayers.add(p));
+        const blockedList = arrivals.map(p => `🚫 ${this.describeNearbyPlayer(p)}`).join(', ');
+
+        if (this.safetyConfig.blockedPlayerAction === 'disconnect') {
+            this.sendSafetyAlert(
+                '⛔ BLOCKED PLAYER - AUTO DISCONNECT',
+                `**Blocked player(s) detected:**\n${blockedList}\n\n**Action:** Bot disconnected immediately!`,
+                '#8B0000',
+                'critical'
+            );
+            this.stop('Blocked player nearby');
+            return true;
+        }
+
+        this.sendSafetyAlert(
+            '⛔ BLOCKED PLAYER NEARBY',
+            `**Blocked player(s) detected:**\n${blockedList}\n\nDisconnect now with the ❌ button if needed!`,
+            '#8B0000',
+            'critical'
+        );
+        return true;
+    }
+
+    // ========================================================================
+    // PROXIMITY TRACKING
+    // ========================================================================
+
+    // Recomputes which tracked players are inside `proximityRadius`
+    updateNearbyPlayers() {
+        const nearby = this.entityTracker.getPlayersWithin(this.currentCoords, this.safetyConfig.proximityRadius)
+            .filter(p => p.username && p.username !== this.username);
+
+        const previous = this.nearbyPlayers;
+        this.nearbyPlayers = new Set(nearby.map(p => p.username));
+        this.nearbyPlayerDetails = new Map(nearby.map(p => [p.username, { distance: p.distance, direction: p.direction }]));
+
+        const entered = Array.from(this.nearbyPlayers).filter(p => !previous.has(p));
+        const left = Array.from(previous).filter(p => !this.nearbyPlayers.has(p));
+        if (entered.length > 0 || left.length > 0) {
+            this.emit('player_nearby', {
+                players: nearby.map(({ username, distance, direction }) => ({ username, distance, direction })),
+                entered,
+                left
+            });
+            this.checkPlayerProximity();
+        }
+    }
+
+    clearTrackedPlayers() {
+        this.entityTracker.reset();
+        this.nearbyPlayers = new Set();
+        this.nearbyPlayerDetails = new Map();
+    }
+
+    describeNearbyPlayer(player) {
+        const details = this.nearbyPlayerDetails.get(player);
+        return details
+            ? `**${player}** (${Math.round(details.distance)}m ${details.direction})`
+            : `**${player}**`;
+    }
+
+    checkPlayerProximity() {
+        if (!this.safetyConfig.enabled || !this.minecraftBot || !this.isConnected) return;
+
+        // Blocked players are never trusted, so this covers them too
+        const threats = Array.from(this.nearbyPlayers).filter(p => !this.isTrusted(p));
+        if (threats.length > 0) {
+            this.antiAfk.pause('Untrusted player nearby');
+        }
+
+        if (this.checkBlockedPlayers()) return;
+
+        const now = Date.now();
+        if (now - this.lastProximityAlert < this.safetyConfig.alertCooldown) return;
+
+        if (this.nearbyPlayers.size > 0) {
+            this.lastProximityAlert = now;
+            const playerList = Array.from(this.nearbyPlayers).map(p => {
+                const isTrusted = this.isTrusted(p) ? '✅' : '⚠️';
+                const isBlocked = this.isBlocked(p) ? '🚫' : '';
+                return `${isTrusted}${isBlocked} ${this.describeNearbyPlayer(p)}`;
+            }).join(', ');
+
+            // Auto-disconnect if threatened by unknown players
+            if (this.safetyConfig.autoDisconnectOnThreat && threats.length > 0) {
+                const threatList = threats.map(p => this.describeNearbyPlayer(p)).join(', ');
+                this.sendSafetyAlert(
+                    '🚨 THREAT DETECTED - AUTO DISCONNECT',
+                    `**Untrusted player(s) detected:**\n${threatList}\n\n**Action:** Bot automatically disconnected for safety!`,
+                    '#ff0000',
+                    'critical'
+                );
+                this.setConnectionTimer(() => this.stop('Untrusted player nearby'), 1000);
+                return;
+            }
+
+            this.sendSafetyAlert(
+                '⚠️ Player Proximity Alert',
+                `**${this.nearbyPlayers.size} player(s) within ${this.safetyConfig.proximityRadius} blocks:**\n${playerList}`,
+                '#ff9900',
+                'critical'
+            );
+        }
+    }
+
+    async checkHealth() {
+        if (!this.safetyConfig.enabled || !this.minecraftBot || !this.isConnected || this.vitals.dead) return;
+
+        // Check for health decrease (taking damage)
+        if (this.currentHealth < this.lastHealth) {
+            const damage = this.lastHealth - this.currentHealth;
+
+            // Auto-disconnect if health drops below critical threshold
+            if (this.currentHealth <= this.safetyConfig.autoDisconnectHealth) {
+                this.sendSafetyAlert(
+                    '🚨 CRITICAL HEALTH - AUTO DISCONNECT',
+                    `**You took ${damage} damage! Health: ${this.currentHealth}/${this.vitals.maxHealth}**\n\n**Action:** Bot automatically disconnected for safety!`,
+                    '#8B0000',
+                    'critical'
+                );
+                this.setConnectionTimer(() => this.stop('Critical health'), 500);
+                return;
+            }
+
+            this.sendSafetyAlert(
+                '🩸 Damage Taken',
+                `**You took ${damage} damage!**\nHealth decreased from ${this.lastHealth} to ${this.currentHealth}`,
+                '#ff0000',
+                'critical'
+            );
+        }
+
+        this.lastHealth = this.currentHealth;
+
+        // Check for low health warning
+        const now = Date.now();
+        if (this.currentHealth <= this.safetyConfig.minHealth &&
+            now - this.lastHealthAlert > this.safetyConfig.alertCooldown) {
+
+            this.lastHealthAlert = now;
+            this.sendSafetyAlert(
+                '💀 Critical Health Alert',
+                `**DANGER: Health is critically low at ${this.currentHealth}/${this.vitals.maxHealth}!**\nConsider disconnecting immediately!`,
+                '#8B0000',
+                'critical'
+            );
+        }
+    }
+
+    // Fed by both set_health and the minecraft:health attribute
+    handleHealthUpdate(health) {
+        this.lastHealth = this.currentHealth;
+        this.currentHealth = health;
+        if (health !== this.lastHealth) {
+            this.emit('health_changed', { health, previous: this.lastHealth, maxHealth: this.vitals.maxHealth });
+        }
+
+        if (health <= 0) {
+            if (!this.vitals.dead) this.handleDeath();
+            return;
+        }
+        if (this.vitals.dead) {
+            this.vitals.markAlive();
+            this.log('Respawned');
+            this.emit('respawned', { health });
+        }
+        this.checkHealth();
+    }
+
+    checkHunger() {
+        const { enabled, minHunger, alertCooldown } = this.safetyConfig;
+        if (!enabled || !this.isConnected || this.vitals.dead || minHunger <= 0) return;
+        if (this.vitals.hunger > minHunger) return;
+
+        const now = Date.now();
+        if (now - this.lastHungerAlert <= alertCooldown) return;
+
+        this.lastHungerAlert = now;
+        this.sendSafetyAlert(
+            '🍗 Starving',
+            `**Hunger is down to ${this.vitals.hunger}/${this.vitals.maxHunger}!**\nThe bot will start taking starvation damage once it reaches 0.`,
+            '#ff9900',
+            this.vitals.hunger === 0 ? 'critical' : 'warning'
+        );
+    }
+
+    checkEffect(effect) {
+        if (!this.safetyConfig.enabled || !this.safetyConfig.effectAlerts || !this.vitals.isHarmful(effect)) return;
+
+        this.sendSafetyAlert(
+            '🧪 Harmful Effect',
+            `**${describeEffect(effect)}** was applied to the bot.`,
+            '#9b59b6',
+            effect.name === 'wither' || effect.name === 'fatal_poison' ? 'critical' : 'warning'
+        );
+    }
+
+    handleDeath() {
+        this.vitals.markDead();
+        const cause = this.vitals.deathCause ? ` (${this.vitals.deathCause})` : '';
+        this.log(`☠️ Died${cause}`);
+        this.recordEvent('death', { cause: this.vitals.deathCause });
+
+        const disconnect = this.safetyConfig.enabled && this.safetyConfig.disconnectOnDeath;
+        const respawn = !disconnect && this.vitalsConfig.autoRespawn;
+
+        if (this.safetyConfig.enabled) {
+            const action = disconnect
+                ? 'Bot automatically disconnected.'
+                : respawn ? `Respawning in ${this.vitalsConfig.respawnDelay / 1000}s.` : 'Waiting on the death screen.';
+            this.sendSafetyAlert(
+                '☠️ Bot Died',
+                `**The bot died${cause}!**\n\n**Action:** ${action}`,
+                '#000000',
+                'critical'
+            );
+        }
+
+        if (disconnect) {
+            this.setConnectionTimer(() => this.stop('Died'), 500);
+        } else if (respawn) {
+            this.setConnectionTimer(() => this.respawn(), this.vitalsConfig.respawnDelay);
+        }
+        this.emit('died', { cause: this.vitals.deathCause, deaths: this.vitals.deaths });
+    }
+
+    // What the client sends when the respawn button is pressed
+    respawn() {
+        const client = this.minecraftBot;
+        if (!client || !this.vitals.dead) return false;
+
+        const runtimeEntityId = BigInt(this.world.runtimeEntityId ?? 0);
+        try {
+            client.queue('respawn', {
+                position: { x: 0, y: 0, z: 0 },
+                state: 2, // Client ready to spawn
+                runtime_entity_id: runtimeEntityId
+            });
+            client.queue('player_action', {
+                runtime_entity_id: runtimeEntityId,
+                action: 'respawn',
+                position: { x: 0, y: 0, z: 0 },
+                result_position: { x: 0, y: 0, z: 0 },
+                face: -1
+            });
+            this.log('Requested respawn');
+            return true;
+        } catch (error) {
+            this.logError('Failed to respawn:', error.message);
+            return false;
+        }
+    }
+
+    // ========================================================================
+    // CHAT & COMMANDS
+    // ========================================================================
+
+    // mode: 'chat' sends a plain chat line, 'command' runs a slash command,
+    // 'whisper' messages `target` privately and 'auto' picks chat or command
+    // from a leading '/'. Resolves to { success, mode, accepted, output, error };
+    // `accepted` is null when the server never answered with command_output.
+    async sendChatMessage(message, { mode = 'auto', target = null } = {}) {
+        if (!CHAT_MODES.includes(mode)) {
+            return { success: false, mode, error: `Unknown chat mode: ${mode}` };
+        }
+        if (mode === 'auto') {
+            mode = message.startsWith('/') ? 'command' : 'chat';
+        }
+
+        if (!this.minecraftBot || !this.isConnected) {
+            return { success: false, mode, error: 'Not connected' };
+        }
+
+        try {
+            if (mode === 'chat') {
+                this.sendTextPacket(message);
+                return { success: true, mode, accepted: null, output: [] };
+            }
+
+            let command;
+            if (mode === 'whisper') {
+                if (!target) {
+                    return { success: false, mode, error: 'A whisper needs a target player' };
+                }
+                const quotedTarget = /\s/.test(target) ? `"${target}"` : target;
+                command = `/tell ${quotedTarget} ${message}`;
+            } else {
+                command = message.startsWith('/') ? message : `/${message}`;
+            }
+
+            const { accepted, output } = await this.sendCommand(command);
+            return { success: accepted !== false, mode, accepted, output };
+        } catch (error) {
+            this.logError('Failed to send chat message:', error);
+            return { success: false, mode, error: error.message };
+        }
+    }
+
+    sendTextPacket(message) {
+        // Fields cover both the pre- and post-1.21.130 text packet layouts;
+        // the serializer ignores whichever ones the protocol version lacks
+        this.minecraftBot.queue('text', {
+            type: 'chat',
+            needs_translation: false,
+            category: 'authored',
+            source_name: this.username,
+            message,
+            xuid: String(this.minecraftBot.profile?.xuid ?? ''),
+            platform_chat_id: '',
+            has_filtered_message: false,
+            filtered_message: ''
+        });
+    }
+
+    sendCommand(command) {
+        const requestId = randomUUID();
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.pendingCommands.delete(requestId);
+                resolve({ accepted: null, output: [] });
+            }, COMMAND_OUTPUT_TIMEOUT);
+
+            this.pendingCommands.set(requestId, { resolve, timer });
+
+            this.minecraftBot.queue('command_request', {
+                command,
+                origin: {
+                    type: 'player',
+                    uuid: randomUUID(),
+                    request_id: requestId
+                },
+                internal: false,
+                version: COMMAND_REQUEST_VERSION
+            });
+        });
+    }
+
+    handleCommandOutput(packet) {
+        // Some servers don't echo the request id back; match the oldest request instead
+        let requestId = packet?.origin?.request_id;
+        if (!this.pendingCommands.has(requestId)) {
+            requestId = this.pendingCommands.keys().next().value;
+        }
+
+        const pending = this.pendingCommands.get(requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingCommands.delete(requestId);
+
+        const messages = packet.output || [];
+        pending.resolve({
+            accepted: packet.success_count > 0 || messages.some(m => m.success),
+            output: messages.map(m => [m.message_id, ...(m.parameters || [])].join(' ').trim())
+        });
+    }
+
+    settlePendingCommands() {
+        for (const { resolve, timer } of this.pendingCommands.values()) {
+            clearTimeout(timer);
+            resolve({ accepted: null, output: [] });
+        }
+        this.pendingCommands.clear();
+    }
+
+    // Plans the next retry from why the connection ended (kick packet, error or text)
+    async attemptReconnect(reason = null) {
+        if (!this.shouldJoin || this.reconnectTimer) {
+            return;
+        }
+
+        const plan = this.reconnectPolicy.plan(reason, this.reconnectAttempts + 1);
+
+        if (plan.strategy === 'give_up' || this.reconnectAttempts >= this.maxReconnectAttempts) {
+            const exhausted = plan.strategy !== 'give_up';
+            this.reconnectPlan = { ...plan, strategy: 'give_up', nextRetryAt: null };
+            this.shouldJoin = false;
+            this.persistState();
+            this.log(`Not reconnecting: ${exhausted ? 'out of attempts' : CATEGORY_LABELS[plan.category]}`);
+
+            this.sendSafetyAlert(
+                '🛑 Reconnect Stopped',
+                exhausted
+                    ? `Gave up after **${this.reconnectAttempts}** reconnect attempts.`
+                    : `**${CATEGORY_LABELS[plan.category]}** — retrying would not help.` +
+                        (plan.reason ? `\n\`${plan.reason}\`` : ''),
+                '#8B0000',
+                'critical'
+            );
+            await this.setState('stopped', plan.reason);
+            return;
+        }
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.shouldJoin && this.state === 'backoff') {
+                await this.connectToMinecraft();
+            }
+        }, plan.delay);
+
+        this.reconnectAttempts++;
+        this.reconnectPlan = { ...plan, nextRetryAt: Date.now() + plan.delay };
+        this.persistState();
+        this.log(`Reconnecting in ${Math.round(plan.delay / 1000)}s (${plan.strategy}, ${CATEGORY_LABELS[plan.category]})`);
+        await this.setState('backoff', plan.reason);
+    }
+
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnectPlan = null;
+    }
+
+    // ========================================================================
+    // MICROSOFT AUTHENTICATION
+    // ========================================================================
+
+    setupAuthEvents() {
+        this.auth.on('code', async ({ authUrl, userCode, expiresAt }) => {
+            this.log(`Microsoft authentication required: ${authUrl} (code ${userCode})`);
+            this.recordEvent('auth', { result: 'code' });
+            if (this.state === 'connecting') this.setState('authenticating');
+            this.emit('auth_required', { authUrl, userCode, expiresAt });
+
+            const authEmbed = new EmbedBuilder()
+                .setTitle('🔐 Microsoft Authentication Required')
+                .setDescription(`Open **[microsoft.com/link](${authUrl})** and enter the code below to sign in session **${this.name}**.`)
+                .addFields(
+                    { name: '🔑 Code', value: `\`${userCode}\``, inline: true },
+                    { name: '⏳ Expires', value: `<t:${Math.floor(expiresAt / 1000)}:R>`, inline: true }
+                )
+                .setColor('#ff9900')
+                .setTimestamp();
+
+            await this.updateAuthReply(authEmbed);
+        });
+
+        this.auth.on('expired', async () => {
+            this.log('Microsoft device code expired');
+            this.recordEvent('auth', { result: 'expired' });
+            this.emit('auth_updated', { result: 'expired', username: null, error: null });
+
+            const expiredEmbed = new EmbedBuilder()
+                .setTitle('⌛ Authentication Code Expired')
+                .setDescription('The sign-in code expired before it was used. A new code will be issued on the next connection attempt.')
+                .setColor('#ff0000')
+                .setTimestamp();
+
+            await this.updateAuthReply(expiredEmbed);
+        });
+
+        this.auth.on('success', async (username) => {
+            this.log(`Microsoft authentication successful${username ? ` as ${username}` : ''}`);
+            this.recordEvent('auth', { result: 'success' });
+            this.emit('auth_updated', { result: 'success', username: username || null, error: null });
+
+            const successEmbed = new EmbedBuilder()
+                .setTitle('✅ Signed In')
+                .setDescription(`Signed in${username ? ` as **${username}**` : ''}. Joining the server...`)
+                .setColor('#00ff00')
+                .setTimestamp();
+
+            await this.updateAuthReply(successEmbed);
+        });
+
+        this.auth.on('failure', async (error) => {
+            this.logError('Microsoft authentication failed:', error?.message || error);
+            this.recordEvent('auth', { result: 'failure', error: error?.message || String(error) });
+            this.emit('auth_updated', { result: 'failure', username: null, error: error?.message || String(error) });
+
+            const failureEmbed = new EmbedBuilder()
+                .setTitle('❌ Authentication Failed')
+                .setDescription(`\`${error?.message || 'Unknown error'}\``)
+                .setColor('#ff0000')
+                .setTimestamp();
+
+            await this.updateAuthReply(failureEmbed);
+        });
+    }
+
+    async updateAuthReply(embed) {
+        if (!this.authInteraction) return;
+
+        try {
+            await this.authInteraction.editReply({
+                content: '',
+                embeds: [embed]
+            });
+        } catch (error) {
+            this.discordLogger.error('Failed to update auth reply:', error.message);
+        }
+    }
+
+    // ========================================================================
+    // MINECRAFT BEDROCK CONNECTION
+    // ========================================================================
+
+    // Returns false without touching the live connection when the session
+    // can't start connecting from its current state, e.g. while online
+    async connectToMinecraft() {
+        if (this.isConnecting || !this.canEnterState('connecting')) {
+            return false;
+        }
+
+        this.teardownConnection('Reconnecting');
+        if (!await this.setState('connecting')) return false;
+
+        // Disconnected while the embed was updating
+        if (!this.shouldJoin) {
+            await this.setState('idle');
+            return false;
+        }
+        this.recordEvent('connect', { attempt: this.reconnectAttempts });
+
+        try {
+            this.log('Creating Bedrock client...');
+
+            const { minecraft } = this.config;
+            this.minecraftBot = this.bot.createMinecraftClient({
+                host: minecraft.host,
+                port: minecraft.port,
+                username: this.username,
+                offline: minecraft.offline,
+                profilesFolder: minecraft.profilesFolder,
+                auth: minecraft.auth,
+                version: minecraft.version,
+                onMsaCode: (response) => this.auth.handleDeviceCode(response)
+            });
+
+            this.setupMinecraftEvents(this.minecraftBot);
+
+        } catch (error) {
+            this.logError('Failed to create Bedrock client:', error);
+            this.minecraftBot = null;
+            await this.attemptReconnect(error);
+            if (this.state === 'connecting') {
+                await this.setState('idle', error.message);
+            }
+        }
+        return true;
+    }
+
+    // ========================================================================
+    // CONNECTION LIFECYCLE
+    // ========================================================================
+
+    canEnterState(state) {
+        return state === this.state || STATE_TRANSITIONS[this.state].includes(state);
+    }
+
+    // The state changes synchronously; the promise settles once state_changed
+    // subscribers (logging, the control embed) are done. Resolves false, and
+    // changes nothing, for transitions the lifecycle doesn't allow.
+    async setState(state, reason = null) {
+        if (state === this.state) return true;
+        if (!this.canEnterState(state)) {
+            this.logError(`Ignoring invalid state change ${this.state} -> ${state}`);
+            return false;
+        }
+
+        const previous = this.state;
+        this.state = state;
+        this.stateChangedAt = Date.now();
+        this.stateReason = reason;
+        await this.emit('state_changed', { state, previous, reason });
+        return true;
+    }
+
+    // Publishes a typed event (see EVENT_TYPES in eventBus.js) on the bot's bus
+    emit(type, data = {}) {
+        return this.bot.events.publish(this, type, data);
+    }
+
+    // Timers that only make sense while this connection lives
+    setConnectionTimer(callback, delay, { repeat = false } = {}) {
+        const timer = repeat
+            ? setInterval(callback, delay)
+            : setTimeout(() => {
+                this.connectionTimers.delete(timer);
+                callback();
+            }, delay);
+        this.connectionTimers.set(timer, repeat ? 'interval' : 'timeout');
+        return timer;
+    }
+
+    clearConnectionTimers() {
+        for (const [timer, type] of this.connectionTimers) {
+            if (type === 'interval') clearInterval(timer);
+            else clearTimeout(timer);
+        }
+        this.connectionTimers.clear();
+    }
+
+    listen(client, event, handler) {
+        client.on(event, handler);
+        this.clientListeners.push({ client, event, handler });
+    }
+
+    // Detaches from the current client and resets everything tied to it. Safe to
+    // call repeatedly; only the first call for a client does anything.
+    teardownConnection(reason) {
+        const client = this.minecraftBot;
+        this.minecraftBot = null;
+
+        // A pending ping or connect timeout still emits 'error', which throws
+        // without a listener
+        const ignoreLateErrors = (error) => this.logger.debug('Ignoring error from a closed Bedrock client:', error?.message || error);
+        client?.on('error', ignoreLateErrors);
+
+        for (const { client: target, event, handler } of this.clientListeners) {
+            target.removeListener(event, handler);
+        }
+        this.clientListeners = [];
+        this.clearConnectionTimers();
+        this.scripts.stop();
+        this.antiAfk.stop();
+        this.settlePendingCommands();
+        this.recordSessionEnd(reason);
+
+        this.world.reset();
+        this.vitals.reset();
+        this.inventory.reset();
+        this.inventoryAlerts = { full: false, watches: new Set() };
+        this.currentCoords = { x: 0, y: 0, z: 0 };
+        this.lastPositionEvent = null;
+        this.clearTrackedPlayers();
+
+        if (client) {
+            try {
+                // disconnect() does nothing until the client has connected, so
+                // close() as well to stop a connection still in progress
+                client.disconnect();
+                client.close();
+            } catch (error) {
+                this.logError('Error closing Bedrock client:', error.message);
+            }
+            // close() drops every listener, the error sink included
+            client.on('error', ignoreLateErrors);
+        }
+    }
+
+    // One handler for `disconnect`, `kick`, `error` and `close`: whichever fires
+    // first for the current client wins and the rest are ignored
+    async handleConnectionLost(client, event, reason) {
+        if (client !== this.minecraftBot) return;
+
+        const details = { reason: describeReason(reason), category: classifyReason(reason) };
+        this.recordEvent('disconnect', { cause: event, ...details });
+        // A disconnect packet is the server kicking us
+        if (event === 'disconnect' || event === 'kick') {
+            this.emit('kicked', details);
+        } else {
+            this.emit('disconnected', { cause: event, ...details });
+        }
+
+        if (event === 'error') this.auth.fail(reason);
+        this.teardownConnection(reason || event);
+
+        if (this.shouldJoin) {
+            await this.attemptReconnect(reason);
+        } else {
+            await this.setState('idle', typeof reason === 'string' ? reason : reason?.message || event);
+        }
+    }
+
+    // position_changed at most once a second, and only after moving a block
+    trackPosition() {
+        const now = Date.now();
+        const last = this.lastPositionEvent;
+        const { x, y, z } = this.currentCoords;
+        if (last && (now - last.at < POSITION_EVENT_INTERVAL ||
+            Math.hypot(x - last.x, y - last.y, z - last.z) < 1)) return;
+
+        this.lastPositionEvent = { at: now, x, y, z };
+        this.emit('position_changed', {
+            x: Math.round(x * 10) / 10,
+            y: Math.round(y * 10) / 10,
+            z: Math.round(z * 10) / 10,
+            dimension: this.world.dimension
+        });
+    }
+
+    emitWorldChanged() {
+        return this.emit('world_changed', {
+            world: this.world.worldName,
+            dimension: this.world.dimension,
+            gamemode: this.world.gamemode
+        });
+    }
+
+    // Servers hold the player in the loading screen until this arrives
+    acknowledgeDimensionChange(client) {
+        try {
+            client.queue('player_action', {
+                runtime_entity_id: BigInt(this.world.runtimeEntityId ?? 0),
+                action: 'dimension_change_ack',
+                position: { x: 0, y: 0, z: 0 },
+                result_position: { x: 0, y: 0, z: 0 },
+                face: 0
+            });
+        } catch (error) {
+            this.logError('Failed to acknowledge dimension change:', error.message);
+        }
+    }
+
+    setupMinecraftEvents(client) {
+        // Microsoft auth finished (or cached tokens were used)
+        this.listen(client, 'session', () => {
+            if (client.username) {
+                this.username = client.username;
+            }
+            if (this.state === 'authenticating') this.setState('connecting');
+            this.auth.complete(this.username);
+        });
+
+        // Connection established
+        this.listen(client, 'join', async () => {
+            this.auth.clear();
+            this.reconnectAttempts = 0;
+            this.reconnectPlan = null;
+            this.connectedAt = Date.now();
+            this.recordEvent('online', { server: this.server, username: this.username });
+            this.alertedBlockedPlayers.clear();
+            this.clearTrackedPlayers();
+            this.persistState();
+            this.emit('connected', { server: this.server, username: this.username });
+            const stateChanged = this.setState('online');
+
+            if (this.authInteraction) {
+                try {
+                    const successEmbed = new EmbedBuilder()
+                        .setTitle('✅ Authentication Successful')
+                        .setDescription(`Connected session **${this.name}** to ${this.config.minecraft.host} as **${this.username}**!`)
+                        .setColor('#00ff00')
+                        .setTimestamp();
+
+                    await this.authInteraction.editReply({
+                        embeds: [successEmbed]
+                    });
+
+                    this.authInteraction = null;
+                } catch (error) {
+                    this.discordLogger.debug('Failed to update auth reply after joining:', error.message);
+                }
+            }
+
+            // No scripts or safety checks for a join the lifecycle refused
+            if (!await stateChanged) return;
+
+            this.scripts.start();
+            this.antiAfk.start();
+
+            // Periodic safety checks, cleared with the rest of the connection timers
+            this.setConnectionTimer(() => {
+                if (this.safetyConfig.enabled) {
+                    this.checkPlayerProximity();
+                    this.checkHealth();
+                }
+            }, SAFETY_CHECK_INTERVAL, { repeat: true });
+        });
+
+        // Handle spawn event
+        this.listen(client, 'spawn', async () => {
+            this.log('Bot spawned in Bedrock world');
+            await this.emitWorldChanged();
+        });
+
+        // World, dimension, spawn point and our own runtime entity id
+        this.listen(client, 'start_game', (packet) => {
+            this.currentCoords = this.world.applyStartGame(packet);
+            if (packet.itemstates) this.inventory.applyItemRegistry(packet.itemstates);
+            this.log(`Entered ${this.world.describe()} as ${GAMEMODE_LABELS[this.world.gamemode] || this.world.gamemode}`);
+            this.updateNearbyPlayers();
+        });
+
+        this.listen(client, 'change_dimension', (packet) => {
+            this.currentCoords = this.world.applyChangeDimension(packet);
+            this.log(`Changed dimension to ${this.world.dimensionLabel}`);
+
+            // Entities from the old dimension are never removed explicitly
+            this.clearTrackedPlayers();
+            this.acknowledgeDimensionChange(client);
+            this.emitWorldChanged();
+        });
+
+        this.listen(client, 'respawn', (packet) => {
+            // State 1 is the server telling us where we will spawn
+            if (packet?.state === 1 && packet.position) {
+                this.currentCoords = { x: packet.position.x || 0, y: packet.position.y || 0, z: packet.position.z || 0 };
+                this.updateNearbyPlayers();
+            }
+        });
+
+        this.listen(client, 'set_player_game_type', (packet) => {
+            this.world.gamemode = packet.gamemode;
+        });
+
+        // Handle player position updates (ours and other players')
+        this.listen(client, 'move_player', (packet) => {
+            if (!packet || !packet.position) return;
+
+            if (!this.world.isOwnEntity(packet.runtime_id)) {
+                if (this.entityTracker.moveEntity(packet.runtime_id, packet.position)) {
+                    this.updateNearbyPlayers();
+                }
+                return;
+            }
+
+            this.currentCoords = {
+                x: packet.position.x || 0,
+                y: packet.position.y || 0,
+                z: packet.position.z || 0
+            };
+            this.trackPosition();
+            this.updateNearbyPlayers();
+        });
+
+        // Track other players for proximity checks
+        this.listen(client, 'add_player', (packet) => {
+            this.entityTracker.addPlayer(packet);
+            this.updateNearbyPlayers();
+        });
+
+        this.listen(client, 'move_entity', (packet) => {
+            if (this.entityTracker.moveEntity(packet?.runtime_entity_id, packet?.position)) {
+                this.updateNearbyPlayers();
+            }
+        });
+
+        this.listen(client, 'move_entity_delta', (packet) => {
+            if (this.entityTracker.moveEntityDelta(packet)) {
+                this.updateNearbyPlayers();
+            }
+        });
+
+        this.listen(client, 'remove_entity', (packet) => {
+            if (this.entityTracker.removeEntity(packet?.entity_id_self)) {
+                this.updateNearbyPlayers();
+            }
+        });
+
+        // Handle set_health packet
+        this.listen(client, 'set_health', (packet) => {
+            if (packet && typeof packet.health !== 'undefined') {
+                this.handleHealthUpdate(packet.health);
+            }
+        });
+
+        // Health, hunger, saturation, XP and absorption
+        this.listen(client, 'update_attributes', (packet) => {
+            if (!this.world.isOwnEntity(packet?.runtime_entity_id)) return;
+
+            const changes = this.vitals.applyAttributes(packet.attributes);
+            if ('hunger' in changes) this.checkHunger();
+            if ('health' in changes && changes.health !== this.currentHealth) {
+                this.handleHealthUpdate(changes.health);
+            }
+        });
+
+        this.listen(client, 'mob_effect', (packet) => {
+            if (!this.world.isOwnEntity(packet?.runtime_entity_id)) return;
+
+            const result = this.vitals.applyEffect(packet);
+            if (result?.event === 'add') this.checkEffect(result.effect);
+        });
+
+        // Item names for inventory network ids (older servers put them in start_game)
+        this.listen(client, 'item_registry', (packet) => {
+            this.inventory.applyItemRegistry(packet?.itemstates);
+        });
+
+        this.listen(client, 'inventory_content', (packet) => {
+            const firstSnapshot = !this.inventory.loaded;
+            if (this.inventory.applyContent(packet)) {
+                this.checkInventory({ silent: firstSnapshot });
+            }
+        });
+
+        this.listen(client, 'inventory_slot', (packet) => {
+            if (this.inventory.applySlot(packet) && this.inventory.loaded) {
+                this.checkInventory();
+            }
+        });
+
+        this.listen(client, 'death_info', (packet) => {
+            this.vitals.setDeathCause(packet?.cause || null);
+        });
+
+        // Handle chat messages (multiple packet types for Bedrock)
+        this.listen(client, 'text', (packet) => {
+            const entry = this.chatBridge.parseTextPacket(packet);
+            if (!entry) return;
+
+            this.emit('chat', { kind: entry.kind, sender: entry.sender || null, message: entry.message });
+            this.scripts.handleChat(entry.message);
+            this.chatBridge.relay(entry);
+        });
+
+        this.listen(client, 'player_chat', (packet) => {
+            const sender = packet.name || packet.sender || 'player';
+            const message = packet.message || '';
+            if (message) {
+                this.emit('chat', { kind: 'chat', sender, message });
+                this.scripts.handleChat(message);
+                this.chatBridge.relay({ kind: 'chat', sender, message });
+            }
+        });
+
+        // Whichever of these fires first ends the connection
+        this.listen(client, 'disconnect', (reason) => this.handleConnectionLost(client, 'disconnect', reason));
+        this.listen(client, 'kick', (reason) => this.handleConnectionLost(client, 'kick', reason));
+        this.listen(client, 'error', (error) => this.handleConnectionLost(client, 'error', error));
+        this.listen(client, 'close', () => this.handleConnectionLost(client, 'close', 'Connection closed'));
+
+        // Replies to our command_request packets
+        this.listen(client, 'command_output', (packet) => {
+            this.handleCommandOutput(packet);
+        });
+    }
+
+    // ========================================================================
+    // SHUTDOWN
+    // ========================================================================
+
+    shutdown() {
+        // Save first so the connection is resumed on the next start
+        this.persistState();
+        this.isShuttingDown = true;
+        this.shouldJoin = false;
+        this.auth.clear();
+        this.cancelReconnect();
+        this.chatBridge.stop();
+        if (this.minecraftBot) this.recordEvent('disconnect', { cause: 'shutdown', reason: 'Bot shut down' });
+        this.teardownConnection('Bot shut down');
+        this.setState('stopped', 'Bot shut down');
+    }
+}
+
+module.exports = { BedrockSession, CHAT_MODES, SESSION_STATES };
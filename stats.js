@@ -0,0 +1,121 @@
+// ============================================================================
+// SESSION STATISTICS - uptime and disconnect reasons from the event log
+// ============================================================================
+
+const { CATEGORY_LABELS } = require('./reconnectPolicy');
+
+const DAY = 86400000;
+
+const STATS_PERIODS = {
+    '24h': DAY,
+    '7d': 7 * DAY,
+    '30d': 30 * DAY,
+    all: null
+};
+
+const PERIOD_LABELS = {
+    '24h': 'Last 24 hours',
+    '7d': 'Last 7 days',
+    '30d': 'Last 30 days',
+    all: 'All time'
+};
+
+const MAX_DAILY_ENTRIES = 30;
+const TOP_REASONS = 5;
+
+// "2d 4h", "3h 12m", "45m", "30s"
+function formatUptime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor(seconds % 86400 / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m`;
+    return `${seconds}s`;
+}
+
+function overlap(start, end, from, to) {
+    return Math.max(0, Math.min(end, to) - Math.max(start, from));
+}
+
+// history: closed sessions from the store; events: the store's event log;
+// connectedAt: start of the session still in progress, if any
+function computeStats({ history = [], events = [], connectedAt = null, period = '7d', now = Date.now() }) {
+    const sessions = history.map(entry => ({
+        start: Date.parse(entry.connectedAt),
+        end: Date.parse(entry.disconnectedAt)
+    }));
+    if (connectedAt) sessions.push({ start: connectedAt, end: now, current: true });
+
+    const timed = events.map(event => ({ ...event, time: Date.parse(event.at) }));
+
+    let from = STATS_PERIODS[period] ? now - STATS_PERIODS[period] : null;
+    if (from === null) {
+        const earliest = [...sessions.map(s => s.start), ...timed.map(e => e.time)];
+        from = earliest.length > 0 ? Math.min(...earliest) : now;
+    }
+    const windowMs = now - from;
+
+    const inWindow = sessions.filter(s => overlap(s.start, s.end, from, now) > 0);
+    const onlineMs = inWindow.reduce((total, s) => total + overlap(s.start, s.end, from, now), 0);
+    const lengths = inWindow.map(s => s.end - s.start);
+
+    const windowEvents = timed.filter(event => event.time >= from && event.time <= now);
+    const count = (predicate) => windowEvents.filter(predicate).length;
+    const disconnects = windowEvents.filter(event => event.type === 'disconnect');
+
+    // Most common reasons, grouped by category with the latest raw text as an example
+    const reasons = new Map();
+    for (const event of disconnects) {
+        if (!event.category) continue;
+        const entry = reasons.get(event.category) || { category: event.category, label: CATEGORY_LABELS[event.category], count: 0, example: null };
+        entry.count++;
+        entry.example = event.reason || entry.example;
+        reasons.set(event.category, entry);
+    }
+
+    // UTC days, newest last
+    const daily = [];
+    for (let day = Math.floor(from / DAY) * DAY; day < now; day += DAY) {
+        const dayFrom = Math.max(day, from);
+        const dayTo = Math.min(day + DAY, now);
+        const dayOnline = inWindow.reduce((total, s) => total + overlap(s.start, s.end, dayFrom, dayTo), 0);
+        daily.push({
+            date: new Date(day).toISOString().slice(0, 10),
+            onlineMs: dayOnline,
+            onlinePercent: dayTo > dayFrom ? Math.round(dayOnline / (dayTo - dayFrom) * 1000) / 10 : 0
+        });
+    }
+
+    return {
+        period,
+        from: new Date(from).toISOString(),
+        to: new Date(now).toISOString(),
+        onlineMs,
+        onlinePercent: windowMs > 0 ? Math.round(onlineMs / windowMs * 1000) / 10 : 0,
+        sessions: inWindow.length,
+        averageSessionMs: lengths.length > 0 ? Math.round(lengths.reduce((a, b) => a + b, 0) / lengths.length) : 0,
+        longestSessionMs: lengths.length > 0 ? Math.max(...lengths) : 0,
+        currentSessionMs: connectedAt ? now - connectedAt : null,
+        connectAttempts: count(event => event.type === 'connect'),
+        disconnects: {
+            total: disconnects.length,
+            // Kicks (a disconnect packet) come from the server; errors and silent
+            // closes usually point at the network or our own setup
+            kicked: disconnects.filter(event => event.cause === 'disconnect' || event.cause === 'kick').length,
+            errors: disconnects.filter(event => event.cause === 'error').length,
+            closed: disconnects.filter(event => event.cause === 'close').length,
+            byUser: disconnects.filter(event => event.cause === 'user').length,
+            safety: disconnects.filter(event => event.cause === 'stopped').length
+        },
+        reasons: Array.from(reasons.values()).sort((a, b) => b.count - a.count).slice(0, TOP_REASONS),
+        authFailures: count(event => event.type === 'auth' && event.result === 'failure'),
+        alerts: count(event => event.type === 'alert'),
+        deaths: count(event => event.type === 'death'),
+        daily: daily.slice(-MAX_DAILY_ENTRIES)
+    };
+}
+
+module.exports = { computeStats, formatUptime, STATS_PERIODS, PERIOD_LABELS };
@@ -0,0 +1,103 @@
+// ============================================================================
+// PERSISTENT STATE STORE
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+const SAVE_DEBOUNCE = 1000;
+const MAX_HISTORY_ENTRIES = 500;
+const MAX_EVENT_ENTRIES = 2000;
+
+// Small JSON-file store for runtime state that should survive restarts.
+// Writes are debounced and atomic (temp file + rename).
+class StateStore {
+    constructor(filePath, logger) {
+        this.filePath = path.resolve(filePath);
+        this.logger = logger;
+        this.data = { version: STORE_VERSION, sessions: {} };
+        this.saveTimeout = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return false;
+
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = {
+            version: STORE_VERSION,
+            ...parsed,
+            sessions: parsed.sessions || {}
+        };
+        return true;
+    }
+
+    getSession(name) {
+        if (!this.data.sessions[name]) {
+            this.data.sessions[name] = { history: [], events: [] };
+        }
+        return this.data.sessions[name];
+    }
+
+    updateSession(name, patch) {
+        Object.assign(this.getSession(name), patch);
+        this.scheduleSave();
+    }
+
+    addHistory(name, entry) {
+        const session = this.getSession(name);
+        session.history = [...(session.history || []), entry].slice(-MAX_HISTORY_ENTRIES);
+        this.scheduleSave();
+    }
+
+    getHistory(name) {
+        return this.getSession(name).history || [];
+    }
+
+    // Connects, disconnects, auth and alerts, oldest first
+    addEvent(name, entry) {
+        const session = this.getSession(name);
+        session.events = [...(session.events || []), entry].slice(-MAX_EVENT_ENTRIES);
+        this.scheduleSave();
+    }
+
+    getEvents(name) {
+        return this.getSession(name).events || [];
+    }
+
+    // Event webhook targets registered through the API
+    getWebhooks() {
+        return this.data.webhooks || [];
+    }
+
+    setWebhooks(webhooks) {
+        this.data.webhooks = webhooks;
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) return;
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.flush();
+        }, SAVE_DEBOUNCE);
+    }
+
+    flush() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.logger.error('Failed to save state:', error.message);
+        }
+    }
+}
+
+module.exports = { StateStore };
@@ -0,0 +1,241 @@
+// ============================================================================
+// LIVE STREAM - bus events over SSE (GET /events) and a WebSocket (/ws)
+// ============================================================================
+
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+const { EVENT_TYPES } = require('./eventBus');
+
+const WS_PATH = '/ws';
+const KEEPALIVE_INTERVAL = 25000;
+const MAX_CLIENTS = 50;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+// Returns { filter: { session, types } } (null means everything) or { error }
+function parseFilter(bot, { session = null, types = null }) {
+    if (session !== null && !bot.sessions.has(session)) {
+        return { error: `Unknown session: ${session}` };
+    }
+
+    let typeList = null;
+    if (types !== null) {
+        typeList = Array.isArray(types) ? types : String(types).split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = typeList.filter(type => !(type in EVENT_TYPES));
+        if (unknown.length > 0) return { error: `Unknown event types: ${unknown.join(', ')}` };
+    }
+    return { filter: { session, types: typeList ? new Set(typeList) : null } };
+}
+
+function matchesFilter(filter, event) {
+    return (!filter.session || filter.session === event.session) &&
+        (!filter.types || filter.types.has(event.type));
+}
+
+// Clients are { filter, send(event), ping(), close() } whatever the transport
+class LiveStream {
+    // actions: the control actions bot.runControlAction accepts
+    constructor(bot, { actions }) {
+        this.bot = bot;
+        this.actions = actions;
+        this.clients = new Set();
+        this.unsubscribe = null;
+        this.wss = null;
+        this.keepalive = null;
+    }
+
+    get auth() {
+        return this.bot.apiAuth;
+    }
+
+    // Starts forwarding bus events and accepting WebSocket upgrades on `server`
+    attach(server) {
+        this.unsubscribe = this.bot.events.subscribe('*', (event) => this.broadcast(event));
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+        server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        // Keeps proxies from closing idle streams
+        this.keepalive = setInterval(() => {
+            for (const client of this.clients) client.ping();
+        }, KEEPALIVE_INTERVAL);
+        this.keepalive.unref();
+    }
+
+    broadcast(event) {
+        for (const client of this.clients) {
+            if (matchesFilter(client.filter, event)) client.send(event);
+        }
+    }
+
+    getSnapshot(filter) {
+        return Array.from(this.bot.sessions.values())
+            .filter(session => !filter.session || session.name === filter.session)
+            .map(session => session.getStatus());
+    }
+
+    // ========================================================================
+    // SERVER-SENT EVENTS
+    // ========================================================================
+
+    // GET /events; the route already checked the read scope
+    handleSse(req, res) {
+        const { filter, error } = parseFilter(this.bot, req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (this.clients.size >= MAX_CLIENTS) {
+            return res.status(503).json({ success: false, message: 'Too many live clients' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        const write = (type, data, id = null) => {
+            res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const client = {
+            filter,
+            send: (event) => write(event.type, event, event.id),
+            ping: () => res.write(': keepalive\n\n'),
+            close: () => res.end()
+        };
+        this.clients.add(client);
+        req.on('close', () => this.clients.delete(client));
+
+        write('hello', { sessions: this.getSnapshot(filter) });
+    }
+
+    // ========================================================================
+    // WEBSOCKET
+    // ========================================================================
+
+    // Same tokens, scopes and rate limit as the REST routes; browsers pass the
+    // token as ?token= since they can't set headers on a WebSocket
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== WS_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        const reject = (status, message) => {
+            const body = JSON.stringify({ success: false, message });
+            socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nContent-Type: application/json\r\n` +
+                `Content-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+        };
+
+        const { token, status, message, denied } = this.auth.authenticate(req, 'read', { allowQueryToken: true });
+        if (denied) {
+            this.auth.auditMessage(req, token, { action: 'connect', denied });
+            reject(status, message);
+            return;
+        }
+
+        const { filter, error } = parseFilter(this.bot, {
+            session: url.searchParams.get('session'),
+            types: url.searchParams.get('types')
+        });
+        if (error) {
+            reject(400, error);
+            return;
+        }
+        if (this.clients.size >= MAX_CLIENTS) {
+            reject(503, 'Too many live clients');
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => this.handleSocket(ws, req, token, filter));
+    }
+
+    handleSocket(ws, req, token, filter) {
+        const send = (message) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+        };
+
+        const client = {
+            filter,
+            send: (event) => send({ type: 'event', event }),
+            ping: () => ws.ping(),
+            close: () => ws.terminate()
+        };
+        this.clients.add(client);
+        ws.on('close', () => this.clients.delete(client));
+        ws.on('error', () => this.clients.delete(client));
+        ws.on('message', async (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch {
+                send({ type: 'result', id: null, success: false, message: 'Invalid JSON' });
+                return;
+            }
+
+            try {
+                send(await this.handleMessage(message, req, token, client));
+            } catch (error) {
+                this.bot.webLogger.error(`WebSocket ${message?.action} message failed:`, error);
+                send({ type: 'result', id: message?.id ?? null, action: message?.action, success: false, message: 'Internal error' });
+            }
+        });
+
+        send({
+            type: 'hello',
+            sessions: this.getSnapshot(filter),
+            scopes: token.scopes,
+            actions: ['status', 'subscribe', ...this.actions]
+        });
+    }
+
+    // { id, action, session, ...params } -> { type: 'result', id, action, success, ... }
+    async handleMessage(message, req, token, client) {
+        const { id = null, action, session: sessionName = null, ...params } = message || {};
+        const reply = (body) => ({ type: 'result', id, action, ...body });
+
+        // Every message counts against the token's REST rate limit
+        const retryAfter = this.auth.checkRateLimit(`token:${token.name}`);
+        if (retryAfter > 0) {
+            return reply({ success: false, message: 'Too many requests', retryAfter });
+        }
+
+        if (action === 'status') {
+            return reply({ success: true, sessions: this.getSnapshot({ session: sessionName }) });
+        }
+        if (action === 'subscribe') {
+            const { filter, error } = parseFilter(this.bot, { session: sessionName, types: params.types ?? null });
+            if (error) return reply({ success: false, message: error });
+            client.filter = filter;
+            return reply({ success: true });
+        }
+        if (!this.actions.includes(action)) {
+            return reply({ success: false, message: `Unknown action: ${action}` });
+        }
+
+        if (!this.auth.hasScope(token, 'control')) {
+            this.auth.auditMessage(req, token, { action, session: sessionName, denied: 'insufficient_scope' });
+            return reply({ success: false, message: `Token "${token.name}" lacks the control scope` });
+        }
+
+        const session = this.bot.getSession(sessionName);
+        if (!session) {
+            return reply({ success: false, message: `Unknown session: ${sessionName}` });
+        }
+
+        const result = await this.bot.runControlAction(session, action, params);
+        this.auth.auditMessage(req, token, { action, session: session.name, success: result.success });
+        return reply(result);
+    }
+
+    // Open streams would otherwise keep server.close() waiting
+    close() {
+        clearInterval(this.keepalive);
+        this.unsubscribe?.();
+        for (const client of this.clients) client.close();
+        this.clients.clear();
+        this.wss?.close();
+    }
+}
+
+module.exports = { LiveStream, WS_PATH, parseFilter };
@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, flushPromises, CHANNEL_ID } = require('./helpers/harness');
+const { createInteraction, FakeUser } = require('./helpers/fakeDiscord');
+const { DEFAULT_CONFIG } = require('../config');
+const { validateWebhooks } = require('../alerts');
+
+const ALERT_CHANNEL_ID = '100000000000000002';
+const ROLE_ID = '300000000000000001';
+
+const alerts = (overrides = {}) => ({ ...structuredClone(DEFAULT_CONFIG.alerts), ...overrides });
+
+describe('validateWebhooks', () => {
+    it('reports bad URLs, severities and headers', () => {
+        const errors = validateWebhooks([
+            { url: 'https://example.com/hook', minSeverity: 'critical' },
+            { url: 'ftp://example.com', minSeverity: 'loud' },
+            { url: 'https://example.com', headers: ['x'] },
+            'https://example.com'
+        ]);
+        assert.deepEqual(errors.map(error => error.field), [
+            'alerts.webhooks[1].url',
+            'alerts.webhooks[1].minSeverity',
+            'alerts.webhooks[2].headers',
+            'alerts.webhooks[3]'
+        ]);
+    });
+});
+
+describe('alert dispatcher', () => {
+    let harness;
+    beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval'] }));
+    afterEach(async () => {
+        await harness.cleanup();
+        mock.timers.reset();
+    });
+
+    it('DMs subscribers whose minimum severity is met', async () => {
+        harness = createTestBot({ alerts: alerts({ dm: { enabled: true, minSeverity: 'info', subscribers: ['200000000000000001'] } }) });
+        const { session, discord } = harness;
+        session.subscribeAlerts('200000000000000002', 'critical');
+        session.lastAuthUser = new FakeUser();
+
+        await session.sendSafetyAlert('⚠️ Player Proximity Alert', 'Someone is nearby', '#ff9900', 'warning');
+        await session.sendSafetyAlert('🩸 Damage Taken', 'Ouch', '#ff0000', 'critical');
+
+        const titles = (user) => user.dms.map(dm => dm.embeds[0].data.title);
+        assert.deepEqual(titles(discord.fakeUser('200000000000000001')), ['⚠️ Player Proximity Alert', '🩸 Damage Taken']);
+        assert.deepEqual(titles(discord.fakeUser('200000000000000002')), ['🩸 Damage Taken']);
+        assert.deepEqual(titles(session.lastAuthUser), ['⚠️ Player Proximity Alert', '🩸 Damage Taken']);
+        assert.equal(session.lastAuthUser.dms[1].content, '🚨 **URGENT SAFETY ALERT** 🚨');
+    });
+
+    it('pings roles in the alert channel only for urgent alerts', async () => {
+        harness = createTestBot({
+            alerts: alerts({
+                dm: { enabled: false, minSeverity: 'info', subscribers: [] },
+                channel: { enabled: true, channelId: ALERT_CHANNEL_ID, minSeverity: 'warning', mentionRoles: [ROLE_ID], mentionSeverity: 'critical' }
+            })
+        });
+        const { session, discord } = harness;
+
+        await session.sendSafetyAlert('📦 Item Threshold Reached', 'Diamond: 64', '#3498db', 'info');
+        await session.sendSafetyAlert('⚠️ Player Proximity Alert', 'Someone is nearby', '#ff9900', 'warning');
+        await session.sendSafetyAlert('☠️ Bot Died', 'Fell', '#000000', 'critical');
+
+        const sent = discord.channel(ALERT_CHANNEL_ID).sent.map(message => message.payload);
+        assert.equal(sent.length, 2);
+        assert.equal(sent[0].content, '⚠️ **Safety Alert**');
+        assert.deepEqual(sent[0].allowedMentions, { roles: [] });
+        assert.equal(sent[1].content, `<@&${ROLE_ID}> 🚨 **URGENT SAFETY ALERT** 🚨`);
+        assert.deepEqual(sent[1].allowedMentions, { roles: [ROLE_ID] });
+    });
+
+    it('retries failed webhook deliveries with backoff', async () => {
+        harness = createTestBot({
+            alerts: alerts({
+                dm: { enabled: false, minSeverity: 'info', subscribers: [] },
+                webhooks: [{ url: 'https://hooks.example.com/afk', headers: { Authorization: 'Bearer secret' } }],
+                retry: { attempts: 3, delay: 1000 }
+            })
+        });
+        const requests = [];
+        harness.bot.alerts.fetch = async (url, init) => {
+            requests.push({ url, init });
+            return { ok: requests.length === 3, status: 503 };
+        };
+
+        const sending = harness.session.sendSafetyAlert('🩸 Damage Taken', 'Ouch', '#ff0000', 'critical');
+        await flushPromises();
+        assert.equal(requests.length, 1);
+        mock.timers.tick(1000);
+        await flushPromises();
+        assert.equal(requests.length, 2);
+        mock.timers.tick(2000);
+        await sending;
+
+        assert.equal(requests.length, 3);
+        assert.equal(requests[0].init.headers.Authorization, 'Bearer secret');
+        const body = JSON.parse(requests[2].init.body);
+        assert.equal(body.session, 'main');
+        assert.equal(body.severity, 'critical');
+        assert.equal(body.title, '🩸 Damage Taken');
+        assert.deepEqual(Object.keys(body.details), ['location', 'world', 'health', 'maxHealth']);
+        // Delivered, so no fallback in the control channel
+        assert.equal(harness.discord.channel(CHANNEL_ID).sent.length, 0);
+    });
+
+    it('gives up on webhooks that never answer', async () => {
+        harness = createTestBot({
+            alerts: alerts({
+                dm: { enabled: false, minSeverity: 'info', subscribers: [] },
+                webhooks: [{ url: 'https://hooks.example.com/afk' }],
+                timeout: 20,
+                retry: { attempts: 1, delay: 1000 }
+            })
+        });
+        const signals = [];
+        harness.bot.alerts.fetch = (url, init) => {
+            signals.push(init.signal);
+            return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)));
+        };
+
+        const sending = harness.session.sendSafetyAlert('🩸 Damage Taken', 'Ouch', '#ff0000', 'critical');
+        // The abort timer is unref'd and not mocked, so keep the loop busy until it fires
+        await flushPromises();
+        while (!signals[0].aborted) await flushPromises();
+        await sending;
+
+        assert.equal(signals.length, 1);
+        assert.equal(signals[0].aborted, true);
+        // Counted as undelivered, so the control channel gets it instead
+        assert.equal(harness.discord.channel(CHANNEL_ID).sent.length, 1);
+    });
+
+    it('falls back to the control channel when nobody receives a warning', async () => {
+        harness = createTestBot();
+        const { session, discord } = harness;
+
+        await session.sendSafetyAlert('📦 Item Threshold Reached', 'Diamond: 64', '#3498db', 'info');
+        await session.sendSafetyAlert('⚠️ Player Proximity Alert', 'Someone is nearby', '#ff9900', 'warning');
+
+        const sent = discord.channel(CHANNEL_ID).sent.map(message => message.payload.content);
+        assert.deepEqual(sent, ['⚠️ **Safety Alert** (main): **⚠️ Player Proximity Alert**\nSomeone is nearby']);
+    });
+
+    it('manages subscriptions with /alerts', async () => {
+        harness = createTestBot();
+        const user = new FakeUser('200000000000000003');
+        const run = async (subcommand, options = {}, administrator = false) => {
+            const interaction = createInteraction({ channelId: CHANNEL_ID, commandName: 'alerts', subcommand, options, user, administrator });
+            await harness.bot.handleSlashCommand(interaction);
+            return interaction.lastReply;
+        };
+
+        assert.match((await run('subscribe', { 'min-severity': 'warning' })).content, /^🔔 Subscribed/);
+        assert.deepEqual(harness.bot.store.getSession('main').alertSubscribers, [{ id: user.id, minSeverity: 'warning' }]);
+        assert.match((await run('subscribe')).content, /Updated your subscription/);
+        assert.equal((await run('status')).embeds[0].data.fields[0].value, 'Subscribed (ℹ️ Info+)');
+
+        assert.match((await run('test')).content, /safety/i);
+        assert.match((await run('test', { severity: 'info' }, true)).content, /test alert/);
+        assert.equal(harness.discord.fakeUser(user.id).dms.length, 1);
+
+        assert.match((await run('unsubscribe')).content, /^🔕 Unsubscribed/);
+        assert.match((await run('unsubscribe')).content, /not subscribed/);
+        assert.deepEqual(harness.bot.store.getSession('main').alertSubscribers, []);
+    });
+});
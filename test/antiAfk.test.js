@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSerializer } = require('bedrock-protocol/src/transforms/serializer');
+const { createTestBot, connectSession, flushPromises, CHANNEL_ID } = require('./helpers/harness');
+const { createInteraction } = require('./helpers/fakeDiscord');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] }));
+afterEach(() => mock.timers.reset());
+
+const inputs = (client) => client.packets('player_auth_input').map(packet => packet.params);
+
+describe('anti-AFK', () => {
+    let harness;
+    let client;
+    const start = async (antiAfk, overrides = {}) => {
+        harness = createTestBot({ antiAfk: { enabled: true, interval: 5000, jitter: 0, threatPause: 60000, ...antiAfk }, ...overrides });
+        client = await connectSession(harness);
+        harness.bedrock.send(client, 'move_player', { runtime_id: 1, position: { x: 10, y: 65.62, z: -4 } });
+    };
+    afterEach(() => harness.cleanup());
+
+    it('stays idle unless enabled', async () => {
+        await start({ enabled: false });
+        mock.timers.tick(600000);
+        assert.equal(inputs(client).length, 0);
+    });
+
+    it('presses and releases jump from the current position', async () => {
+        await start({ patterns: ['jump'] });
+
+        mock.timers.tick(4999);
+        assert.equal(inputs(client).length, 0);
+        mock.timers.tick(1);
+        mock.timers.tick(50);
+
+        const [press, release] = inputs(client);
+        assert.equal(press.input_data.jumping, true);
+        assert.equal(release.input_data.jump_released_raw, true);
+        assert.deepEqual(press.position, { x: 10, y: 65.62, z: -4 });
+        assert.equal(harness.session.antiAfk.lastAction.pattern, 'jump');
+    });
+
+    it('builds packets the protocol can serialize', async () => {
+        await start({ patterns: ['walk'] });
+        mock.timers.tick(5000);
+
+        const serializer = createSerializer(harness.config.minecraft.version);
+        const [packet] = client.packets('player_auth_input');
+        assert.ok(serializer.createPacketBuffer(packet).length > 0);
+    });
+
+    it('walks out and back to where it started', async () => {
+        await start({ patterns: ['walk'] });
+        mock.timers.tick(5000);
+        for (let i = 0; i < 20; i++) mock.timers.tick(50);
+
+        const positions = inputs(client).map(input => input.position);
+        assert.equal(positions.length, 16);
+        assert.ok(Math.abs(positions[7].z - -4) > 1);
+        assert.ok(Math.abs(positions[15].x - 10) < 1e-9);
+        assert.ok(Math.abs(positions[15].z - -4) < 1e-9);
+    });
+
+    it('pauses while an untrusted player is nearby', async () => {
+        await start({ patterns: ['look'] }, { safety: { enabled: true, autoDisconnectOnThreat: false } });
+        harness.bedrock.send(client, 'add_player', {
+            runtime_id: 2n,
+            unique_id: 2n,
+            username: 'Stranger',
+            position: { x: 12, y: 64, z: -4 }
+        });
+        await flushPromises();
+
+        mock.timers.tick(55000);
+        assert.equal(inputs(client).length, 0);
+        assert.equal(harness.session.getStatus().antiAfk.pauseReason, 'Untrusted player nearby');
+
+        // Each safety check extends the pause while the player stays around
+        harness.bedrock.send(client, 'remove_entity', { entity_id_self: 2n });
+        mock.timers.tick(60000);
+        assert.ok(inputs(client).length > 0);
+    });
+
+    it('stops with the connection', async () => {
+        await start({ patterns: ['look'] });
+        await harness.session.disconnect();
+
+        mock.timers.tick(60000);
+        assert.equal(inputs(client).length, 0);
+        assert.equal(harness.session.antiAfk.active, false);
+    });
+
+    it('is toggled with /antiafk', async () => {
+        await start({ enabled: false, patterns: ['look'] });
+        const run = async (subcommand, options = {}) => {
+            const interaction = createInteraction({ channelId: CHANNEL_ID, commandName: 'antiafk', subcommand, options });
+            await harness.bot.handleSlashCommand(interaction);
+            return interaction;
+        };
+
+        const on = await run('on', { interval: 10 });
+        assert.match(on.lastReply.content, /Anti-AFK enabled/);
+        mock.timers.tick(10000);
+        assert.equal(inputs(client).length, 1);
+        assert.deepEqual(harness.bot.store.getSession('main').antiAfk, { enabled: true, interval: 10000 });
+
+        await run('off');
+        mock.timers.tick(60000);
+        assert.equal(inputs(client).length, 1);
+    });
+});
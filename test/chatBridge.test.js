@@ -0,0 +1,219 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, connectSession, flushPromises } = require('./helpers/harness');
+const { FakeUser } = require('./helpers/fakeDiscord');
+const { stripFormatting, toDiscordMarkdown } = require('../chatBridge');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval'] }));
+afterEach(() => mock.timers.reset());
+
+const BRIDGE_CHANNEL_ID = '100000000000000002';
+
+const chatLines = (client) => client.packets('text').map(packet => packet.params.message);
+
+// A messageCreate payload from a member of the bridge channel
+function createMessage(content, { channelId = BRIDGE_CHANNEL_ID, administrator = true, bot = false } = {}) {
+    const message = {
+        content,
+        channelId,
+        author: Object.assign(new FakeUser(), { bot }),
+        member: { roles: [], permissions: { has: () => administrator } },
+        system: false,
+        reactions: [],
+        async react(emoji) {
+            message.reactions.push(emoji);
+        }
+    };
+    return message;
+}
+
+describe('chat bridge text helpers', () => {
+    it('strips § codes', () => {
+        assert.equal(stripFormatting('§a[Shop] §lSale§r now'), '[Shop] Sale now');
+    });
+
+    it('maps styles to markdown, drops colours and escapes the text', () => {
+        assert.equal(toDiscordMarkdown('§cRed §lbold §oboth§r plain'), 'Red **bold** ***both*** plain');
+        assert.equal(toDiscordMarkdown('§n§aunder§r line'), '__under__ line');
+        assert.equal(toDiscordMarkdown('2 * 3 = _6_'), '2 \\* 3 = \\_6\\_');
+    });
+});
+
+describe('chat bridge', () => {
+    let harness;
+    let client;
+    let channel;
+    const start = async (chatBridge = {}) => {
+        harness = createTestBot({ chatBridge: { enabled: true, channelId: BRIDGE_CHANNEL_ID, batchInterval: 2000, ...chatBridge } });
+        client = await connectSession(harness);
+        channel = harness.discord.channel(BRIDGE_CHANNEL_ID);
+    };
+    const text = (params) => harness.bedrock.send(client, 'text', { type: 'chat', message: '', ...params });
+    // Waits out the batch interval and returns what reached the channel
+    const flushBatch = async () => {
+        mock.timers.tick(2000);
+        await flushPromises();
+        return channel.sent.map(message => message.payload.content);
+    };
+    afterEach(() => harness.cleanup());
+
+    describe('Minecraft to Discord', () => {
+        it('batches lines into one message per interval', async () => {
+            await start();
+            text({ source_name: 'Steve', message: 'hello' });
+            text({ type: 'whisper', source_name: 'Alex', message: 'psst' });
+            text({ type: 'raw', message: 'Server restarting soon' });
+            text({ type: 'json', message: JSON.stringify({ rawtext: [{ text: 'Welcome ' }, { text: 'back' }] }) });
+
+            mock.timers.tick(1999);
+            await flushPromises();
+            assert.equal(channel.sent.length, 0);
+
+            assert.deepEqual(await flushBatch(), [
+                '**Steve**: hello\n📩 **Alex** whispers: psst\n📢 Server restarting soon\n📢 Welcome back'
+            ]);
+            assert.deepEqual(channel.sent[0].payload.allowedMentions, { parse: [] });
+        });
+
+        it('skips popups and the echo of our own chat', async () => {
+            await start();
+            text({ type: 'tip', message: 'Action bar' });
+            text({ source_name: 'TestBot', message: 'my own line' });
+            text({ source_name: 'Steve', message: '   ' });
+
+            assert.deepEqual(await flushBatch(), []);
+        });
+
+        it('splits batches at the Discord length limit', async () => {
+            await start();
+            for (let i = 0; i < 3; i++) text({ source_name: 'Steve', message: 'x'.repeat(900) });
+            text({ source_name: 'Steve', message: 'y'.repeat(2500) });
+
+            const messages = await flushBatch();
+            assert.equal(messages.length, 3);
+            assert.equal(messages[0].split('\n').length, 2);
+            assert.ok(messages.every(content => content.length <= 2000));
+            assert.ok(messages[2].endsWith('…'));
+        });
+
+        it('converts § styles to markdown or strips them', async () => {
+            await start();
+            text({ source_name: '§6Steve', message: '§lbig§r deal' });
+            assert.deepEqual(await flushBatch(), ['**Steve**: **big** deal']);
+
+            await harness.cleanup();
+            await start({ formatting: 'strip' });
+            text({ source_name: 'Steve', message: '§lbig§r *deal*' });
+            assert.deepEqual(await flushBatch(), ['**Steve**: big \\*deal\\*']);
+        });
+
+        it('mutes system messages and matching patterns', async () => {
+            await start({ muteSystem: true, mutePatterns: ['^\\[AD\\]', 'vote for us'] });
+            text({ type: 'raw', message: 'A player joined' });
+            text({ source_name: 'Steve', message: '§e[AD]§r cheap ranks' });
+            text({ source_name: 'Steve', message: 'Please VOTE for us' });
+            text({ source_name: 'Steve', message: 'still here' });
+
+            assert.deepEqual(await flushBatch(), ['**Steve**: still here']);
+        });
+
+        it('highlights keywords and mentions of the bot', async () => {
+            await start({ highlightKeywords: ['Diamonds'] });
+            text({ source_name: 'Steve', message: 'found diamonds' });
+            text({ source_name: 'Alex', message: 'hi testbot' });
+            text({ source_name: 'Alex', message: 'nothing here' });
+
+            assert.deepEqual(await flushBatch(), [
+                '🔔 **Steve**: found diamonds\n🔔 **Alex**: hi testbot\n**Alex**: nothing here'
+            ]);
+        });
+
+        it('relays nothing while disabled and drops the queue on shutdown', async () => {
+            await start({ enabled: false });
+            text({ source_name: 'Steve', message: 'hello' });
+            assert.deepEqual(await flushBatch(), []);
+
+            await harness.cleanup();
+            await start();
+            text({ source_name: 'Steve', message: 'hello' });
+            harness.session.chatBridge.stop();
+            assert.deepEqual(await flushBatch(), []);
+        });
+    });
+
+    describe('Discord to Minecraft', () => {
+        const post = async (message) => {
+            harness.discord.emit('messageCreate', message);
+            await flushPromises();
+            return message;
+        };
+
+        it('sends chat and confirms with a reaction', async () => {
+            await start();
+            const message = await post(createMessage('  hello from discord  '));
+
+            assert.deepEqual(chatLines(client), ['hello from discord']);
+            assert.deepEqual(message.reactions, ['✅']);
+        });
+
+        it('truncates to the Minecraft chat limit', async () => {
+            await start();
+            await post(createMessage('z'.repeat(300)));
+            assert.equal(chatLines(client)[0].length, 256);
+        });
+
+        it('ignores bots, other channels and disabled bridges', async () => {
+            await start();
+            const fromBot = await post(createMessage('beep', { bot: true }));
+            const elsewhere = await post(createMessage('hi', { channelId: '100000000000000003' }));
+
+            assert.deepEqual(chatLines(client), []);
+            assert.deepEqual([fromBot.reactions, elsewhere.reactions], [[], []]);
+
+            await harness.cleanup();
+            await start({ enabled: false });
+            const disabled = await post(createMessage('hi'));
+            assert.deepEqual(chatLines(client), []);
+            assert.deepEqual(disabled.reactions, []);
+        });
+
+        it('needs the chat capability', async () => {
+            await start();
+            const message = await post(createMessage('hi', { administrator: false }));
+
+            assert.deepEqual(chatLines(client), []);
+            assert.deepEqual(message.reactions, ['🔒']);
+        });
+
+        it('rejects messages while the session is offline', async () => {
+            await start();
+            await harness.session.disconnect();
+            const message = await post(createMessage('anyone there?'));
+
+            assert.deepEqual(message.reactions, ['❌']);
+        });
+
+        it('blocks game commands unless allowCommands is on', async () => {
+            await start();
+            const blocked = await post(createMessage('/op Steve'));
+            assert.deepEqual(blocked.reactions, ['🚫']);
+            assert.equal(client.packets('command_request').length, 0);
+
+            await harness.cleanup();
+            await start({ allowCommands: true });
+            const message = createMessage('/list');
+            harness.discord.emit('messageCreate', message);
+            await flushPromises();
+
+            const [request] = client.packets('command_request');
+            assert.equal(request.params.command, '/list');
+            harness.bedrock.send(client, 'command_output', {
+                origin: request.params.origin,
+                success_count: 0,
+                output: [{ success: false, message_id: 'commands.generic.unknown', parameters: [] }]
+            });
+            await flushPromises();
+            assert.deepEqual(message.reactions, ['❌']);
+        });
+    });
+});
@@ -0,0 +1,260 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageFlags } = require('discord.js');
+const { createTestBot, connectSession, flushPromises, CHANNEL_ID } = require('./helpers/harness');
+const { createInteraction, FakeUser } = require('./helpers/fakeDiscord');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval'] }));
+afterEach(() => mock.timers.reset());
+
+describe('slash commands', () => {
+    let harness;
+    beforeEach(() => { harness = createTestBot(); });
+    afterEach(() => harness.cleanup());
+
+    const run = async (command) => {
+        const interaction = createInteraction({ channelId: CHANNEL_ID, ...command });
+        await harness.bot.handleSlashCommand(interaction);
+        return interaction;
+    };
+
+    it('builds valid command definitions', () => {
+        const names = harness.bot.commands.map(command => command.toJSON().name);
+        assert.deepEqual(names, ['message', 'status', 'connect', 'disconnect', 'safety', 'trust', 'block', 'script', 'antiafk', 'inventory', 'stats', 'alerts', 'logs']);
+    });
+
+    it('rejects commands outside the control channel', async () => {
+        const interaction = createInteraction({ commandName: 'status', channelId: '999' });
+        harness.discord.emit('interactionCreate', interaction);
+        await flushPromises();
+
+        assert.match(interaction.lastReply.content, /designated channel/);
+    });
+
+    it('/status reports the session state', async () => {
+        const interaction = await run({ commandName: 'status' });
+        const fields = interaction.lastReply.embeds[0].data.fields;
+
+        assert.equal(fields.find(f => f.name === '🎮 Minecraft Bedrock').value, '❌ Disconnected');
+    });
+
+    it('/connect starts a connection and /disconnect ends it', async () => {
+        const { session, bedrock } = harness;
+
+        const connect = await run({ commandName: 'connect' });
+        assert.match(connect.lastReply.content, /Attempting to connect/);
+        assert.equal(bedrock.clients.length, 1);
+        assert.equal(session.lastAuthUser, connect.user);
+
+        bedrock.join();
+        await flushPromises();
+        assert.equal(session.isConnected, true);
+
+        const disconnect = await run({ commandName: 'disconnect' });
+        assert.match(disconnect.lastReply.content, /disconnected/);
+        assert.equal(session.shouldJoin, false);
+        assert.equal(bedrock.lastClient.closed, true);
+    });
+
+    it('/disconnect refuses when not connected', async () => {
+        const interaction = await run({ commandName: 'disconnect' });
+        assert.match(interaction.lastReply.content, /not connected/);
+        assert.deepEqual(interaction.lastReply.flags, [MessageFlags.Ephemeral]);
+    });
+
+    it('/message refuses when not connected', async () => {
+        const interaction = await run({ commandName: 'message', options: { text: 'hi' } });
+        assert.match(interaction.lastReply.content, /not connected/);
+    });
+
+    it('/message sends chat as a text packet', async () => {
+        const client = await connectSession(harness);
+        const interaction = await run({ commandName: 'message', options: { text: 'hello world' } });
+
+        const [packet] = client.packets('text');
+        assert.equal(packet.params.message, 'hello world');
+        assert.equal(packet.params.source_name, 'TestBot');
+        assert.match(interaction.lastReply.content, /Message sent/);
+    });
+
+    it('/message reports the server response to a command', async () => {
+        const client = await connectSession(harness);
+        const interaction = createInteraction({
+            commandName: 'message',
+            channelId: CHANNEL_ID,
+            options: { text: '/list', mode: 'command' }
+        });
+        const pending = harness.bot.handleSlashCommand(interaction);
+        await flushPromises();
+
+        const [request] = client.packets('command_request');
+        assert.equal(request.params.command, '/list');
+        harness.bedrock.send(client, 'command_output', {
+            origin: request.params.origin,
+            success_count: 1,
+            output: [{ success: true, message_id: 'commands.players.list', parameters: ['1', '20'] }]
+        });
+        await pending;
+
+        assert.match(interaction.lastReply.content, /Server accepted the command/);
+        assert.match(interaction.lastReply.content, /commands\.players\.list 1 20/);
+    });
+
+    it('/safety set validates and applies a single setting', async () => {
+        const interaction = await run({
+            commandName: 'safety',
+            group: 'set',
+            subcommand: 'proximity-radius',
+            options: { value: 32 }
+        });
+
+        assert.equal(harness.session.safetyConfig.proximityRadius, 32);
+        assert.match(interaction.lastReply.content, /Proximity Radius/);
+
+        const invalid = await run({
+            commandName: 'safety',
+            group: 'set',
+            subcommand: 'proximity-radius',
+            options: { value: 5000 }
+        });
+        assert.match(invalid.lastReply.content, /between 1 and 512/);
+        assert.equal(harness.session.safetyConfig.proximityRadius, 32);
+    });
+
+    it('/safety set alert-cooldown takes seconds', async () => {
+        await run({ commandName: 'safety', group: 'set', subcommand: 'alert-cooldown', options: { value: 45 } });
+        assert.equal(harness.session.safetyConfig.alertCooldown, 45000);
+    });
+
+    it('/safety preset and /safety show', async () => {
+        await run({ commandName: 'safety', subcommand: 'preset', options: { name: 'strict' } });
+        assert.equal(harness.session.safetyConfig.enabled, true);
+        assert.equal(harness.session.safetyConfig.autoDisconnectOnThreat, true);
+
+        const show = await run({ commandName: 'safety', subcommand: 'show' });
+        const fields = show.lastReply.embeds[0].data.fields;
+        assert.equal(fields.find(f => f.name === '🛡️ Monitoring').value, '`✅ On`');
+
+        await run({ commandName: 'safety', subcommand: 'preset', options: { name: 'off' } });
+        assert.equal(harness.session.safetyConfig.enabled, false);
+        assert.equal(harness.session.safetyConfig.proximityRadius, 96);
+    });
+
+    it('/trust and /block keep the lists exclusive', async () => {
+        const { session } = harness;
+
+        await run({ commandName: 'block', subcommand: 'add', options: { player: 'Steve' } });
+        assert.equal(session.isBlocked('steve'), true);
+
+        const trust = await run({ commandName: 'trust', subcommand: 'add', options: { player: 'Steve' } });
+        assert.match(trust.lastReply.content, /added to the trusted list/);
+        assert.equal(session.isTrusted('Steve'), true);
+        assert.equal(session.isBlocked('Steve'), false);
+
+        const list = await run({ commandName: 'trust', subcommand: 'list' });
+        assert.match(list.lastReply.embeds[0].data.description, /Steve/);
+    });
+
+    it('replies with an error for unknown sessions', async () => {
+        const interaction = await run({ commandName: 'status', options: { session: 'nope' } });
+        assert.match(interaction.lastReply.content, /Unknown session: nope/);
+    });
+});
+
+describe('permissions', () => {
+    const MOD_ROLE = '200000000000000001';
+    const CHATTER_ID = '300000000000000001';
+    let harness;
+    beforeEach(() => {
+        harness = createTestBot({
+            permissions: {
+                everyone: ['view'],
+                roles: [{ id: MOD_ROLE, capabilities: ['connect', 'safety'] }],
+                users: [{ id: CHATTER_ID, capabilities: ['chat'] }]
+            }
+        });
+    });
+    afterEach(() => harness.cleanup());
+
+    const run = async (command) => {
+        const interaction = createInteraction({ channelId: CHANNEL_ID, administrator: false, ...command });
+        await harness.bot.handleSlashCommand(interaction);
+        return interaction;
+    };
+
+    it('lets everyone view but not connect', async () => {
+        const status = await run({ commandName: 'status' });
+        assert.ok(status.lastReply.embeds);
+
+        const connect = await run({ commandName: 'connect' });
+        assert.match(connect.lastReply.content, /don't have permission to \*\*connect\/disconnect\*\*/);
+        assert.equal(harness.bedrock.clients.length, 0);
+        assert.equal(harness.session.lastAuthUser, null);
+    });
+
+    it('grants capabilities through roles', async () => {
+        await run({ commandName: 'connect', roles: [MOD_ROLE] });
+        assert.equal(harness.bedrock.clients.length, 1);
+
+        await run({ commandName: 'safety', subcommand: 'preset', roles: [MOD_ROLE], options: { name: 'strict' } });
+        assert.equal(harness.session.safetyConfig.enabled, true);
+    });
+
+    it('separates chat from raw commands', async () => {
+        const client = await connectSession(harness);
+        const user = new FakeUser(CHATTER_ID);
+
+        await run({ commandName: 'message', user, options: { text: 'hello' } });
+        assert.equal(client.packets('text').length, 1);
+
+        const command = await run({ commandName: 'message', user, options: { text: '/op someone' } });
+        assert.match(command.lastReply.content, /run game commands/);
+        assert.equal(client.packets('command_request').length, 0);
+    });
+
+    it('protects list and safety changes but not viewing them', async () => {
+        const list = await run({ commandName: 'trust', subcommand: 'list' });
+        assert.ok(list.lastReply.embeds);
+
+        const add = await run({ commandName: 'trust', subcommand: 'add', options: { player: 'Steve' } });
+        assert.match(add.lastReply.content, /configure safety/);
+        assert.equal(harness.session.isTrusted('Steve'), false);
+    });
+
+    it('checks the Connect button', async () => {
+        await harness.session.setupControlMessage();
+        const interaction = createInteraction({ channelId: CHANNEL_ID, administrator: false });
+        Object.assign(interaction, {
+            customId: 'connect:main',
+            message: harness.session.controlMessage,
+            isButton: () => true,
+            isChatInputCommand: () => false
+        });
+
+        harness.discord.emit('interactionCreate', interaction);
+        await flushPromises();
+
+        assert.match(interaction.lastReply.content, /connect\/disconnect/);
+        assert.equal(harness.bedrock.clients.length, 0);
+    });
+
+    it('leaves an online session alone when Connect is pressed', async () => {
+        const client = await connectSession(harness);
+        await harness.session.setupControlMessage();
+        const interaction = createInteraction({ channelId: CHANNEL_ID });
+        Object.assign(interaction, {
+            customId: 'connect:main',
+            message: harness.session.controlMessage,
+            isButton: () => true,
+            isChatInputCommand: () => false
+        });
+
+        harness.discord.emit('interactionCreate', interaction);
+        await flushPromises();
+
+        assert.match(interaction.lastReply.content, /already connected/);
+        assert.equal(harness.session.state, 'online');
+        assert.equal(client.closed, false);
+        assert.equal(harness.bedrock.clients.length, 1);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, resolveSessions, DEFAULT_CONFIG } = require('../config');
+
+function baseConfig() {
+    const config = structuredClone(DEFAULT_CONFIG);
+    config.discord = { token: 'token', channelId: '1' };
+    return config;
+}
+
+describe('loadConfig', () => {
+    let dir;
+    beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doggo-config-')); });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const write = (name, contents) => fs.writeFileSync(
+        path.join(dir, name),
+        typeof contents === 'string' ? contents : JSON.stringify(contents)
+    );
+    const load = ({ argv = [], env = {} } = {}) => loadConfig({ argv, env, cwd: dir });
+    const fields = (errors) => errors.map(error => error.field);
+
+    it('falls back to the defaults and asks for the Discord settings', () => {
+        const { config, source, errors } = load();
+        assert.equal(source, 'defaults');
+        assert.deepEqual(config.minecraft, DEFAULT_CONFIG.minecraft);
+        assert.deepEqual(fields(errors), ['discord.token', 'discord.channelId']);
+        assert.equal(errors[0].message, 'is required');
+    });
+
+    it('layers defaults < config file < environment variables', () => {
+        write('config.json', {
+            discord: { token: 'file-token', channelId: '1' },
+            minecraft: { host: 'file.example.net', port: 19133 },
+            safety: { minHealth: 8 }
+        });
+
+        const { config, source, errors } = load({
+            env: { MC_HOST: 'env.example.net', SAFETY_ENABLED: 'yes', TRUSTED_PLAYERS: 'Steve, Alex', RECONNECT_DELAY: '' }
+        });
+        assert.deepEqual(errors, []);
+        assert.equal(source, 'config.json');
+        assert.equal(config.minecraft.host, 'env.example.net');
+        assert.equal(config.minecraft.port, 19133);
+        assert.equal(config.minecraft.version, DEFAULT_CONFIG.minecraft.version);
+        assert.equal(config.safety.enabled, true);
+        assert.equal(config.safety.minHealth, 8);
+        assert.equal(config.safety.proximityRadius, DEFAULT_CONFIG.safety.proximityRadius);
+        assert.deepEqual(config.players.trusted, ['Steve', 'Alex']);
+        assert.equal(config.reconnect.delay, DEFAULT_CONFIG.reconnect.delay);
+    });
+
+    it('reads the file named by --config before BOT_CONFIG and the defaults', () => {
+        write('config.json', { discord: { token: 'default-file', channelId: '1' } });
+        write('bot.yml', 'discord:\n  token: yaml-file\n  channelId: "2"\n');
+        write('other.json', { discord: { token: 'env-file', channelId: '3' } });
+
+        assert.equal(load().config.discord.token, 'default-file');
+        assert.equal(load({ env: { BOT_CONFIG: 'other.json' } }).config.discord.token, 'env-file');
+
+        const { config, source } = load({ argv: ['--config', 'bot.yml'], env: { BOT_CONFIG: 'other.json' } });
+        assert.equal(config.discord.token, 'yaml-file');
+        assert.equal(config.discord.channelId, '2');
+        assert.equal(source, 'bot.yml');
+        assert.equal(load({ argv: ['--config=other.json'] }).config.discord.token, 'env-file');
+    });
+
+    it('reports a missing or unreadable config file', () => {
+        const missing = load({ argv: ['--config', 'nope.json'] });
+        assert.deepEqual(missing.errors[0], { field: '--config', message: 'file not found: nope.json' });
+        assert.equal(missing.source, 'defaults');
+
+        write('config.json', '{ "discord": ');
+        const broken = load();
+        assert.equal(broken.errors[0].field, 'config.json');
+        assert.match(broken.errors[0].message, /^could not be parsed: /);
+    });
+
+    it('validates the merged result against the schema', () => {
+        write('config.json', {
+            discord: { token: 'token', channelId: '1' },
+            minecraft: { auth: 'mojang', colour: 'blue' },
+            chatBridge: { mutePatterns: ['('] },
+            sessions: [{ name: 'main' }, { name: 'Main', webServer: { port: 1 } }]
+        });
+
+        const { errors } = load({ env: { MC_PORT: 'abc', SAFETY_ENABLED: 'maybe' } });
+        assert.deepEqual(fields(errors), [
+            'minecraft.colour',
+            'minecraft.port',
+            'minecraft.auth',
+            'safety.enabled',
+            'chatBridge.mutePatterns',
+            'sessions[1].name',
+            'sessions[1].webServer.port'
+        ]);
+        assert.equal(errors[1].message, 'must be a whole number (got "abc")');
+        assert.equal(errors[3].message, 'must be true or false (got "maybe")');
+    });
+});
+
+describe('resolveSessions', () => {
+    it('uses the top-level settings for a single implicit session', () => {
+        const [session] = resolveSessions(baseConfig());
+        assert.equal(session.name, 'main');
+        assert.equal(session.channelId, '1');
+        assert.equal(session.minecraft.profilesFolder, DEFAULT_CONFIG.minecraft.profilesFolder);
+    });
+
+    it('merges nested overrides key by key', () => {
+        const config = baseConfig();
+        config.reconnect.strategies.banned = 'backoff';
+        config.sessions = [
+            { name: 'main' },
+            {
+                name: 'alt',
+                channelId: '2',
+                minecraft: { host: 'play.example.net' },
+                reconnect: { strategies: { server_full: 'backoff' } },
+                chatBridge: { mutePatterns: ['^\\[AD\\]'] }
+            }
+        ];
+
+        const [main, alt] = resolveSessions(config);
+        assert.equal(alt.channelId, '2');
+        assert.equal(alt.minecraft.host, 'play.example.net');
+        assert.equal(alt.minecraft.port, DEFAULT_CONFIG.minecraft.port);
+        assert.deepEqual(alt.reconnect.strategies, { ...config.reconnect.strategies, server_full: 'backoff' });
+        assert.equal(alt.reconnect.delay, DEFAULT_CONFIG.reconnect.delay);
+        assert.deepEqual(alt.chatBridge.mutePatterns, ['^\\[AD\\]']);
+
+        assert.deepEqual(main.reconnect.strategies, config.reconnect.strategies);
+        assert.equal(main.minecraft.profilesFolder, path.join(DEFAULT_CONFIG.minecraft.profilesFolder, 'main'));
+    });
+});
@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHmac } = require('crypto');
+const { createTestBot, connectSession, flushPromises } = require('./helpers/harness');
+const { EventBus } = require('../eventBus');
+const { validateEventWebhooks } = require('../webhooks');
+
+const SECRET = 'a-long-shared-webhook-secret';
+
+describe('event bus', () => {
+    it('rejects unknown event types', async () => {
+        const bus = new EventBus();
+        assert.throws(() => bus.subscribe('teleported', () => {}), /Unknown event type: teleported/);
+        await assert.rejects(bus.publish({ name: 'main' }, 'teleported'), /Unknown event type/);
+    });
+
+    it('keeps delivering when a subscriber throws', async () => {
+        const bus = new EventBus();
+        const errors = [];
+        const session = { name: 'main', logError: (...args) => errors.push(args.join(' ')) };
+        const seen = [];
+        bus.subscribe('chat', () => {
+            throw new Error('boom');
+        });
+        bus.subscribe('*', (event) => seen.push(event.type));
+
+        const event = await bus.publish(session, 'chat', { message: 'hi' });
+        assert.equal(event.session, 'main');
+        assert.deepEqual(seen, ['chat']);
+        assert.deepEqual(errors, ['Event handler for chat failed: boom']);
+    });
+
+    it('validates webhook targets', () => {
+        const errors = validateEventWebhooks([
+            { url: 'https://example.com/hook', secret: SECRET, events: ['kicked', '*'] },
+            { url: 'https://example.com/hook', secret: 'short', events: ['teleported'] },
+            { url: 'mailto:ops@example.com', secret: SECRET, events: [] }
+        ]);
+        assert.deepEqual(errors.map(error => error.field), [
+            'events.webhooks[1].secret',
+            'events.webhooks[1].events',
+            'events.webhooks[2].url',
+            'events.webhooks[2].events'
+        ]);
+    });
+});
+
+describe('session events', () => {
+    let harness;
+    let events;
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.parse('2025-06-08T12:00:00Z') });
+        harness = createTestBot({
+            reconnect: { delay: 1000, maxDelay: 8000, jitter: 0 },
+            events: { webhooks: [{ url: 'https://hooks.example.com/bot', secret: SECRET, events: ['kicked'] }], retry: { attempts: 3, delay: 1000 } }
+        });
+        events = [];
+        harness.bot.events.subscribe('*', (event) => events.push(event));
+    });
+    afterEach(() => {
+        harness.cleanup();
+        mock.timers.reset();
+    });
+
+    it('publishes connection, chat and kick events from the Bedrock handlers', async () => {
+        harness.bot.webhooks.fetch = async () => ({ ok: true, status: 200 });
+        const client = await connectSession(harness);
+        harness.bedrock.send(client, 'text', { type: 'chat', source_name: 'Steve', message: 'hello bot' });
+        harness.bedrock.kick(client, '§cServer is restarting');
+        await flushPromises();
+
+        assert.deepEqual(events.map(event => event.type), [
+            'state_changed', // idle -> connecting
+            'connected',
+            'state_changed', // connecting -> online
+            'world_changed',
+            'chat',
+            'kicked',
+            'state_changed' // online -> backoff
+        ]);
+        const byType = (type) => events.filter(event => event.type === type);
+        assert.deepEqual(byType('chat')[0].data, { kind: 'chat', sender: 'Steve', message: 'hello bot' });
+        assert.deepEqual(byType('kicked')[0].data, { reason: 'Server is restarting', category: 'restarting' });
+        assert.equal(byType('state_changed')[2].data.state, 'backoff');
+    });
+
+    it('throttles position events', async () => {
+        const client = await connectSession(harness);
+        const move = (x) => harness.bedrock.send(client, 'move_player', { runtime_id: 1n, position: { x, y: 70, z: 0 } });
+
+        move(10);
+        move(20); // Within the same second
+        mock.timers.tick(1000);
+        move(10.5); // Less than a block from the last event
+        move(30);
+
+        const positions = events.filter(event => event.type === 'position_changed').map(event => event.data.x);
+        assert.deepEqual(positions, [10, 30]);
+    });
+
+    it('routes safety alerts through the bus', async () => {
+        await harness.session.sendSafetyAlert('🩸 Damage Taken', 'Ouch', '#ff0000', 'critical');
+
+        const [event] = events;
+        assert.equal(event.type, 'safety_triggered');
+        assert.equal(event.data.severity, 'critical');
+        assert.deepEqual(event.data.details.location, { x: 0, y: 0, z: 0 });
+    });
+
+    it('signs webhook deliveries and retries failures', async () => {
+        const requests = [];
+        harness.bot.webhooks.fetch = async (url, init) => {
+            requests.push({ url, init });
+            return { ok: requests.length > 1, status: 500 };
+        };
+        const client = await connectSession(harness);
+        harness.bedrock.kick(client, 'Banned');
+        await flushPromises();
+
+        assert.equal(requests.length, 1); // Only `kicked` is subscribed
+        mock.timers.tick(1000);
+        await harness.bot.webhooks.flush();
+        assert.equal(requests.length, 2);
+
+        const { url, init } = requests[1];
+        assert.equal(url, 'https://hooks.example.com/bot');
+        assert.equal(init.headers['X-Webhook-Event'], 'kicked');
+        const expected = createHmac('sha256', SECRET).update(`${init.headers['X-Webhook-Timestamp']}.${init.body}`).digest('hex');
+        assert.equal(init.headers['X-Webhook-Signature'], `sha256=${expected}`);
+
+        const body = JSON.parse(init.body);
+        assert.equal(body.type, 'kicked');
+        assert.equal(body.session, 'main');
+        assert.equal(body.id, init.headers['X-Webhook-Delivery']);
+    });
+
+    it('times out webhook receivers that never answer and retries', async () => {
+        harness.bot.webhooks.options.timeout = 20;
+        let attempts = 0;
+        let aborted = false;
+        harness.bot.webhooks.fetch = (url, init) => {
+            attempts++;
+            if (attempts > 1) return Promise.resolve({ ok: true, status: 200 });
+            return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => {
+                aborted = true;
+                reject(init.signal.reason);
+            }));
+        };
+        const client = await connectSession(harness);
+        harness.bedrock.kick(client, 'Banned');
+
+        // The abort timer is unref'd and not mocked, so keep the loop busy until it fires
+        while (!aborted) await flushPromises();
+        await flushPromises();
+        mock.timers.tick(1000);
+        await harness.bot.webhooks.flush();
+        assert.equal(attempts, 2);
+    });
+});
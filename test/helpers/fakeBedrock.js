@@ -0,0 +1,107 @@
+// ============================================================================
+// FAKE BEDROCK SERVER - stands in for bedrock-protocol's createServer
+// ============================================================================
+
+const { EventEmitter } = require('events');
+
+// Mirrors the parts of bedrock-protocol's Client the bot relies on: packet
+// events, queue(), and disconnect()/close() which emit 'close' once and then
+// drop every listener. Like the real client, disconnect() does nothing until
+// the connection is up.
+class FakeBedrockClient extends EventEmitter {
+    constructor(server, options) {
+        super();
+        this.server = server;
+        this.options = options;
+        this.username = options.username || 'TestBot';
+        this.entityId = 1n;
+        this.sent = [];
+        this.connected = false;
+        this.closed = false;
+    }
+
+    queue(name, params) {
+        if (this.closed) throw new Error('Client is closed');
+        this.sent.push({ name, params });
+    }
+
+    write(name, params) {
+        this.queue(name, params);
+    }
+
+    disconnect(reason = 'Client leaving') {
+        if (this.closed || !this.connected) return;
+        this.sent.push({ name: 'disconnect', params: { message: reason } });
+        this.close();
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+        this.removeAllListeners();
+    }
+
+    // Packets the bot sent, optionally filtered by name
+    packets(name = null) {
+        return this.sent.filter(packet => !name || packet.name === name);
+    }
+}
+
+class FakeBedrockServer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { host: '127.0.0.1', port: 19132, ...options };
+        this.clients = [];
+
+        // Drop-in for bedrock-protocol's createClient
+        this.createClient = (clientOptions) => {
+            const client = new FakeBedrockClient(this, clientOptions);
+            this.clients.push(client);
+            this.emit('connect', client);
+            return client;
+        };
+    }
+
+    get lastClient() {
+        return this.clients[this.clients.length - 1] || null;
+    }
+
+    // Runs the client through auth, join, start_game and spawn
+    join(client = this.lastClient, startGame = {}) {
+        client.connected = true;
+        client.emit('session');
+        client.emit('join');
+        client.emit('start_game', {
+            entity_id: -1n,
+            runtime_entity_id: client.entityId,
+            player_gamemode: 'survival',
+            player_position: { x: 0.5, y: 65.62, z: 0.5 },
+            dimension: 'overworld',
+            spawn_position: { x: 0, y: 64, z: 0 },
+            level_id: 'TestLevel',
+            world_name: 'Test World',
+            ...startGame
+        });
+        client.emit('spawn');
+        return client;
+    }
+
+    send(client, name, params) {
+        client.emit(name, params);
+    }
+
+    // Same order as bedrock-protocol: the disconnect packet, then 'kick', then close
+    kick(client = this.lastClient, message = 'Kicked by server') {
+        const params = { hide_disconnect_reason: false, message, filtered_message: '' };
+        client.emit('disconnect', params);
+        client.emit('kick', params);
+        client.close();
+    }
+}
+
+function createFakeServer(options) {
+    return new FakeBedrockServer(options);
+}
+
+module.exports = { createFakeServer, FakeBedrockServer, FakeBedrockClient };
@@ -0,0 +1,170 @@
+// ============================================================================
+// FAKE DISCORD CLIENT - records what the bot sends instead of calling Discord
+// ============================================================================
+
+const { EventEmitter } = require('events');
+
+let nextId = 1000;
+const snowflake = () => String(nextId++);
+
+class FakeUser {
+    constructor(id = snowflake(), tag = `user${id}`) {
+        this.id = id;
+        this.tag = tag;
+        this.username = tag;
+        this.dms = [];
+    }
+
+    async send(payload) {
+        this.dms.push(payload);
+        return payload;
+    }
+}
+
+class FakeMessage {
+    constructor(channel, author, payload) {
+        this.id = snowflake();
+        this.channelId = channel.id;
+        this.author = author;
+        this.payload = payload;
+        this.edits = [];
+        this.reactions = [];
+    }
+
+    async edit(payload) {
+        this.edits.push(payload);
+        return this;
+    }
+
+    async react(emoji) {
+        this.reactions.push(emoji);
+    }
+}
+
+class FakeChannel {
+    constructor(client, id) {
+        this.client = client;
+        this.id = id;
+        this.sent = [];
+        this.messages = {
+            fetch: async (messageId) => {
+                const message = this.sent.find(m => m.id === messageId);
+                if (!message) throw new Error('Unknown Message');
+                return message;
+            }
+        };
+    }
+
+    async send(payload) {
+        const message = new FakeMessage(this, this.client.user, payload);
+        this.sent.push(message);
+        return message;
+    }
+}
+
+class FakeDiscordClient extends EventEmitter {
+    constructor() {
+        super();
+        this.user = new FakeUser('bot-user', 'Doggo#0001');
+        this.user.setActivity = (status, options) => {
+            this.activity = { status, ...options };
+        };
+        this.activity = null;
+        this.readyTimestamp = null;
+        this.guilds = { cache: new Map() };
+        this.channelMap = new Map();
+        this.channels = {
+            fetch: async (id) => this.channel(id)
+        };
+        this.userMap = new Map();
+        this.users = {
+            fetch: async (id) => this.fakeUser(id)
+        };
+    }
+
+    fakeUser(id) {
+        if (!this.userMap.has(id)) {
+            this.userMap.set(id, new FakeUser(id));
+        }
+        return this.userMap.get(id);
+    }
+
+    channel(id) {
+        if (!this.channelMap.has(id)) {
+            this.channelMap.set(id, new FakeChannel(this, id));
+        }
+        return this.channelMap.get(id);
+    }
+
+    async login(token) {
+        this.readyTimestamp = Date.now();
+        return token;
+    }
+
+    destroy() {
+        this.readyTimestamp = null;
+    }
+}
+
+// A chat input interaction with the option getters discord.js provides.
+// Members are Discord administrators unless `administrator` is false.
+function createInteraction({
+    commandName,
+    subcommand = null,
+    group = null,
+    options = {},
+    channelId,
+    user = new FakeUser(),
+    roles = [],
+    administrator = true
+}) {
+    const get = (name, required = false) => {
+        if (options[name] === undefined) {
+            if (required) throw new Error(`Missing required option ${name}`);
+            return null;
+        }
+        return options[name];
+    };
+
+    const interaction = {
+        commandName,
+        channelId,
+        user,
+        member: { roles },
+        memberPermissions: { has: () => administrator },
+        replies: [],
+        replied: false,
+        deferred: false,
+        options: {
+            getString: get,
+            getBoolean: get,
+            getInteger: get,
+            getNumber: get,
+            getSubcommand: () => subcommand,
+            getSubcommandGroup: () => group
+        },
+        isChatInputCommand: () => true,
+        isButton: () => false,
+        isAutocomplete: () => false,
+        async reply(payload) {
+            interaction.replied = true;
+            interaction.replies.push(payload);
+        },
+        async deferReply(payload) {
+            interaction.deferred = true;
+            interaction.replies.push({ deferred: true, ...payload });
+        },
+        async editReply(payload) {
+            interaction.replies.push(payload);
+        },
+        async followUp(payload) {
+            interaction.replies.push(payload);
+        },
+        get lastReply() {
+            return interaction.replies[interaction.replies.length - 1];
+        }
+    };
+    return interaction;
+}
+
+module.exports = { FakeDiscordClient, FakeUser, FakeChannel, createInteraction };
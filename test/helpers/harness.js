@@ -0,0 +1,86 @@
+// ============================================================================
+// TEST HARNESS - a bot wired to the fake Discord client and Bedrock server
+// ============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG } = require('../../config');
+const { MinecraftBedrockDiscordBot } = require('../../bot');
+const { FakeDiscordClient } = require('./fakeDiscord');
+const { createFakeServer } = require('./fakeBedrock');
+
+const CHANNEL_ID = '100000000000000001';
+const READ_TOKEN = 'read-token-0123456789';
+const CONTROL_TOKEN = 'control-token-0123456789';
+
+// `overrides` are merged one section deep into the default config
+function createTestBot(overrides = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doggo-test-'));
+    const config = structuredClone(DEFAULT_CONFIG);
+
+    config.discord = { token: 'test-token', channelId: CHANNEL_ID };
+    config.minecraft = { ...config.minecraft, host: '127.0.0.1', auth: 'offline', offline: true, username: 'TestBot' };
+    config.webServer = {
+        ...config.webServer,
+        port: 0,
+        host: '127.0.0.1',
+        apiTokens: [
+            { name: 'reader', token: READ_TOKEN, scopes: ['read'] },
+            { name: 'admin', token: CONTROL_TOKEN, scopes: ['read', 'control'] }
+        ],
+        auditLog: path.join(dataDir, 'audit.log')
+    };
+    config.storage = { path: path.join(dataDir, 'state.json') };
+    config.logging = { ...config.logging, file: { ...config.logging.file, path: path.join(dataDir, 'logs', 'bot.log') } };
+
+    for (const [section, values] of Object.entries(overrides)) {
+        config[section] = Array.isArray(values) ? values : { ...config[section], ...values };
+    }
+
+    const discord = new FakeDiscordClient();
+    const bedrock = createFakeServer({ host: config.minecraft.host, port: config.minecraft.port });
+    const createBot = () => new MinecraftBedrockDiscordBot(config, {
+        configSource: 'test',
+        discordClient: discord,
+        createClient: bedrock.createClient
+    });
+    const bot = createBot();
+
+    const harness = {
+        bot,
+        discord,
+        bedrock,
+        config,
+        dataDir,
+        session: bot.defaultSession,
+        // Shuts the bot down and starts a new one over the same store file,
+        // Discord client and server, like a process restart
+        async restart() {
+            await harness.bot.shutdown();
+            discord.removeAllListeners();
+            harness.bot = createBot();
+            harness.session = harness.bot.defaultSession;
+        },
+        async cleanup() {
+            await harness.bot.shutdown();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+    return harness;
+}
+
+// Lets pending promise callbacks (async event handlers) run
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Connects the default session and completes the join on the fake server
+async function connectSession(harness) {
+    await harness.session.connect();
+    harness.bedrock.join();
+    await flushPromises();
+    return harness.bedrock.lastClient;
+}
+
+module.exports = { createTestBot, flushPromises, connectSession, CHANNEL_ID, READ_TOKEN, CONTROL_TOKEN };
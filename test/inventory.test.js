@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, connectSession, flushPromises, CHANNEL_ID } = require('./helpers/harness');
+const { createInteraction, FakeUser } = require('./helpers/fakeDiscord');
+const { validateInventoryWatches } = require('../inventory');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval'] }));
+afterEach(() => mock.timers.reset());
+
+const alertTitles = (user) => user.dms.map(dm => dm.embeds[0].data.title);
+
+const PALETTE = [
+    { name: 'minecraft:diamond', runtime_id: 5, component_based: false, version: 'legacy', nbt: {} },
+    { name: 'minecraft:oak_log', runtime_id: 6, component_based: false, version: 'legacy', nbt: {} },
+    { name: 'minecraft:iron_helmet', runtime_id: 7, component_based: false, version: 'legacy', nbt: {} }
+];
+
+const item = (networkId, count) => ({ network_id: networkId, count, metadata: 0, has_stack_id: 0, block_runtime_id: 0, extra: {} });
+const EMPTY = { network_id: 0 };
+
+describe('validateInventoryWatches', () => {
+    it('reports bad items, thresholds and duplicates', () => {
+        const errors = validateInventoryWatches([
+            { item: 'diamond', threshold: 64 },
+            { item: 'minecraft:diamond', threshold: 0 },
+            { item: 'bad item!', threshold: 1, every: 5 }
+        ]);
+        assert.deepEqual(errors.map(error => error.field), [
+            'inventory.watch[1].threshold',
+            'inventory.watch[1].item',
+            'inventory.watch[2].item',
+            'inventory.watch[2].every'
+        ]);
+    });
+});
+
+describe('inventory', () => {
+    let harness;
+    let client;
+    let user;
+    const start = async (inventory = {}) => {
+        harness = createTestBot({ inventory });
+        client = await connectSession(harness);
+        user = new FakeUser();
+        harness.session.lastAuthUser = user;
+        harness.bedrock.send(client, 'item_registry', { itemstates: PALETTE });
+    };
+    const content = (slots) => harness.bedrock.send(client, 'inventory_content', {
+        window_id: 'inventory',
+        input: Array.from({ length: 36 }, (_, index) => slots[index] || EMPTY),
+        container: { container_id: 'anvil_input' },
+        storage_item: EMPTY
+    });
+    const slot = (index, value, windowId = 'inventory') => harness.bedrock.send(client, 'inventory_slot', {
+        window_id: windowId,
+        slot: index,
+        container: { container_id: 'anvil_input' },
+        storage_item: EMPTY,
+        item: value
+    });
+    afterEach(() => harness.cleanup());
+
+    it('resolves names from the item palette and totals stacks', async () => {
+        await start();
+        content({ 0: item(5, 3), 4: item(6, 64), 20: item(6, 10), 30: item(99, 1) });
+        slot(0, item(7, 1), 'armor');
+
+        const status = harness.session.inventory.getStatus();
+        assert.equal(status.usedSlots, 4);
+        assert.deepEqual(status.totals.map(({ displayName, count }) => [displayName, count]), [
+            ['Oak Log', 74], ['Diamond', 3], ['Item #99', 1]
+        ]);
+        assert.equal(status.items[0].hotbar, true);
+        assert.equal(status.armor.helmet.displayName, 'Iron Helmet');
+    });
+
+    it('alerts when a watched item reaches its threshold, once', async () => {
+        await start({ watch: [{ item: 'diamond', threshold: 10 }] });
+        content({ 0: item(5, 12) });
+        assert.deepEqual(alertTitles(user), []); // Join snapshot only sets the baseline
+
+        slot(0, item(5, 4));
+        slot(1, item(5, 6));
+        slot(2, item(5, 1));
+        await flushPromises();
+        assert.deepEqual(alertTitles(user), ['📦 Item Threshold Reached']);
+        assert.match(user.dms[0].embeds[0].data.description, /Diamond: 10/);
+    });
+
+    it('alerts when the last free slot fills', async () => {
+        await start();
+        content(Object.fromEntries(Array.from({ length: 35 }, (_, index) => [index, item(6, 64)])));
+        assert.equal(harness.session.inventory.isFull, false);
+
+        slot(35, item(5, 1));
+        await flushPromises();
+        assert.equal(harness.session.getStatus().inventory.full, true);
+        assert.deepEqual(alertTitles(user), ['🎒 Inventory Full']);
+    });
+
+    it('forgets the inventory when the connection ends', async () => {
+        await start();
+        content({ 0: item(5, 3) });
+        await harness.session.disconnect();
+
+        assert.equal(harness.session.inventory.loaded, false);
+        assert.equal(harness.session.inventory.usedSlots, 0);
+    });
+
+    it('pages /inventory and manages watches', async () => {
+        await start();
+        const palette = Array.from({ length: 20 }, (_, index) => ({
+            name: `minecraft:item_${index}`, runtime_id: 100 + index, component_based: false, version: 'legacy', nbt: {}
+        }));
+        harness.bedrock.send(client, 'item_registry', { itemstates: palette });
+        content(Object.fromEntries(Array.from({ length: 20 }, (_, index) => [index, item(100 + index, index + 1)])));
+
+        const run = async (subcommand, options = {}, administrator = true) => {
+            const interaction = createInteraction({ channelId: CHANNEL_ID, commandName: 'inventory', subcommand, options, administrator });
+            await harness.bot.handleSlashCommand(interaction);
+            return interaction.lastReply;
+        };
+
+        const second = await run('show', { page: 2 });
+        const embed = second.embeds[0].data;
+        assert.equal(embed.description.split('\n').length, 5);
+        assert.match(embed.description, /^\*\*Item 4\*\* ×5/);
+        assert.equal(embed.footer.text.startsWith('Page 2/2'), true);
+
+        assert.match((await run('watch', { item: 'Oak Log', threshold: 128 })).content, /Added watch/);
+        assert.deepEqual(harness.bot.store.getSession('main').inventory.watch, [{ item: 'minecraft:oak_log', threshold: 128 }]);
+        assert.match((await run('watch', { item: 'oak_log', threshold: 64 })).content, /Updated watch/);
+        assert.match((await run('unwatch', { item: 'minecraft:oak_log' })).content, /Stopped watching/);
+        assert.match((await run('unwatch', { item: 'oak_log' })).content, /is not being watched/);
+
+        assert.match((await run('watch', { item: 'diamond', threshold: 5 }, false)).content, /safety/i);
+    });
+});
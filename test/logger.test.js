@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('../logger');
+const { validateConfig, DEFAULT_CONFIG } = require('../config');
+const { createTestBot, CHANNEL_ID } = require('./helpers/harness');
+const { createInteraction } = require('./helpers/fakeDiscord');
+
+// Collects what the logger prints
+function createOutput() {
+    const lines = [];
+    return { lines, write: (text) => lines.push(...text.trimEnd().split('\n')) };
+}
+
+describe('logger', () => {
+    let dir;
+    beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doggo-logs-')); });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('filters by level and tags entries with the module and session', () => {
+        const stdout = createOutput();
+        const stderr = createOutput();
+        const logger = new Logger({ level: 'info' }, { stdout, stderr });
+        const bedrock = logger.child('bedrock', { session: 'main' });
+
+        bedrock.debug('Hidden from the console');
+        bedrock.info('Joined %s', 'example.net');
+        bedrock.child('safety').warn('Low health');
+
+        assert.equal(stdout.lines.length, 1);
+        assert.match(stdout.lines[0], /INFO  \[bedrock\/main\] Joined example\.net$/);
+        assert.match(stderr.lines[0], /WARN  \[safety\/main\] Low health$/);
+        assert.throws(() => logger.child('minecraft'), /Unknown log module: minecraft/);
+
+        // The buffer keeps debug entries for /logs
+        assert.deepEqual(logger.getRecent({ session: 'main' }).map(entry => entry.level), ['debug', 'info', 'warn']);
+        assert.deepEqual(logger.getRecent({ level: 'info', module: 'safety' }).map(entry => entry.message), ['Low health']);
+    });
+
+    it('prints JSON with error stacks', () => {
+        const stderr = createOutput();
+        const logger = new Logger({ format: 'json' }, { stdout: createOutput(), stderr });
+
+        logger.child('web').error('Request failed:', new Error('boom'));
+
+        const entry = JSON.parse(stderr.lines[0]);
+        assert.equal(entry.module, 'web');
+        assert.equal(entry.message, 'Request failed: boom');
+        assert.match(entry.stack, /^Error: boom/);
+    });
+
+    it('rotates the log file', () => {
+        const filePath = path.join(dir, 'logs', 'bot.log');
+        const logger = new Logger(
+            { file: { enabled: true, path: filePath, maxSize: 200, maxFiles: 2 } },
+            { stdout: createOutput(), stderr: createOutput() }
+        );
+
+        for (let i = 1; i <= 8; i++) logger.info(`Entry number ${i} with some padding`);
+
+        assert.deepEqual(fs.readdirSync(path.dirname(filePath)).sort(), ['bot.log', 'bot.log.1', 'bot.log.2']);
+        const newest = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(newest.at(-1).message, 'Entry number 8 with some padding');
+        assert.ok(fs.statSync(filePath).size <= 200);
+    });
+
+    it('validates the logging section', () => {
+        const config = structuredClone(DEFAULT_CONFIG);
+        config.discord = { token: 'token', channelId: '1' };
+        config.logging.level = 'verbose';
+        config.logging.file.maxFiles = -1;
+
+        assert.deepEqual(validateConfig(config).map(error => error.field), ['logging.level', 'logging.file.maxFiles']);
+    });
+});
+
+describe('/logs', () => {
+    let harness;
+    beforeEach(() => { harness = createTestBot(); });
+    afterEach(() => harness.cleanup());
+
+    it('shows recent entries filtered by level and module', async () => {
+        harness.session.logger.debug('Noisy detail');
+        harness.session.safetyLogger.warn('Player nearby');
+        harness.bot.webLogger.error('Port in use');
+
+        const interaction = createInteraction({ commandName: 'logs', channelId: CHANNEL_ID, options: { level: 'warn', module: 'safety' } });
+        await harness.bot.handleSlashCommand(interaction);
+
+        const embed = interaction.lastReply.embeds[0].data;
+        assert.match(embed.description, /WARN  \[safety\/main\] Player nearby/);
+        assert.doesNotMatch(embed.description, /Noisy detail|Port in use/);
+        assert.equal(embed.footer.text, '1 entry (warn+, safety)');
+    });
+
+    it('needs the safety capability', async () => {
+        const interaction = createInteraction({ commandName: 'logs', channelId: CHANNEL_ID, administrator: false });
+        await harness.bot.handleSlashCommand(interaction);
+        assert.match(interaction.lastReply.content, /don't have permission/);
+    });
+});
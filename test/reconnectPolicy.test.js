@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ReconnectPolicy, classifyReason } = require('../reconnectPolicy');
+
+const OPTIONS = { delay: 1000, maxDelay: 60000, jitter: 0.2, scheduledDelay: 30000 };
+
+describe('classifyReason', () => {
+    const cases = [
+        ['You are banned from this server', 'banned'],
+        [{ message: 'disconnectionScreen.notAllowed' }, 'whitelist'],
+        ['You are not white-listed on this server!', 'whitelist'],
+        [{ message: 'disconnectionScreen.outdatedClient' }, 'outdated'],
+        [{ message: 'disconnectionScreen.serverFull' }, 'server_full'],
+        ['§cServer restarting, please reconnect', 'restarting'],
+        ['Kicked for being idle', 'idle'],
+        [new Error('Connect timed out'), 'network'],
+        [Object.assign(new Error('read'), { code: 'ECONNRESET' }), 'network'],
+        ['Something odd happened', 'unknown'],
+        [null, 'unknown']
+    ];
+
+    for (const [reason, category] of cases) {
+        it(`${JSON.stringify(reason instanceof Error ? reason.message : reason)} -> ${category}`, () => {
+            assert.equal(classifyReason(reason), category);
+        });
+    }
+});
+
+describe('ReconnectPolicy', () => {
+    it('applies jitter within ±jitter of the delay', () => {
+        const low = new ReconnectPolicy(OPTIONS, () => 0);
+        const high = new ReconnectPolicy(OPTIONS, () => 1);
+
+        assert.equal(low.plan('network error', 3).delay, 3200);
+        assert.equal(high.plan('network error', 3).delay, 4800);
+    });
+
+    it('caps backoff at maxDelay', () => {
+        const policy = new ReconnectPolicy({ ...OPTIONS, jitter: 0 });
+        assert.equal(policy.plan('Connection lost', 20).delay, 60000);
+    });
+
+    it('falls back to backoff after repeated immediate retries', () => {
+        const policy = new ReconnectPolicy({ ...OPTIONS, jitter: 0 });
+        assert.deepEqual(
+            [1, 3, 4].map(attempt => policy.plan('idle timeout kick', attempt).strategy),
+            ['immediate', 'immediate', 'backoff']
+        );
+    });
+
+    it('honours configured strategies', () => {
+        const policy = new ReconnectPolicy({ ...OPTIONS, strategies: { banned: 'scheduled' } });
+        const plan = policy.plan('banned', 1);
+
+        assert.equal(plan.strategy, 'scheduled');
+        assert.ok(plan.delay >= 24000 && plan.delay <= 36000);
+        assert.equal(new ReconnectPolicy(OPTIONS).plan('banned', 1).delay, null);
+    });
+});
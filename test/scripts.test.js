@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, connectSession, flushPromises, CHANNEL_ID } = require('./helpers/harness');
+const { createInteraction } = require('./helpers/fakeDiscord');
+const { validateScripts } = require('../scripts');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval'] }));
+afterEach(() => mock.timers.reset());
+
+const chatLines = (client) => client.packets('text').map(packet => packet.params.message);
+
+describe('validateScripts', () => {
+    it('reports problems with the field that caused them', () => {
+        const errors = validateScripts({
+            onJoin: [{ command: '/home', chat: 'hi' }, { delay: 1000 }, { waitFor: '(' }],
+            scheduled: [{ name: 'balance', command: '/balance', every: 1000 }]
+        });
+
+        assert.deepEqual(errors.map(error => error.field), [
+            'scripts.onJoin[0].chat',
+            'scripts.onJoin[1].command',
+            'scripts.onJoin[2].waitFor',
+            'scripts.scheduled[0].every'
+        ]);
+    });
+
+    it('accepts wait-only steps and conditions', () => {
+        assert.deepEqual(validateScripts({
+            onJoin: [{ waitFor: 'welcome', timeout: 5000, onTimeout: 'continue' }, { command: '/spawn', when: { world: 'Lobby' } }],
+            scheduled: []
+        }), []);
+    });
+});
+
+describe('join script', () => {
+    let harness;
+    const start = (onJoin, scheduled = []) => {
+        harness = createTestBot({ scripts: { onJoin, scheduled } });
+        return connectSession(harness);
+    };
+    afterEach(() => harness.cleanup());
+
+    it('runs steps in order after their delays', async () => {
+        const client = await start([{ delay: 5000, chat: 'hello from {username}' }, { chat: 'second' }]);
+        assert.deepEqual(chatLines(client), []);
+
+        mock.timers.tick(5000);
+        await flushPromises();
+        assert.deepEqual(chatLines(client), ['hello from TestBot', 'second']);
+        assert.equal(harness.session.scripts.lastRun.status, 'completed');
+    });
+
+    it('waits for a matching chat reply before continuing', async () => {
+        const client = await start([
+            { chat: 'tpa please', waitFor: 'teleported', timeout: 10000 },
+            { chat: 'arrived' }
+        ]);
+        assert.deepEqual(chatLines(client), ['tpa please']);
+
+        harness.bedrock.send(client, 'text', { type: 'raw', message: '§aTeleported to doggomc' });
+        await flushPromises();
+        assert.deepEqual(chatLines(client), ['tpa please', 'arrived']);
+    });
+
+    it('stops when the reply never arrives', async () => {
+        const client = await start([
+            { chat: 'tpa please', waitFor: 'teleported', timeout: 10000 },
+            { chat: 'arrived' }
+        ]);
+
+        mock.timers.tick(10000);
+        await flushPromises();
+        assert.deepEqual(chatLines(client), ['tpa please']);
+        assert.equal(harness.session.scripts.lastRun.status, 'stopped');
+    });
+
+    it('skips steps whose world or dimension condition does not match', async () => {
+        const client = await start([
+            { chat: 'other world', when: { world: 'Hub' } },
+            { chat: 'nether only', when: { dimension: 'nether' } },
+            { chat: 'overworld', when: { world: 'test world', dimension: 'overworld' } }
+        ]);
+        assert.deepEqual(chatLines(client), ['overworld']);
+    });
+
+    it('is cancelled when the connection ends', async () => {
+        const client = await start([{ delay: 5000, chat: 'too late' }]);
+        await harness.session.disconnect();
+
+        mock.timers.tick(5000);
+        await flushPromises();
+        assert.deepEqual(chatLines(client), []);
+        assert.equal(harness.session.scripts.lastRun.status, 'cancelled');
+    });
+
+    it('runs again after a quick reconnect during a step', async () => {
+        harness = createTestBot({
+            reconnect: { delay: 1000, jitter: 0 },
+            scripts: { onJoin: [{ command: '/home afk' }, { delay: 5000, chat: 'back' }], scheduled: [] }
+        });
+        const first = await connectSession(harness);
+        assert.equal(first.packets('command_request').length, 1);
+
+        // Kicked while /home afk waits for its reply; idle kicks retry after the base delay
+        harness.bedrock.kick(first, 'You were kicked for being AFK');
+        await flushPromises();
+        assert.equal(harness.session.scripts.running, false);
+        assert.equal(harness.session.scripts.lastRun.status, 'cancelled');
+
+        mock.timers.tick(1000);
+        await flushPromises();
+        harness.bedrock.join();
+        await flushPromises();
+
+        const second = harness.bedrock.lastClient;
+        assert.notEqual(second, first);
+        assert.equal(second.packets('command_request')[0].params.command, '/home afk');
+        assert.equal(harness.session.scripts.running, true);
+    });
+
+    it('repeats scheduled actions only while online', async () => {
+        const client = await start([], [{ name: 'balance', chat: 'my balance', every: 60000 }]);
+
+        mock.timers.tick(120000);
+        await flushPromises();
+        assert.deepEqual(chatLines(client), ['my balance', 'my balance']);
+
+        await harness.session.disconnect();
+        mock.timers.tick(120000);
+        assert.equal(chatLines(client).length, 2);
+    });
+});
+
+describe('/script', () => {
+    let harness;
+    beforeEach(() => { harness = createTestBot(); });
+    afterEach(() => harness.cleanup());
+
+    const run = async (command) => {
+        const interaction = createInteraction({ channelId: CHANNEL_ID, commandName: 'script', ...command });
+        await harness.bot.handleSlashCommand(interaction);
+        return interaction;
+    };
+
+    it('adds, lists and removes join steps', async () => {
+        const { session, bot } = harness;
+
+        await run({ subcommand: 'add', options: { type: 'command', text: '/home afk', delay: 5 } });
+        await run({ subcommand: 'add', options: { type: 'command', text: '/tpa doggomc', 'wait-for': 'teleported', timeout: 60 } });
+        await run({ subcommand: 'add', options: { type: 'chat', text: 'hi', position: 1 } });
+
+        assert.deepEqual(session.scriptConfig.onJoin, [
+            { chat: 'hi' },
+            { command: '/home afk', delay: 5000 },
+            { command: '/tpa doggomc', waitFor: 'teleported', timeout: 60000 }
+        ]);
+        assert.deepEqual(bot.store.getSession(session.name).scripts.onJoin, session.scriptConfig.onJoin);
+
+        const list = await run({ subcommand: 'list' });
+        assert.match(list.lastReply.embeds[0].data.description, /3\.` ⌨️ `\/tpa doggomc` → ⏳ wait for `\/teleported\/` \(1m\)/);
+
+        await run({ subcommand: 'remove', options: { step: 1 } });
+        assert.equal(session.scriptConfig.onJoin.length, 2);
+
+        const missing = await run({ subcommand: 'remove', options: { step: 9 } });
+        assert.match(missing.lastReply.content, /has no step 9/);
+    });
+
+    it('schedules and unschedules recurring actions', async () => {
+        const { session } = harness;
+
+        await run({ subcommand: 'schedule', options: { name: 'balance', type: 'command', text: '/balance', every: 60 } });
+        assert.deepEqual(session.scriptConfig.scheduled, [{ name: 'balance', command: '/balance', every: 3600000 }]);
+
+        const invalid = await run({ subcommand: 'schedule', options: { name: 'bad name', type: 'chat', text: 'x', every: 5 } });
+        assert.match(invalid.lastReply.content, /name must be 1-32 letters/);
+
+        await run({ subcommand: 'unschedule', options: { name: 'BALANCE' } });
+        assert.deepEqual(session.scriptConfig.scheduled, []);
+    });
+
+    it('needs the command capability to change scripts', async () => {
+        const interaction = await run({
+            subcommand: 'add',
+            administrator: false,
+            options: { type: 'command', text: '/op me' }
+        });
+        assert.match(interaction.lastReply.content, /run game commands/);
+        assert.deepEqual(harness.session.scriptConfig.onJoin, []);
+    });
+});
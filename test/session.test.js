@@ -0,0 +1,445 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, connectSession, flushPromises } = require('./helpers/harness');
+const { FakeUser } = require('./helpers/fakeDiscord');
+const { createSerializer } = require('bedrock-protocol/src/transforms/serializer');
+
+// Timers are mocked so reconnect delays run instantly and the session's
+// periodic safety interval never keeps the test process alive
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval'] }));
+afterEach(() => mock.timers.reset());
+
+const alertTitles = (user) => user.dms.map(dm => dm.embeds[0].data.title);
+
+describe('attemptReconnect', () => {
+    let harness;
+    beforeEach(() => {
+        harness = createTestBot({
+            reconnect: { delay: 1000, maxDelay: 8000, jitter: 0, scheduledDelay: 5000, maxAttempts: 10 }
+        });
+    });
+    afterEach(() => harness.cleanup());
+
+    // Advances the clock and reports whether a new client was created
+    const reconnectsAfter = async (ms) => {
+        const before = harness.bedrock.clients.length;
+        mock.timers.tick(ms - 1);
+        await flushPromises();
+        if (harness.bedrock.clients.length !== before) return false;
+        mock.timers.tick(1);
+        await flushPromises();
+        return harness.bedrock.clients.length === before + 1;
+    };
+
+    it('waits the base delay before the first retry', async () => {
+        const { session } = harness;
+        session.shouldJoin = true;
+
+        await session.attemptReconnect('Connection lost');
+        assert.equal(session.reconnectAttempts, 1);
+        assert.equal(session.reconnectPlan.strategy, 'backoff');
+        assert.equal(session.reconnectPlan.category, 'network');
+        assert.equal(await reconnectsAfter(1000), true);
+    });
+
+    it('backs off exponentially up to maxDelay', async () => {
+        const { session } = harness;
+        session.shouldJoin = true;
+        session.reconnectAttempts = 2;
+
+        await session.attemptReconnect();
+        assert.equal(await reconnectsAfter(4000), true);
+
+        // Attempt 8 would be 128s uncapped
+        session.reconnectAttempts = 7;
+
+        await session.attemptReconnect();
+        assert.equal(await reconnectsAfter(8000), true);
+    });
+
+    it('gives up after maxAttempts and alerts', async () => {
+        const { session, bedrock } = harness;
+        const user = new FakeUser();
+        session.lastAuthUser = user;
+        session.shouldJoin = true;
+        session.reconnectAttempts = 10;
+
+        await session.attemptReconnect();
+        mock.timers.tick(60000);
+        await flushPromises();
+
+        assert.equal(session.shouldJoin, false);
+        assert.equal(bedrock.clients.length, 0);
+        assert.deepEqual(alertTitles(user), ['🛑 Reconnect Stopped']);
+    });
+
+    it('does nothing once the user has disconnected', async () => {
+        const { session, bedrock } = harness;
+        session.shouldJoin = false;
+
+        await session.attemptReconnect();
+        mock.timers.tick(60000);
+        await flushPromises();
+
+        assert.equal(session.reconnectAttempts, 0);
+        assert.equal(bedrock.clients.length, 0);
+    });
+
+    it('schedules a single retry after the server kicks the bot', async () => {
+        const { session, bedrock } = harness;
+        await connectSession(harness);
+
+        bedrock.kick(bedrock.lastClient, '§cServer is restarting');
+        await flushPromises();
+        assert.equal(session.isConnected, false);
+        assert.equal(session.reconnectAttempts, 1);
+        assert.equal(session.reconnectPlan.strategy, 'scheduled');
+        assert.equal(session.getStatus().reconnect.category, 'restarting');
+
+        assert.equal(await reconnectsAfter(5000), true);
+        mock.timers.tick(60000);
+        await flushPromises();
+        assert.equal(bedrock.clients.length, 2);
+    });
+
+    it('retries idle kicks almost immediately', async () => {
+        const { bedrock } = harness;
+        await connectSession(harness);
+
+        bedrock.kick(bedrock.lastClient, 'You were kicked for being AFK');
+        await flushPromises();
+        assert.equal(await reconnectsAfter(1000), true);
+    });
+
+    it('stops and alerts when banned', async () => {
+        const { session, bedrock } = harness;
+        await connectSession(harness);
+        const user = new FakeUser();
+        session.lastAuthUser = user;
+
+        bedrock.kick(bedrock.lastClient, 'You are banned from this server');
+        await flushPromises();
+        mock.timers.tick(600000);
+        await flushPromises();
+
+        assert.equal(bedrock.clients.length, 1);
+        assert.equal(session.shouldJoin, false);
+        assert.equal(session.getStatusText(), '🛑 Stopped: Banned');
+        assert.deepEqual(alertTitles(user), ['🛑 Reconnect Stopped']);
+    });
+});
+
+describe('connection lifecycle', () => {
+    let harness;
+    beforeEach(() => {
+        harness = createTestBot({ reconnect: { delay: 1000, jitter: 0, maxAttempts: 10 } });
+    });
+    afterEach(() => harness.cleanup());
+
+    // Idle kicks retry after the base delay
+    const kickAndRejoin = async () => {
+        harness.bedrock.kick(harness.bedrock.lastClient, 'You were kicked for being AFK');
+        await flushPromises();
+        mock.timers.tick(1000);
+        await flushPromises();
+        harness.bedrock.join();
+        await flushPromises();
+    };
+
+    it('moves through connecting and online and reports it in getStatus', async () => {
+        const { session, bedrock } = harness;
+        assert.equal(session.state, 'idle');
+
+        await session.connect();
+        assert.equal(session.state, 'connecting');
+        assert.equal(session.isConnecting, true);
+
+        bedrock.join();
+        await flushPromises();
+        assert.equal(session.state, 'online');
+        assert.equal(session.getStatus().state, 'online');
+
+        await session.disconnect();
+        assert.equal(session.state, 'idle');
+        assert.equal(session.getStatus().stateReason, 'Disconnected by user');
+    });
+
+    it('closes a client that is still connecting', async () => {
+        const { session, bedrock } = harness;
+        await session.connect();
+        const client = bedrock.lastClient;
+
+        await session.disconnect();
+        assert.equal(client.closed, true);
+        assert.equal(session.state, 'idle');
+
+        // bedrock-protocol's connect timeout or a failed ping, after the teardown
+        assert.doesNotThrow(() => client.emit('error', new Error('Connect timed out')));
+        await flushPromises();
+        assert.equal(session.state, 'idle');
+        assert.equal(bedrock.clients.length, 1);
+    });
+
+    it('handles disconnect, kick and close from one kick only once', async () => {
+        const { session, bedrock, bot } = harness;
+        await connectSession(harness);
+
+        bedrock.kick(bedrock.lastClient, 'Connection lost');
+        await flushPromises();
+
+        assert.equal(session.state, 'backoff');
+        assert.equal(session.reconnectAttempts, 1);
+        assert.equal(bot.store.getHistory(session.name).length, 1);
+    });
+
+    it('clears the safety interval and pending timers on every teardown', async () => {
+        const { session, bedrock } = harness;
+        await connectSession(harness);
+        assert.equal(session.connectionTimers.size, 1);
+
+        // Reconnect three times; each connection must replace, not add to, the last one's timers
+        for (let i = 0; i < 3; i++) await kickAndRejoin();
+        assert.equal(bedrock.clients.length, 4);
+        assert.equal(session.connectionTimers.size, 1);
+
+        await session.disconnect();
+        assert.equal(session.connectionTimers.size, 0);
+        assert.equal(session.clientListeners.length, 0);
+
+        mock.timers.tick(60000);
+        assert.equal(bedrock.lastClient.packets('text').length, 0);
+    });
+
+    it('ignores events from a client it already replaced', async () => {
+        const { session, bedrock } = harness;
+        const stale = await connectSession(harness);
+        await kickAndRejoin();
+
+        await session.handleConnectionLost(stale, 'error', new Error('socket hang up'));
+        assert.equal(session.state, 'online');
+        assert.equal(session.minecraftBot, bedrock.lastClient);
+    });
+
+    it('stops without reconnecting after a safety disconnect', async () => {
+        const { session, bedrock } = harness;
+        const client = await connectSession(harness);
+
+        await session.stop('Critical health');
+        mock.timers.tick(60000);
+        await flushPromises();
+
+        assert.equal(client.closed, true);
+        assert.equal(session.state, 'stopped');
+        assert.equal(session.getStatusText(), '🛑 Stopped: Critical health');
+        assert.equal(bedrock.clients.length, 1);
+    });
+
+    it('rejects transitions the lifecycle does not allow', async () => {
+        const { session } = harness;
+        assert.equal(await session.setState('online'), false);
+        assert.equal(session.state, 'idle');
+        assert.equal(await session.setState('idle'), true);
+    });
+
+    it('keeps the live client when asked to connect while online', async () => {
+        const { session, bedrock } = harness;
+        const client = await connectSession(harness);
+
+        assert.equal(await session.connectToMinecraft(), false);
+        assert.equal(session.state, 'online');
+        assert.equal(session.minecraftBot, client);
+        assert.equal(client.closed, false);
+        assert.equal(bedrock.clients.length, 1);
+    });
+});
+
+describe('world tracking', () => {
+    let harness;
+    let client;
+    beforeEach(async () => {
+        harness = createTestBot();
+        client = await connectSession(harness);
+    });
+    afterEach(() => harness.cleanup());
+
+    it('reads world, dimension, gamemode and spawn from start_game', () => {
+        const status = harness.session.getStatus();
+
+        assert.equal(status.world, 'Test World');
+        assert.equal(status.dimension, 'overworld');
+        assert.equal(status.gamemode, 'survival');
+        assert.deepEqual(status.spawnPosition, { x: 0, y: 64, z: 0 });
+        assert.deepEqual(status.coordinates, { x: 0.5, y: 65.62, z: 0.5 });
+
+        const fields = harness.session.createEmbed().data.fields;
+        assert.equal(fields.find(f => f.name === '🌍 World').value, '`Test World (🌳 Overworld)`');
+    });
+
+    it('only moves the bot for its own runtime entity id', () => {
+        const { session, bedrock } = harness;
+        bedrock.send(client, 'move_player', { runtime_id: 99n, position: { x: 500, y: 70, z: 500 } });
+        assert.deepEqual(session.currentCoords, { x: 0.5, y: 65.62, z: 0.5 });
+
+        bedrock.send(client, 'move_player', { runtime_id: 1n, position: { x: 20, y: 70, z: -3 } });
+        assert.deepEqual(session.currentCoords, { x: 20, y: 70, z: -3 });
+    });
+
+    it('follows dimension changes and acknowledges them', () => {
+        const { session, bedrock } = harness;
+        bedrock.send(client, 'add_player', { runtime_id: 2n, unique_id: 2n, username: 'Friend', position: { x: 1, y: 65, z: 1 } });
+        assert.equal(session.nearbyPlayers.size, 1);
+
+        bedrock.send(client, 'change_dimension', { dimension: 1, position: { x: 8, y: 40, z: 8 }, respawn: false });
+
+        assert.equal(session.world.dimension, 'nether');
+        assert.deepEqual(session.currentCoords, { x: 8, y: 40, z: 8 });
+        assert.equal(session.nearbyPlayers.size, 0);
+
+        const [ack] = client.packets('player_action');
+        assert.equal(ack.params.action, 'dimension_change_ack');
+        assert.equal(ack.params.runtime_entity_id, 1n);
+        assert.ok(createSerializer(harness.config.minecraft.version).createPacketBuffer(ack).length > 0);
+    });
+
+    it('moves to the respawn point the server announces', () => {
+        harness.bedrock.send(client, 'respawn', { position: { x: -30, y: 72, z: 14 }, state: 1, runtime_entity_id: 1n });
+        assert.deepEqual(harness.session.currentCoords, { x: -30, y: 72, z: 14 });
+    });
+
+    it('forgets the world when the connection ends', async () => {
+        await harness.session.disconnect();
+        assert.equal(harness.session.currentWorld, 'Unknown');
+        assert.equal(harness.session.world.dimension, null);
+    });
+});
+
+describe('checkHealth', () => {
+    let harness;
+    let client;
+    let user;
+    beforeEach(async () => {
+        harness = createTestBot({ safety: { enabled: true, minHealth: 10, autoDisconnectHealth: 6 } });
+        client = await connectSession(harness);
+        user = new FakeUser();
+        harness.session.lastAuthUser = user;
+    });
+    afterEach(() => harness.cleanup());
+
+    it('alerts on damage without disconnecting', async () => {
+        harness.bedrock.send(client, 'set_health', { health: 15 });
+        await flushPromises();
+
+        assert.deepEqual(alertTitles(user), ['🩸 Damage Taken']);
+        mock.timers.tick(1000);
+        assert.equal(client.closed, false);
+    });
+
+    it('warns when health falls to minHealth', async () => {
+        harness.bedrock.send(client, 'set_health', { health: 9 });
+        await flushPromises();
+
+        assert.deepEqual(alertTitles(user), ['🩸 Damage Taken', '💀 Critical Health Alert']);
+    });
+
+    it('disconnects and stops reconnecting at autoDisconnectHealth', async () => {
+        const { session } = harness;
+        harness.bedrock.send(client, 'set_health', { health: 5 });
+        await flushPromises();
+
+        assert.deepEqual(alertTitles(user), ['🚨 CRITICAL HEALTH - AUTO DISCONNECT']);
+        assert.equal(client.closed, false);
+
+        mock.timers.tick(500);
+        assert.equal(client.closed, true);
+        assert.equal(session.shouldJoin, false);
+    });
+
+    it('ignores damage while safety is disabled', async () => {
+        harness.session.safetyConfig.enabled = false;
+        harness.bedrock.send(client, 'set_health', { health: 2 });
+        await flushPromises();
+        mock.timers.tick(1000);
+
+        assert.equal(user.dms.length, 0);
+        assert.equal(client.closed, false);
+    });
+});
+
+describe('checkPlayerProximity', () => {
+    let harness;
+    let client;
+    let user;
+    beforeEach(async () => {
+        harness = createTestBot({
+            safety: { enabled: true, proximityRadius: 50, autoDisconnectOnThreat: true },
+            players: { trusted: ['Friend'], blocked: ['Griefer'] }
+        });
+        client = await connectSession(harness);
+        user = new FakeUser();
+        harness.session.lastAuthUser = user;
+        harness.bedrock.send(client, 'move_player', { runtime_id: 1, position: { x: 0, y: 64, z: 0 } });
+    });
+    afterEach(() => harness.cleanup());
+
+    const addPlayer = (id, username, x) => harness.bedrock.send(client, 'add_player', {
+        runtime_id: BigInt(id),
+        unique_id: BigInt(id),
+        username,
+        position: { x, y: 64, z: 0 }
+    });
+
+    it('disconnects when an untrusted player comes within range', async () => {
+        addPlayer(2, 'Stranger', 10);
+        await flushPromises();
+
+        assert.deepEqual(alertTitles(user), ['🚨 THREAT DETECTED - AUTO DISCONNECT']);
+        mock.timers.tick(1000);
+        assert.equal(client.closed, true);
+        assert.equal(harness.session.shouldJoin, false);
+    });
+
+    it('only alerts for trusted players', async () => {
+        addPlayer(2, 'Friend', 10);
+        await flushPromises();
+        mock.timers.tick(1000);
+
+        assert.deepEqual(alertTitles(user), ['⚠️ Player Proximity Alert']);
+        assert.equal(client.closed, false);
+    });
+
+    it('ignores players outside the radius', async () => {
+        addPlayer(2, 'Stranger', 80);
+        await flushPromises();
+        mock.timers.tick(1000);
+
+        assert.equal(user.dms.length, 0);
+        assert.equal(client.closed, false);
+    });
+
+    it('alerts once a distant player walks into range', async () => {
+        addPlayer(2, 'Stranger', 80);
+        harness.bedrock.send(client, 'move_entity', { runtime_entity_id: 2, position: { x: 20, y: 64, z: 0 } });
+        await flushPromises();
+
+        assert.deepEqual(alertTitles(user), ['🚨 THREAT DETECTED - AUTO DISCONNECT']);
+    });
+
+    it('disconnects immediately for blocked players', async () => {
+        addPlayer(2, 'Griefer', 40);
+        await flushPromises();
+
+        assert.deepEqual(alertTitles(user), ['⛔ BLOCKED PLAYER - AUTO DISCONNECT']);
+        assert.equal(client.closed, true);
+        assert.equal(harness.session.shouldJoin, false);
+    });
+
+    it('keeps the connection when auto-disconnect is off', async () => {
+        harness.session.safetyConfig.autoDisconnectOnThreat = false;
+        addPlayer(2, 'Stranger', 10);
+        await flushPromises();
+        mock.timers.tick(1000);
+
+        assert.deepEqual(alertTitles(user), ['⚠️ Player Proximity Alert']);
+        assert.equal(client.closed, false);
+    });
+});
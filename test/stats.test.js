@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, connectSession, flushPromises, CHANNEL_ID } = require('./helpers/harness');
+const { createInteraction } = require('./helpers/fakeDiscord');
+const { computeStats, formatUptime } = require('../stats');
+
+const HOUR = 3600000;
+const NOW = Date.parse('2025-06-08T12:00:00Z');
+const at = (hoursAgo) => new Date(NOW - hoursAgo * HOUR).toISOString();
+
+describe('computeStats', () => {
+    const history = [
+        { connectedAt: at(200), disconnectedAt: at(190) }, // Before the 7 day window
+        { connectedAt: at(170), disconnectedAt: at(160) }, // Straddles the window start
+        { connectedAt: at(30), disconnectedAt: at(26) }
+    ];
+    const events = [
+        { at: at(190), type: 'disconnect', cause: 'close', category: 'network', reason: 'Connection closed' },
+        { at: at(160), type: 'disconnect', cause: 'disconnect', category: 'restarting', reason: 'Server restarting' },
+        { at: at(26), type: 'disconnect', cause: 'disconnect', category: 'restarting', reason: 'Server is restarting' },
+        { at: at(20), type: 'connect', attempt: 0 },
+        { at: at(20), type: 'auth', result: 'failure', error: 'expired' },
+        { at: at(2), type: 'disconnect', cause: 'user', reason: 'Disconnected by user' }
+    ];
+
+    it('clips sessions to the period and includes the current one', () => {
+        const stats = computeStats({ history, events, connectedAt: NOW - HOUR, period: '7d', now: NOW });
+
+        // 8h of the straddling session + 4h + the current hour
+        assert.equal(stats.onlineMs, 13 * HOUR);
+        assert.equal(stats.onlinePercent, Math.round(13 / 168 * 1000) / 10);
+        assert.equal(stats.sessions, 3);
+        assert.equal(stats.averageSessionMs, 5 * HOUR);
+        assert.equal(stats.longestSessionMs, 10 * HOUR);
+        assert.equal(stats.currentSessionMs, HOUR);
+    });
+
+    it('ranks disconnect reasons and separates kicks from our own disconnects', () => {
+        const stats = computeStats({ history, events, period: '7d', now: NOW });
+
+        assert.deepEqual(stats.disconnects, { total: 3, kicked: 2, errors: 0, closed: 0, byUser: 1, safety: 0 });
+        assert.deepEqual(stats.reasons, [
+            { category: 'restarting', label: 'Server restarting', count: 2, example: 'Server is restarting' }
+        ]);
+        assert.equal(stats.authFailures, 1);
+        assert.equal(stats.connectAttempts, 1);
+    });
+
+    it('reports online percentage per UTC day', () => {
+        const stats = computeStats({ history, events, period: '7d', now: NOW });
+
+        assert.equal(stats.daily.length, 8);
+        assert.deepEqual(stats.daily.slice(-2).map(day => day.date), ['2025-06-07', '2025-06-08']);
+        // The 4h session on June 7th; the first day only counts from the window start
+        assert.equal(stats.daily[6].onlinePercent, Math.round(4 / 24 * 1000) / 10);
+        assert.equal(stats.daily[7].onlinePercent, 0);
+        assert.equal(stats.daily[0].onlinePercent, Math.round(8 / 12 * 1000) / 10);
+    });
+
+    it('starts "all" at the first recorded entry', () => {
+        const stats = computeStats({ history, events, period: 'all', now: NOW });
+        assert.equal(stats.from, at(200));
+        assert.equal(stats.sessions, 3);
+    });
+
+    it('formats uptimes compactly', () => {
+        assert.equal(formatUptime(30000), '30s');
+        assert.equal(formatUptime(45 * 60000), '45m');
+        assert.equal(formatUptime(3 * HOUR + 12 * 60000), '3h 12m');
+        assert.equal(formatUptime(52 * HOUR), '2d 4h');
+    });
+});
+
+describe('session event log', () => {
+    let harness;
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: NOW });
+        harness = createTestBot({ reconnect: { delay: 1000, maxDelay: 8000, jitter: 0 } });
+    });
+    afterEach(() => {
+        harness.cleanup();
+        mock.timers.reset();
+    });
+
+    it('records connects, kicks and manual disconnects', async () => {
+        const { session, bedrock, bot } = harness;
+        await connectSession(harness);
+        mock.timers.tick(HOUR);
+
+        bedrock.kick(bedrock.lastClient, '§cServer is restarting');
+        await flushPromises();
+        mock.timers.tick(60000); // Restarts use the scheduled strategy
+        await flushPromises();
+        bedrock.join();
+        await flushPromises();
+        await session.disconnect();
+
+        const events = bot.store.getEvents(session.name).map(({ type, cause, category }) => [type, cause, category]);
+        assert.deepEqual(events, [
+            ['connect', undefined, undefined],
+            ['online', undefined, undefined],
+            ['disconnect', 'disconnect', 'restarting'],
+            ['connect', undefined, undefined],
+            ['online', undefined, undefined],
+            ['disconnect', 'user', undefined]
+        ]);
+        assert.equal(bot.store.getEvents(session.name)[2].reason, 'Server is restarting');
+
+        const stats = session.getStats('24h');
+        assert.equal(stats.onlineMs, HOUR);
+        assert.equal(stats.disconnects.kicked, 1);
+    });
+
+    it('shows /stats for the chosen period', async () => {
+        await connectSession(harness);
+        mock.timers.tick(2 * HOUR);
+
+        const interaction = createInteraction({ channelId: CHANNEL_ID, commandName: 'stats', options: { period: '24h' } });
+        await harness.bot.handleSlashCommand(interaction);
+
+        const embed = interaction.lastReply.embeds[0].data;
+        assert.match(embed.description, /^Last 24 hours/);
+        const fields = Object.fromEntries(embed.fields.map(field => [field.name, field.value]));
+        assert.equal(fields['🟢 Online'], '`8.3%` (2h 0m)');
+        assert.equal(fields['⏳ Current Session'], '`2h 0m`');
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createTestBot, connectSession, CHANNEL_ID } = require('./helpers/harness');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval'] }));
+afterEach(() => mock.timers.reset());
+
+describe('state store', () => {
+    let harness;
+    beforeEach(() => { harness = createTestBot(); });
+    afterEach(() => harness.cleanup());
+
+    it('restores settings and the control message after a restart', async () => {
+        const channel = harness.discord.channel(CHANNEL_ID);
+        await harness.session.setupControlMessage();
+        const panel = harness.session.controlMessage;
+
+        harness.session.updateSafetyConfig({ proximityRadius: 40 });
+        harness.session.addToPlayerList('trusted', 'Steve');
+        await connectSession(harness);
+
+        await harness.restart();
+        const stored = JSON.parse(fs.readFileSync(harness.config.storage.path, 'utf8')).sessions.main;
+        assert.equal(stored.controlMessageId, panel.id);
+        assert.equal(stored.shouldJoin, true);
+
+        const { session } = harness;
+        assert.equal(session.safetyConfig.proximityRadius, 40);
+        assert.equal(session.isTrusted('Steve'), true);
+        assert.equal(session.shouldJoin, true);
+        assert.equal(session.state, 'idle');
+
+        // The panel from the last run is edited rather than posted again
+        const edits = panel.edits.length;
+        await session.setupControlMessage();
+        assert.equal(session.controlMessage, panel);
+        assert.equal(channel.sent.length, 1);
+        assert.equal(panel.edits.length, edits + 1);
+
+        await session.resume();
+        assert.equal(harness.bedrock.clients.length, 2);
+        assert.equal(session.state, 'connecting');
+    });
+
+    it('posts a new control message when the stored one is gone', async () => {
+        const channel = harness.discord.channel(CHANNEL_ID);
+        await harness.session.setupControlMessage();
+        channel.sent.length = 0;
+
+        await harness.restart();
+        await harness.session.setupControlMessage();
+        assert.equal(channel.sent.length, 1);
+        assert.equal(harness.session.controlMessage, channel.sent[0]);
+    });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createTestBot, READ_TOKEN, CONTROL_TOKEN } = require('./helpers/harness');
+
+// Reads Server-Sent Events until `count` have arrived (comments are skipped)
+async function readSse(reader, count) {
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+    while (events.length < count) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const fields = Object.fromEntries(block.split('\n')
+                .filter(line => !line.startsWith(':'))
+                .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            if (fields.event) events.push({ type: fields.event, id: fields.id, data: JSON.parse(fields.data) });
+        }
+    }
+    return events;
+}
+
+// Collects WebSocket messages so none are missed between awaits
+function openSocket(url) {
+    const ws = new WebSocket(url);
+    const messages = [];
+    const waiters = [];
+    ws.on('message', (raw) => {
+        messages.push(JSON.parse(raw));
+        waiters.splice(0).forEach(resolve => resolve());
+    });
+    ws.next = async (predicate = () => true) => {
+        for (;;) {
+            const index = messages.findIndex(predicate);
+            if (index !== -1) return messages.splice(index, 1)[0];
+            await new Promise(resolve => waiters.push(resolve));
+        }
+    };
+    return ws;
+}
+
+describe('live stream', () => {
+    let harness;
+    let baseUrl;
+
+    before(async () => {
+        harness = createTestBot({ sessions: [{ name: 'main' }, { name: 'alt' }] });
+        await harness.bot.startWebServer();
+        baseUrl = `127.0.0.1:${harness.bot.server.address().port}`;
+    });
+    after(() => harness.cleanup());
+
+    it('streams filtered events over SSE', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`http://${baseUrl}/events?session=alt&types=chat&token=${READ_TOKEN}`, { signal: controller.signal });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+        const reader = response.body.getReader();
+        const [hello] = await readSse(reader, 1);
+        assert.equal(hello.type, 'hello');
+        assert.deepEqual(hello.data.sessions.map(s => s.session), ['alt']);
+
+        const main = harness.bot.getSession('main');
+        const alt = harness.bot.getSession('alt');
+        await main.emit('chat', { kind: 'chat', sender: 'Steve', message: 'wrong session' });
+        await alt.emit('health_changed', { health: 10, previous: 20, maxHealth: 20 });
+        const sent = await alt.emit('chat', { kind: 'chat', sender: 'Alex', message: 'hi' });
+
+        const [chat] = await readSse(reader, 1);
+        assert.equal(chat.type, 'chat');
+        assert.equal(chat.id, sent.id);
+        assert.deepEqual(chat.data.data, { kind: 'chat', sender: 'Alex', message: 'hi' });
+        controller.abort();
+    });
+
+    it('rejects SSE without a valid token or with bad filters', async () => {
+        assert.equal((await fetch(`http://${baseUrl}/events`)).status, 401);
+        assert.equal((await fetch(`http://${baseUrl}/events?token=wrong-token-0123456789`)).status, 401);
+
+        const response = await fetch(`http://${baseUrl}/events?types=teleported`, { headers: { Authorization: `Bearer ${READ_TOKEN}` } });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).message, 'Unknown event types: teleported');
+    });
+
+    it('refuses WebSocket upgrades without a valid token', async () => {
+        const ws = new WebSocket(`ws://${baseUrl}/ws`);
+        ws.on('error', () => {}); // Reported once the refused socket is dropped
+        const [, response] = await once(ws, 'unexpected-response');
+        assert.equal(response.statusCode, 401);
+        ws.terminate();
+    });
+
+    it('pushes events and runs control messages over the WebSocket', async () => {
+        const ws = openSocket(`ws://${baseUrl}/ws?token=${CONTROL_TOKEN}`);
+        const hello = await ws.next();
+        assert.equal(hello.type, 'hello');
+        assert.deepEqual(hello.sessions.map(s => s.session), ['main', 'alt']);
+        assert.ok(hello.actions.includes('chat'));
+
+        ws.send(JSON.stringify({ id: 1, action: 'subscribe', types: ['settings_changed'] }));
+        assert.equal((await ws.next(m => m.id === 1)).success, true);
+        harness.bot.getSession('alt').updateSafetyConfig({ proximityRadius: 40 });
+        const { event } = await ws.next(m => m.type === 'event');
+        assert.equal(event.session, 'alt');
+        assert.deepEqual(event.data, { section: 'safety', changes: { proximityRadius: 40 } });
+
+        ws.send(JSON.stringify({ id: 2, action: 'chat', session: 'alt', message: 'hello' }));
+        assert.deepEqual(await ws.next(m => m.id === 2), {
+            type: 'result', id: 2, action: 'chat', success: false, message: 'Session alt not connected'
+        });
+
+        ws.send('not json');
+        assert.equal((await ws.next(m => m.type === 'result')).message, 'Invalid JSON');
+        ws.close();
+    });
+
+    it('answers with an error when a control action throws', async () => {
+        const { runControlAction } = harness.bot;
+        harness.bot.runControlAction = async () => {
+            throw new Error('Failed to persist state');
+        };
+        const ws = openSocket(`ws://${baseUrl}/ws?token=${CONTROL_TOKEN}`);
+        await ws.next(m => m.type === 'hello');
+
+        ws.send(JSON.stringify({ id: 7, action: 'connect', session: 'main' }));
+        assert.deepEqual(await ws.next(m => m.id === 7), {
+            type: 'result', id: 7, action: 'connect', success: false, message: 'Internal error'
+        });
+        ws.close();
+        harness.bot.runControlAction = runControlAction;
+    });
+
+    it('needs the control scope for control messages', async () => {
+        const ws = openSocket(`ws://${baseUrl}/ws?token=${READ_TOKEN}`);
+        await ws.next(m => m.type === 'hello');
+
+        ws.send(JSON.stringify({ id: 'a', action: 'disconnect' }));
+        assert.equal((await ws.next(m => m.id === 'a')).message, 'Token "reader" lacks the control scope');
+
+        ws.send(JSON.stringify({ id: 'b', action: 'status', session: 'main' }));
+        assert.deepEqual((await ws.next(m => m.id === 'b')).sessions.map(s => s.session), ['main']);
+        ws.close();
+    });
+});
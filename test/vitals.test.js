@@ -0,0 +1,165 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSerializer } = require('bedrock-protocol/src/transforms/serializer');
+const { createTestBot, connectSession, flushPromises } = require('./helpers/harness');
+const { FakeUser } = require('./helpers/fakeDiscord');
+const { Vitals } = require('../vitals');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.parse('2025-06-01T12:00:00Z') }));
+afterEach(() => mock.timers.reset());
+
+const alertTitles = (user) => user.dms.map(dm => dm.embeds[0].data.title);
+
+const attribute = (name, current, max = 20) => ({
+    name, current, max, min: 0, default: max, default_min: 0, default_max: max, modifiers: []
+});
+
+describe('Vitals.applyAttributes', () => {
+    it('reports previous values for changes and the new health whenever it is sent', () => {
+        const vitals = new Vitals();
+        const changes = vitals.applyAttributes([
+            attribute('minecraft:health', 20, 24),
+            attribute('minecraft:player.hunger', 14),
+            attribute('minecraft:player.saturation', 5)
+        ]);
+
+        assert.deepEqual(changes, { health: 20, hunger: 20 });
+        assert.equal(vitals.maxHealth, 24);
+        assert.equal(vitals.hunger, 14);
+
+        // Unchanged health is still reported; unchanged hunger is not
+        assert.deepEqual(vitals.applyAttributes([
+            attribute('minecraft:health', 20, 24),
+            attribute('minecraft:player.hunger', 14)
+        ]), { health: 20 });
+    });
+});
+
+describe('vitals', () => {
+    let harness;
+    let client;
+    let user;
+    const start = async (overrides = {}) => {
+        harness = createTestBot({ safety: { enabled: true, minHealth: 0, autoDisconnectHealth: 0 }, ...overrides });
+        client = await connectSession(harness);
+        user = new FakeUser();
+        harness.session.lastAuthUser = user;
+    };
+    const attributes = (...list) => harness.bedrock.send(client, 'update_attributes', {
+        runtime_entity_id: 1n, attributes: list, tick: 0n
+    });
+    afterEach(() => harness.cleanup());
+
+    it('tracks attributes for our own entity only', async () => {
+        await start();
+        attributes(
+            attribute('minecraft:health', 16, 24),
+            attribute('minecraft:player.hunger', 14),
+            attribute('minecraft:player.saturation', 2.5),
+            attribute('minecraft:player.level', 12, 24791),
+            attribute('minecraft:absorption', 4, 16)
+        );
+        harness.bedrock.send(client, 'update_attributes', {
+            runtime_entity_id: 2n, attributes: [attribute('minecraft:player.hunger', 1)], tick: 0n
+        });
+        await flushPromises();
+
+        const status = harness.session.getStatus();
+        assert.equal(status.health, 16);
+        assert.equal(status.vitals.maxHealth, 24);
+        assert.equal(status.vitals.hunger, 14);
+        assert.equal(status.vitals.saturation, 2.5);
+        assert.equal(status.vitals.xpLevel, 12);
+        assert.equal(harness.session.formatHealth(), '`16/24` +4 💛');
+        assert.deepEqual(alertTitles(user), ['🩸 Damage Taken']);
+    });
+
+    it('tracks effects until they expire or are removed', async () => {
+        await start();
+        const { session } = harness;
+        harness.bedrock.send(client, 'mob_effect', {
+            runtime_entity_id: 1n, event_id: 'add', effect_id: 1, amplifier: 1, particles: true, duration: 600, tick: 0n
+        });
+        harness.bedrock.send(client, 'mob_effect', {
+            runtime_entity_id: 1n, event_id: 'add', effect_id: 16, amplifier: 0, particles: true, duration: 2400, tick: 0n
+        });
+        await flushPromises();
+        assert.equal(session.formatEffects(), 'Speed II (0:30)\nNight Vision I (2:00)');
+
+        mock.timers.tick(30000);
+        assert.deepEqual(session.getStatus().vitals.effects.map(effect => effect.name), ['night_vision']);
+
+        harness.bedrock.send(client, 'mob_effect', {
+            runtime_entity_id: 1n, event_id: 'remove', effect_id: 16, amplifier: 0, particles: false, duration: 0, tick: 0n
+        });
+        assert.equal(session.formatEffects(), 'None');
+    });
+
+    it('alerts on starvation and harmful effects', async () => {
+        await start({ safety: { enabled: true, minHealth: 0, autoDisconnectHealth: 0, minHunger: 6, alertCooldown: 30000 } });
+        attributes(attribute('minecraft:player.hunger', 5));
+        attributes(attribute('minecraft:player.hunger', 4));
+        harness.bedrock.send(client, 'mob_effect', {
+            runtime_entity_id: 1n, event_id: 'add', effect_id: 19, amplifier: 0, particles: true, duration: 200, tick: 0n
+        });
+        harness.bedrock.send(client, 'mob_effect', {
+            runtime_entity_id: 1n, event_id: 'add', effect_id: 1, amplifier: 0, particles: true, duration: 200, tick: 0n
+        });
+        await flushPromises();
+
+        assert.deepEqual(alertTitles(user), ['🍗 Starving', '🧪 Harmful Effect']);
+        assert.match(user.dms[1].embeds[0].data.description, /Poison I \(0:10\)/);
+    });
+
+    it('records deaths and respawns automatically when enabled', async () => {
+        await start({ vitals: { autoRespawn: true, respawnDelay: 2000 } });
+        const { session } = harness;
+        harness.bedrock.send(client, 'death_info', { cause: 'death.attack.zombie', messages: [] });
+        harness.bedrock.send(client, 'set_health', { health: 0 });
+        await flushPromises();
+
+        assert.equal(session.vitals.dead, true);
+        assert.deepEqual(alertTitles(user), ['☠️ Bot Died']);
+        assert.equal(session.getStatus().vitals.lastDeath.cause, 'death.attack.zombie');
+        assert.equal(client.packets('respawn').length, 0);
+
+        mock.timers.tick(2000);
+        const [respawn] = client.packets('respawn');
+        assert.equal(respawn.params.state, 2);
+        assert.equal(client.packets('player_action').at(-1).params.action, 'respawn');
+
+        const serializer = createSerializer(harness.config.minecraft.version);
+        assert.ok(serializer.createPacketBuffer(respawn).length > 0);
+        assert.ok(serializer.createPacketBuffer(client.packets('player_action').at(-1)).length > 0);
+
+        harness.bedrock.send(client, 'set_health', { health: 20 });
+        assert.equal(session.vitals.dead, false);
+        assert.equal(session.vitals.deaths, 1);
+        assert.equal(alertTitles(user).length, 1);
+    });
+
+    it('stays on the death screen unless auto-respawn is on', async () => {
+        await start();
+        harness.bedrock.send(client, 'set_health', { health: 0 });
+        mock.timers.tick(60000);
+
+        assert.equal(client.packets('respawn').length, 0);
+        assert.equal(harness.session.formatHealth(), '☠️ Dead');
+        assert.equal(client.closed, false);
+    });
+
+    it('disconnects on death instead of respawning when configured', async () => {
+        await start({
+            safety: { enabled: true, minHealth: 0, autoDisconnectHealth: 0, disconnectOnDeath: true },
+            vitals: { autoRespawn: true, respawnDelay: 2000 }
+        });
+        harness.bedrock.send(client, 'set_health', { health: 0 });
+        await flushPromises();
+        mock.timers.tick(2000);
+
+        assert.equal(client.packets('respawn').length, 0);
+        assert.equal(client.closed, true);
+        assert.equal(harness.session.state, 'stopped');
+        assert.equal(harness.session.stateReason, 'Died');
+    });
+});
@@ -0,0 +1,274 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTestBot, flushPromises, READ_TOKEN, CONTROL_TOKEN } = require('./helpers/harness');
+
+function createClient(getBaseUrl) {
+    return async (method, route, body, token = CONTROL_TOKEN) => {
+        const headers = body ? { 'Content-Type': 'application/json' } : {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(getBaseUrl() + route, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+}
+
+describe('web routes', () => {
+    let harness;
+    let baseUrl;
+
+    before(async () => {
+        harness = createTestBot({
+            sessions: [{ name: 'main' }, { name: 'alt', minecraft: { host: '127.0.0.2' } }]
+        });
+        await harness.bot.startWebServer();
+        baseUrl = `http://127.0.0.1:${harness.bot.server.address().port}`;
+    });
+    after(() => harness.cleanup());
+    const request = createClient(() => baseUrl);
+
+    // Connecting starts session timers; keep them on the mocked clock
+    beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval'] }));
+    afterEach(() => mock.timers.reset());
+
+
+    it('GET / serves the dashboard to browsers and the JSON index otherwise', async () => {
+        const page = await fetch(`${baseUrl}/`, { headers: { Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' } });
+        assert.equal(page.status, 200);
+        assert.match(page.headers.get('content-type'), /text\/html/);
+        assert.match(await page.text(), /<script src="app.js">/);
+
+        const script = await fetch(`${baseUrl}/app.js`);
+        assert.match(script.headers.get('content-type'), /javascript/);
+        await script.body.cancel();
+
+        const { body } = await request('GET', '/', null, null);
+        assert.ok('GET /events' in body.endpoints);
+    });
+
+    it('GET /status includes a pending Microsoft sign-in code', async () => {
+        const session = harness.bot.getSession('main');
+        session.auth.handleDeviceCode({ user_code: 'ABCD1234', verification_uri: 'https://www.microsoft.com/link', expires_in: 900 });
+
+        const { body } = await request('GET', '/status', null, READ_TOKEN);
+        assert.equal(body.minecraft.authRequired, true);
+        assert.equal(body.minecraft.auth.userCode, 'ABCD1234');
+        assert.equal(body.minecraft.auth.authUrl, 'https://www.microsoft.com/link?otc=ABCD1234');
+        assert.deepEqual(body.minecraft.nearbyPlayers, []);
+
+        session.auth.clear();
+    });
+
+    it('GET /health summarises every session', async () => {
+        const { status, body } = await request('GET', '/health');
+        assert.equal(status, 200);
+        assert.deepEqual(body.sessions.map(s => s.name), ['main', 'alt']);
+    });
+
+    it('GET /status selects a session by query', async () => {
+        const { body } = await request('GET', '/status?session=alt');
+        assert.equal(body.minecraft.session, 'alt');
+        assert.equal(body.minecraft.server, '127.0.0.2:19132');
+    });
+
+    it('returns 404 for unknown sessions and routes', async () => {
+        assert.equal((await request('GET', '/status?session=nope')).status, 404);
+
+        const { status, body } = await request('GET', '/nope');
+        assert.equal(status, 404);
+        assert.ok(body.availableEndpoints.includes('/safety'));
+    });
+
+    it('POST /connect, /chat and /disconnect drive the session', async () => {
+        const session = harness.bot.getSession('alt');
+
+        let { body } = await request('POST', '/chat', { session: 'alt', message: 'hi' });
+        assert.equal(body.success, false);
+
+        ({ body } = await request('POST', '/connect', { session: 'alt' }));
+        assert.equal(body.success, true);
+        const client = harness.bedrock.lastClient;
+        assert.equal(client.options.host, '127.0.0.2');
+
+        harness.bedrock.join(client);
+        await flushPromises();
+        assert.equal(session.isConnected, true);
+
+        ({ body } = await request('POST', '/connect', { session: 'alt' }));
+        assert.match(body.message, /already connected/);
+
+        ({ body } = await request('POST', '/chat', { session: 'alt', message: 'hello', mode: 'chat' }));
+        assert.equal(body.success, true);
+        assert.equal(client.packets('text')[0].params.message, 'hello');
+
+        ({ body } = await request('POST', '/chat', { session: 'alt', message: 'hello', mode: 'shout' }));
+        assert.match(body.message, /Invalid mode/);
+
+        ({ body } = await request('POST', '/disconnect', { session: 'alt' }));
+        assert.equal(body.success, true);
+        assert.equal(session.shouldJoin, false);
+        assert.equal(client.closed, true);
+    });
+
+    it('answers with a 500 when a control action throws', async () => {
+        const { runControlAction } = harness.bot;
+        harness.bot.runControlAction = async () => {
+            throw new Error('Failed to persist state');
+        };
+
+        const { status, body } = await request('POST', '/connect', { session: 'main' });
+        assert.equal(status, 500);
+        assert.deepEqual(body, { success: false, message: 'Internal server error' });
+        harness.bot.runControlAction = runControlAction;
+    });
+
+    it('GET and PUT /safety', async () => {
+        let { body } = await request('GET', '/safety');
+        assert.equal(body.session, 'main');
+        assert.deepEqual(body.presets, ['strict', 'relaxed', 'off']);
+
+        ({ body } = await request('PUT', '/safety', { preset: 'relaxed', proximityRadius: 40 }));
+        assert.equal(body.success, true);
+        assert.equal(body.safety.proximityRadius, 40);
+        assert.equal(body.safety.blockedPlayerAction, 'alert');
+
+        const invalid = await request('PUT', '/safety', { minHealth: 99, unknown: true });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.errors.length, 2);
+        assert.equal(harness.bot.getSession('main').safetyConfig.minHealth, 6);
+    });
+
+    it('GET /stats validates the period', async () => {
+        let { status, body } = await request('GET', '/stats?period=30d', null, READ_TOKEN);
+        assert.equal(status, 200);
+        assert.equal(body.session, 'main');
+        assert.equal(body.period, '30d');
+        assert.equal(typeof body.onlinePercent, 'number');
+
+        ({ status, body } = await request('GET', '/stats?period=year', null, READ_TOKEN));
+        assert.equal(status, 400);
+        assert.match(body.message, /24h, 7d, 30d, all/);
+    });
+
+    it('GET /inventory reports items and watches', async () => {
+        harness.bot.getSession('alt').setInventoryWatch('diamond', 64);
+
+        const { status, body } = await request('GET', '/inventory?session=alt', null, READ_TOKEN);
+        assert.equal(status, 200);
+        assert.equal(body.session, 'alt');
+        assert.equal(body.inventory.loaded, false);
+        assert.deepEqual(body.watches, [{ item: 'minecraft:diamond', threshold: 64, count: 0 }]);
+    });
+
+    it('registers, lists and removes event webhooks', async () => {
+        const invalid = await request('POST', '/webhooks', { url: 'https://example.com/hook', events: ['teleported'] });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.errors, ['events has unknown event types: teleported']);
+
+        const created = await request('POST', '/webhooks', { url: 'https://example.com/hook', events: ['kicked'] });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.webhook.secret.length, 48);
+
+        const listed = await request('GET', '/webhooks', null, READ_TOKEN);
+        assert.deepEqual(listed.body.webhooks.map(({ id, events, source }) => ({ id, events, source })), [
+            { id: created.body.webhook.id, events: ['kicked'], source: 'api' }
+        ]);
+        assert.equal('secret' in listed.body.webhooks[0], false);
+        assert.ok('safety_triggered' in listed.body.events);
+
+        assert.equal((await request('DELETE', `/webhooks/${created.body.webhook.id}`)).status, 200);
+        assert.equal((await request('DELETE', `/webhooks/${created.body.webhook.id}`)).status, 404);
+    });
+});
+
+describe('web API auth', () => {
+    let harness;
+    let baseUrl;
+
+    beforeEach(async () => {
+        harness = createTestBot({ webServer: { rateLimit: { windowMs: 60000, maxRequests: 3 } } });
+        await harness.bot.startWebServer();
+        baseUrl = `http://127.0.0.1:${harness.bot.server.address().port}`;
+    });
+    afterEach(() => harness.cleanup());
+    const request = createClient(() => baseUrl);
+
+    it('keeps /health public without leaking location or memory', async () => {
+        const { status, body } = await request('GET', '/health', null, null);
+        assert.equal(status, 200);
+        assert.equal(body.minecraft.coordinates, undefined);
+
+        const statusResponse = await request('GET', '/status', null, READ_TOKEN);
+        assert.equal(statusResponse.body.memory, undefined);
+    });
+
+    it('requires a valid token', async () => {
+        const missing = await request('GET', '/status', null, null);
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.message, 'API token required');
+
+        const invalid = await request('GET', '/status', null, 'not-a-real-token-at-all');
+        assert.equal(invalid.status, 401);
+        assert.equal(invalid.body.message, 'Invalid API token');
+
+        const response = await fetch(`${baseUrl}/status`, { headers: { 'X-API-Key': READ_TOKEN } });
+        assert.equal(response.status, 200);
+    });
+
+    it('separates read and control scopes', async () => {
+        assert.equal((await request('GET', '/safety', null, READ_TOKEN)).status, 200);
+
+        const denied = await request('PUT', '/safety', { enabled: true }, READ_TOKEN);
+        assert.equal(denied.status, 403);
+        assert.equal(harness.session.safetyConfig.enabled, false);
+
+        assert.equal((await request('PUT', '/safety', { enabled: true })).status, 200);
+        assert.equal(harness.session.safetyConfig.enabled, true);
+    });
+
+    it('rate limits each token separately', async () => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await request('GET', '/sessions', null, READ_TOKEN)).status, 200);
+        }
+
+        const limited = await request('GET', '/sessions', null, READ_TOKEN);
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+        assert.equal((await request('GET', '/sessions')).status, 200);
+    });
+
+    it('writes control actions and rejections to the audit log', async () => {
+        await request('PUT', '/safety', { minHealth: 8 });
+        await request('POST', '/connect', {}, READ_TOKEN);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const entries = fs.readFileSync(path.join(harness.dataDir, 'audit.log'), 'utf8')
+            .trim().split('\n').map(line => JSON.parse(line));
+
+        assert.deepEqual(
+            entries.map(({ token, method, path: route, status, denied }) => ({ token, method, route, status, denied })),
+            [
+                { token: 'admin', method: 'PUT', route: '/safety', status: 200, denied: undefined },
+                { token: 'reader', method: 'POST', route: '/connect', status: 403, denied: 'insufficient_scope' }
+            ]
+        );
+    });
+
+    it('locks the API when no tokens are configured', async () => {
+        await harness.cleanup();
+        harness = createTestBot({ webServer: { apiTokens: [] } });
+        await harness.bot.startWebServer();
+        baseUrl = `http://127.0.0.1:${harness.bot.server.address().port}`;
+
+        const { status, body } = await request('POST', '/connect', {});
+        assert.equal(status, 401);
+        assert.match(body.message, /no webServer.apiTokens configured/);
+        assert.equal(harness.bedrock.clients.length, 0);
+    });
+});
@@ -0,0 +1,163 @@
+// ============================================================================
+// VITALS - health, hunger, XP and effects from update_attributes/mob_effect
+// ============================================================================
+
+const TICK_MS = 50;
+
+// update_attributes name -> Vitals field
+const ATTRIBUTES = {
+    'minecraft:health': 'health',
+    'minecraft:absorption': 'absorption',
+    'minecraft:player.hunger': 'hunger',
+    'minecraft:player.saturation': 'saturation',
+    'minecraft:player.level': 'xpLevel',
+    'minecraft:player.experience': 'xpProgress'
+};
+
+// Bedrock effect ids
+const EFFECTS = {
+    1: 'speed', 2: 'slowness', 3: 'haste', 4: 'mining_fatigue', 5: 'strength',
+    6: 'instant_health', 7: 'instant_damage', 8: 'jump_boost', 9: 'nausea', 10: 'regeneration',
+    11: 'resistance', 12: 'fire_resistance', 13: 'water_breathing', 14: 'invisibility', 15: 'blindness',
+    16: 'night_vision', 17: 'hunger', 18: 'weakness', 19: 'poison', 20: 'wither',
+    21: 'health_boost', 22: 'absorption', 23: 'saturation', 24: 'levitation', 25: 'fatal_poison',
+    26: 'conduit_power', 27: 'slow_falling', 28: 'bad_omen', 29: 'village_hero', 30: 'darkness',
+    31: 'trial_omen', 32: 'wind_charged', 33: 'weaving', 34: 'oozing', 35: 'infested', 36: 'raid_omen'
+};
+
+// Effects that hurt or starve the bot while it stands still
+const HARMFUL_EFFECTS = new Set(['poison', 'fatal_poison', 'wither', 'hunger', 'levitation']);
+
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+function formatEffectName(name) {
+    return name.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+// e.g. "Poison II (0:45)"
+function describeEffect(effect, now = Date.now()) {
+    const level = ROMAN_NUMERALS[effect.amplifier] || String(effect.amplifier + 1);
+    const seconds = Math.max(0, Math.round((effect.expiresAt - now) / 1000));
+    const remaining = effect.expiresAt === Infinity
+        ? '∞'
+        : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    return `${formatEffectName(effect.name)} ${level} (${remaining})`;
+}
+
+class Vitals {
+    constructor() {
+        this.deaths = 0;
+        this.lastDeath = null; // { at, cause }
+        this.reset();
+    }
+
+    // Live values only; the death count survives reconnects
+    reset() {
+        this.maxHealth = 20;
+        this.absorption = 0;
+        this.hunger = 20;
+        this.maxHunger = 20;
+        this.saturation = 5;
+        this.xpLevel = 0;
+        this.xpProgress = 0;
+        this.effects = new Map(); // name -> { name, amplifier, expiresAt }
+        this.dead = false;
+        this.deathCause = null;
+    }
+
+    // Returns { field: previousValue } for every other value that changed.
+    // Health is the exception: whenever it is sent, changes.health holds the
+    // new value, which isn't stored here because the session owns currentHealth.
+    applyAttributes(attributes = []) {
+        const changes = {};
+        for (const attribute of attributes) {
+            const field = ATTRIBUTES[attribute.name];
+            if (!field) continue;
+
+            if (field === 'health') {
+                this.maxHealth = attribute.max || this.maxHealth;
+                changes.health = attribute.current;
+                continue;
+            }
+            if (field === 'hunger') this.maxHunger = attribute.max || this.maxHunger;
+            if (this[field] !== attribute.current) {
+                changes[field] = this[field];
+                this[field] = attribute.current;
+            }
+        }
+        return changes;
+    }
+
+    // Returns { event, effect } or null for unknown effect ids
+    applyEffect(packet, now = Date.now()) {
+        const name = EFFECTS[packet.effect_id];
+        if (!name) return null;
+
+        if (packet.event_id === 'remove') {
+            const effect = this.effects.get(name) || { name, amplifier: 0, expiresAt: now };
+            this.effects.delete(name);
+            return { event: 'remove', effect };
+        }
+
+        // Negative durations mean the effect never runs out
+        const effect = {
+            name,
+            amplifier: packet.amplifier || 0,
+            expiresAt: packet.duration < 0 ? Infinity : now + packet.duration * TICK_MS
+        };
+        this.effects.set(name, effect);
+        return { event: packet.event_id, effect };
+    }
+
+    getActiveEffects(now = Date.now()) {
+        for (const [name, effect] of this.effects) {
+            if (effect.expiresAt <= now) this.effects.delete(name);
+        }
+        return Array.from(this.effects.values());
+    }
+
+    isHarmful(effect) {
+        return HARMFUL_EFFECTS.has(effect.name);
+    }
+
+    markDead(cause = null) {
+        this.dead = true;
+        this.deathCause = cause || this.deathCause;
+        this.deaths++;
+        this.lastDeath = { at: Date.now(), cause: this.deathCause };
+    }
+
+    // death_info can arrive either side of the health drop
+    setDeathCause(cause) {
+        this.deathCause = cause;
+        if (this.dead && this.lastDeath) this.lastDeath.cause = cause;
+    }
+
+    markAlive() {
+        this.dead = false;
+        this.deathCause = null;
+    }
+
+    getStatus() {
+        return {
+            maxHealth: this.maxHealth,
+            absorption: this.absorption,
+            hunger: this.hunger,
+            saturation: this.saturation,
+            xpLevel: this.xpLevel,
+            xpProgress: this.xpProgress,
+            effects: this.getActiveEffects().map(effect => ({
+                name: effect.name,
+                amplifier: effect.amplifier,
+                expiresAt: effect.expiresAt === Infinity ? null : new Date(effect.expiresAt).toISOString()
+            })),
+            dead: this.dead,
+            deaths: this.deaths,
+            lastDeath: this.lastDeath
+                ? { at: new Date(this.lastDeath.at).toISOString(), cause: this.lastDeath.cause }
+                : null
+        };
+    }
+}
+
+module.exports = { Vitals, describeEffect, formatEffectName, EFFECTS, HARMFUL_EFFECTS };
@@ -0,0 +1,171 @@
+// ============================================================================
+// EVENT WEBHOOKS - HMAC-signed JSON POSTs of bus events, with retries
+// ============================================================================
+
+const { createHmac, randomBytes, randomUUID } = require('crypto');
+const { EVENT_TYPES, HIGH_VOLUME_EVENTS } = require('./eventBus');
+const { withRetry } = require('./utils');
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_WEBHOOKS = 25;
+
+// Receivers recompute this over `${X-Webhook-Timestamp}.${raw body}` with the
+// shared secret and compare it to X-Webhook-Signature
+function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Returns [{ field, message }] for one webhook target
+function validateEventWebhook(webhook) {
+    if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) {
+        return [{ field: null, message: 'must be an object like { url: "https://...", secret: "...", events: ["kicked"] }' }];
+    }
+
+    const errors = [];
+    let url = null;
+    try {
+        url = new URL(webhook.url);
+    } catch {
+        // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push({ field: 'url', message: 'must be an http(s) URL' });
+    }
+    if (typeof webhook.secret !== 'string' || webhook.secret.length < MIN_SECRET_LENGTH) {
+        errors.push({ field: 'secret', message: `must be a string of at least ${MIN_SECRET_LENGTH} characters` });
+    }
+    if (webhook.events !== undefined) {
+        const unknown = Array.isArray(webhook.events)
+            ? webhook.events.filter(type => type !== '*' && !(type in EVENT_TYPES))
+            : null;
+        if (!unknown || webhook.events.length === 0) {
+            errors.push({ field: 'events', message: 'must be a non-empty list of event types (or ["*"])' });
+        } else if (unknown.length > 0) {
+            errors.push({ field: 'events', message: `has unknown event types: ${unknown.join(', ')}` });
+        }
+    }
+    for (const key of Object.keys(webhook)) {
+        if (!['url', 'secret', 'events'].includes(key)) errors.push({ field: key, message: 'is not a recognised webhook option' });
+    }
+    return errors;
+}
+
+function validateEventWebhooks(webhooks, prefix = 'events.webhooks') {
+    if (!Array.isArray(webhooks)) return [];
+
+    const errors = [];
+    if (webhooks.length > MAX_WEBHOOKS) {
+        errors.push({ field: prefix, message: `must have at most ${MAX_WEBHOOKS} entries` });
+    }
+    webhooks.forEach((webhook, index) => {
+        const itemPrefix = `${prefix}[${index}]`;
+        errors.push(...validateEventWebhook(webhook).map(({ field, message }) =>
+            ({ field: field ? `${itemPrefix}.${field}` : itemPrefix, message })));
+    });
+    return errors;
+}
+
+// Targets come from the config file (read-only) and from POST /webhooks
+// (kept in the state store). Deliveries run in the background so a slow
+// receiver never holds up the bus.
+class EventWebhooks {
+    // options: the `events` config section
+    constructor(bot, options, fetchImpl = globalThis.fetch) {
+        this.bot = bot;
+        this.options = options;
+        this.fetch = fetchImpl;
+        this.deliveries = new Set(); // In-flight delivery promises
+    }
+
+    // [{ id, url, secret, events, source }]
+    getTargets() {
+        const configured = this.options.webhooks.map((webhook, index) => ({
+            id: `config-${index + 1}`,
+            events: ['*'],
+            ...webhook,
+            source: 'config'
+        }));
+        const registered = this.bot.store.getWebhooks().map(webhook => ({ ...webhook, source: 'api' }));
+        return [...configured, ...registered];
+    }
+
+    // Secrets are only ever shown once, when a target is registered
+    describeTargets() {
+        return this.getTargets().map(({ secret, ...target }) => target);
+    }
+
+    // Returns { success, webhook } (including the secret) or { success: false, errors }
+    register({ url, secret = randomBytes(24).toString('hex'), events = ['*'] } = {}) {
+        const webhook = { url, secret, events };
+        const errors = validateEventWebhook(webhook);
+        if (errors.length > 0) {
+            return { success: false, errors: errors.map(({ field, message }) => `${field} ${message}`) };
+        }
+
+        const registered = this.bot.store.getWebhooks();
+        if (this.getTargets().length >= MAX_WEBHOOKS) {
+            return { success: false, errors: [`at most ${MAX_WEBHOOKS} webhooks can be registered`] };
+        }
+
+        const entry = { id: randomUUID(), url, secret, events, createdAt: new Date().toISOString() };
+        this.bot.store.setWebhooks([...registered, entry]);
+        return { success: true, webhook: entry };
+    }
+
+    // Config targets can't be removed at runtime
+    unregister(id) {
+        const registered = this.bot.store.getWebhooks();
+        const remaining = registered.filter(webhook => webhook.id !== id);
+        if (remaining.length === registered.length) return false;
+
+        this.bot.store.setWebhooks(remaining);
+        return true;
+    }
+
+    // Bus subscriber; returns without waiting for the POSTs
+    handleEvent(event, session) {
+        for (const target of this.getTargets()) {
+            const wildcard = target.events.includes('*') && !HIGH_VOLUME_EVENTS.includes(event.type);
+            if (!wildcard && !target.events.includes(event.type)) continue;
+
+            const delivery = this.deliver(target, event, session).finally(() => this.deliveries.delete(delivery));
+            this.deliveries.add(delivery);
+        }
+    }
+
+    async deliver(target, event, session) {
+        const body = JSON.stringify(event);
+
+        try {
+            await withRetry(async () => {
+                // Signed per attempt so receivers can reject stale timestamps
+                const timestamp = String(Math.floor(Date.now() / 1000));
+                const response = await this.fetch(target.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Webhook-Event': event.type,
+                        'X-Webhook-Delivery': event.id,
+                        'X-Webhook-Timestamp': timestamp,
+                        'X-Webhook-Signature': signPayload(target.secret, timestamp, body)
+                    },
+                    body,
+                    // A receiver that never answers counts as a failed attempt
+                    signal: AbortSignal.timeout(this.options.timeout)
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            }, this.options.retry);
+            return true;
+        } catch (error) {
+            session.logger.child('web').error(`Webhook ${new URL(target.url).host} failed for ${event.type}:`, error.message);
+            return false;
+        }
+    }
+
+    // Waits for in-flight deliveries (used by the tests)
+    async flush() {
+        await Promise.all(this.deliveries);
+    }
+}
+
+module.exports = { EventWebhooks, signPayload, validateEventWebhook, validateEventWebhooks, MIN_SECRET_LENGTH };
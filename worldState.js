@@ -0,0 +1,92 @@
+// ============================================================================
+// WORLD STATE - level, dimension and spawn data from start_game and friends
+// ============================================================================
+
+// change_dimension sends the raw id, start_game the mapped name
+const DIMENSIONS = ['overworld', 'nether', 'end'];
+
+const DIMENSION_LABELS = {
+    overworld: '🌳 Overworld',
+    nether: '🔥 Nether',
+    end: '🌌 The End'
+};
+
+const GAMEMODE_LABELS = {
+    survival: 'Survival',
+    creative: 'Creative',
+    adventure: 'Adventure',
+    survival_spectator: 'Spectator',
+    creative_spectator: 'Spectator',
+    spectator: 'Spectator',
+    fallback: 'Default'
+};
+
+function toDimension(value) {
+    if (typeof value === 'string') return value;
+    return DIMENSIONS[value] ?? `dimension ${value}`;
+}
+
+function toPosition(vector) {
+    return { x: vector?.x || 0, y: vector?.y || 0, z: vector?.z || 0 };
+}
+
+class WorldState {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.worldName = null;
+        this.levelId = null;
+        this.dimension = null;
+        this.gamemode = null;
+        this.spawnPosition = null;
+        this.runtimeEntityId = null; // String, so BigInt and number ids compare equal
+        this.uniqueEntityId = null;
+    }
+
+    // Returns the player's starting position
+    applyStartGame(packet) {
+        this.worldName = packet.world_name || packet.level_id || null;
+        this.levelId = packet.level_id || null;
+        this.dimension = toDimension(packet.dimension);
+        this.gamemode = packet.player_gamemode ?? null;
+        this.spawnPosition = packet.spawn_position ? toPosition(packet.spawn_position) : null;
+        this.runtimeEntityId = packet.runtime_entity_id !== undefined ? String(packet.runtime_entity_id) : null;
+        this.uniqueEntityId = packet.entity_id !== undefined ? String(packet.entity_id) : null;
+        return toPosition(packet.player_position);
+    }
+
+    // Returns the position the player arrives at
+    applyChangeDimension(packet) {
+        this.dimension = toDimension(packet.dimension);
+        return toPosition(packet.position);
+    }
+
+    isOwnEntity(runtimeId) {
+        return this.runtimeEntityId !== null && runtimeId !== undefined && String(runtimeId) === this.runtimeEntityId;
+    }
+
+    get dimensionLabel() {
+        return DIMENSION_LABELS[this.dimension] || this.dimension || 'Unknown';
+    }
+
+    // e.g. "Bedrock level (🔥 Nether)"
+    describe() {
+        if (!this.worldName && !this.dimension) return 'Unknown';
+        return `${this.worldName || 'Unknown'} (${this.dimensionLabel})`;
+    }
+
+    getStatus() {
+        return {
+            name: this.worldName,
+            levelId: this.levelId,
+            dimension: this.dimension,
+            gamemode: this.gamemode,
+            spawnPosition: this.spawnPosition,
+            runtimeEntityId: this.runtimeEntityId
+        };
+    }
+}
+
+module.exports = { WorldState, DIMENSIONS, DIMENSION_LABELS, GAMEMODE_LABELS };